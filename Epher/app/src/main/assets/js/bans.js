@@ -0,0 +1,71 @@
+const REASON_LABELS = {
+    malformed_frame: 'Sent malformed data',
+    flooding: 'Flooded the connection'
+};
+
+class BanListView {
+    constructor() {
+        this.settingsModal = document.getElementById('settings-modal');
+        this.bansList = document.getElementById('bans-list');
+        this.bansEmpty = document.getElementById('bans-empty');
+        this.clearButton = document.getElementById('clear-bans-btn');
+
+        this.bans = [];
+
+        // The backend pushes changes; ask for the current list when shown
+        this.settingsModal.addEventListener('opened', () => AndroidBridge.listBans());
+        this.clearButton.addEventListener('click', () => AndroidBridge.unban(''));
+
+        this.render();
+    }
+
+    /**
+     * Replace the list with the backend's
+     * @param {Array<{key: string, peerId: string, roomId: ?string, offences: number, reason: string, bannedUntil: number}>} bans
+     */
+    update(bans) {
+        this.bans = bans;
+        this.render();
+    }
+
+    render() {
+        this.bansList.replaceChildren(...this.bans.map(ban => this.createBanElement(ban)));
+        this.bansEmpty.classList.toggle('hidden', this.bans.length > 0);
+        this.clearButton.disabled = this.bans.length === 0;
+    }
+
+    createBanElement(ban) {
+        const item = document.createElement('mwc-list-item');
+        item.twoline = true;
+        item.graphic = 'icon';
+        item.hasMeta = true;
+
+        const icon = document.createElement('mwc-icon');
+        icon.slot = 'graphic';
+        icon.textContent = 'block';
+
+        const name = document.createElement('span');
+        name.textContent = ban.peerId;
+
+        const details = document.createElement('span');
+        details.slot = 'secondary';
+        const reason = REASON_LABELS[ban.reason] || 'Failed verification';
+        const scope = ban.roomId ? ` in ${ban.roomId}` : '';
+        const until = new Date(ban.bannedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        details.textContent = `${reason}${scope} · until ${until}`;
+
+        const unban = document.createElement('mwc-icon-button');
+        unban.slot = 'meta';
+        unban.icon = 'delete';
+        unban.label = 'Lift ban';
+        unban.addEventListener('click', () => AndroidBridge.unban(ban.key));
+
+        item.append(icon, name, details, unban);
+        return item;
+    }
+}
+
+// Initialize ban list when DOM is loaded
+window.addEventListener('DOMContentLoaded', () => {
+    window.banList = new BanListView();
+});
@@ -69,13 +69,26 @@ export const SecurityConfig = {
         }
     },
 
-    // Network Security
+    // Network Security, enforced by the Node backend; see getNetworkLimits()
     network: {
-        connectionTimeout: 30000,    // 30 seconds
-        reconnectAttempts: 3,
-        reconnectDelay: 5000,        // 5 seconds
+        connectionTimeout: 30000,    // 30 seconds of silence before a peer is dropped as stale
+        reconnectAttempts: 10,
+        initialReconnectDelay: 2000, // 2 seconds, doubling after each attempt
+        maxReconnectDelay: 60000,    // 1 minute
+        reconnectJitter: 0.2,        // Spread each delay by up to ±20%
         keepAliveInterval: 25000,    // 25 seconds
-        bandwidthLimit: 1024 * 1024  // 1MB/s
+        bandwidthLimit: 1024 * 1024, // 1MB/s per room, each direction
+        peerBandwidthLimit: 256 * 1024, // 256KB/s per peer, each direction
+        maxEgressQueue: 32 * 1024 * 1024, // 32MB of cells queued per peer before sends fail
+        maxMessageSize: 16 * 1024 * 1024, // 16MB, largest payload reassembled from cells
+        maxPartialMessages: 32,      // Messages being reassembled at once, per peer
+        reassemblyTimeout: 30000,    // 30 seconds without a cell before a partial message is dropped
+        floodTolerance: 2 * 60 * 1000, // 2 minutes over the peer limit before a ban
+        offlineQueueLimit: 100,      // Messages held by the backend while offline
+        deliveryTimeout: 10000,      // 10 seconds before resending unacknowledged messages
+        maxDeliveryAttempts: 5,
+        historyLimit: 200,           // Encrypted envelopes kept for peers who join late
+        historyTTL: 3600000          // 1 hour
     },
 
     // Logging
@@ -99,6 +112,12 @@ export const SecurityConfig = {
     }
 };
 
+// The limits the Node backend enforces, sent along with every join. The
+// backend keeps no defaults of its own, so this is the only place to change them.
+export function getNetworkLimits() {
+    return { ...SecurityConfig.network, maxRooms: SecurityConfig.accessControl.maxRooms };
+}
+
 // CSRF Token Generation
 export function generateCSRFToken() {
     const array = new Uint8Array(SecurityConfig.csrf.tokenLength);
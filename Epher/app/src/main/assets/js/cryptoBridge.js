@@ -75,18 +75,19 @@ function sendToWorker(op, args = {}) {
     });
 }
 
-// Initialize crypto system with pre-key bundle
-export async function initializeCrypto(preKeyBundle) {
+// Initialize crypto system; resolves with our public identity key and
+// its fingerprint
+export async function initializeCrypto() {
     try {
         await initWorker();
-        return await sendToWorker('initialize', { preKeyBundle });
+        return await sendToWorker('initialize');
     } catch (error) {
         console.error('Failed to initialize crypto:', error);
         throw error;
     }
 }
 
-// Generate a new pre-key bundle for initial key exchange
+// Our pre-key bundle for peers to start sessions with, public keys only
 export async function generatePreKeyBundle() {
     try {
         initWorker();
@@ -97,6 +98,18 @@ export async function generatePreKeyBundle() {
     }
 }
 
+// Start a session from a peer's pre-key bundle; resolves with an envelope
+// to send the peer, or null if there is nothing to send
+export async function startSession(bundle) {
+    try {
+        await initWorker();
+        return await sendToWorker('startSession', { bundle });
+    } catch (error) {
+        console.error('Failed to start session:', error);
+        throw error;
+    }
+}
+
 // Encrypt and prepare a message for sending
 export async function seal(plaintext) {
     try {
@@ -108,7 +121,7 @@ export async function seal(plaintext) {
     }
 }
 
-// Decrypt and verify a received message
+// Decrypt and verify a received message; null if it held nothing for us
 export async function open(envelope) {
     try {
         initWorker();
@@ -141,6 +154,40 @@ export async function openFile(envelope) {
     }
 }
 
+// Choose how plaintexts are padded before encryption, see padding.js
+export async function setPadding(scheme) {
+    try {
+        await initWorker();
+        return await sendToWorker('setPadding', { scheme });
+    } catch (error) {
+        console.error('Failed to set padding scheme:', error);
+        throw error;
+    }
+}
+
+// Leave identity signatures off sent messages, so peers can't prove to
+// others what we wrote; see encryptFor in cryptoWorker.js
+export async function setDeniable(deniable) {
+    try {
+        await initWorker();
+        return await sendToWorker('setDeniable', { deniable });
+    } catch (error) {
+        console.error('Failed to set deniable mode:', error);
+        throw error;
+    }
+}
+
+// Short form of a peer's identity key, for comparing out of band
+export async function getFingerprint(identityKey) {
+    try {
+        await initWorker();
+        return await sendToWorker('fingerprint', { identityKey });
+    } catch (error) {
+        console.error('Failed to get fingerprint:', error);
+        throw error;
+    }
+}
+
 // Clean up crypto resources
 export async function cleanup() {
     try {
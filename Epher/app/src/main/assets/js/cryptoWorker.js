@@ -1,8 +1,13 @@
 /* ------------------------------------------------------------------
    cryptoWorker.js  –  Web-Worker that runs ALL libsodium operations
-   with double-ratchet, forward secrecy, and traffic shaping
+   with X3DH, double-ratchet, forward secrecy, and traffic shaping
    --------------------------------------------------------------- */
 
+import { DEFAULT_PADDING_SCHEME, PADDING_SCHEMES, pad, unpad } from './padding.js';
+import { PreKeyStore, initiate, respond, concat, toBase64, fromBase64 } from './x3dh.js';
+import { DoubleRatchet, encodeHeader, validHeader } from './double-ratchet.js';
+import { loadIdentityKeyPair, fingerprint } from './identity.js';
+
 /* Initialize libsodium */
 let sodium;
 
@@ -25,79 +30,33 @@ async function initSodium() {
 initSodium();
 
 /* --- Constants --------------------------------------------------- */
-const BUCKET_SIZE = 256; // Packet size bucket for padding
-const RATCHET_MESSAGES = 100; // Messages before DH ratchet rotation
 const KEEPALIVE_INTERVAL = 500; // ms between keep-alives
 const JITTER_MAX = 250; // Maximum timestamp jitter in ms
 
 /* --- State Management -------------------------------------------- */
-class DoubleRatchet {
-    constructor() {
-        this.rootKey = null;
-        this.sendingKey = null;
-        this.receivingKey = null;
-        this.dhKeyPair = null;
-        this.remotePublicKey = null;
-        this.messagesSent = 0;
-        this.messagesReceived = 0;
-        this.seenMessages = new Set();
-    }
-
-    async initialize(preKeyBundle) {
-        const sodium = await ensureSodium();
-        
-        // Generate initial X25519 key pair
-        this.dhKeyPair = sodium.crypto_kx_keypair();
-        
-        // Perform DH with pre-key bundle
-        const sharedSecret = sodium.crypto_kx_client_session_keys(
-            this.dhKeyPair.publicKey,
-            this.dhKeyPair.privateKey,
-            preKeyBundle
-        );
-        
-        // Set up initial ratchet state
-        this.rootKey = sharedSecret.rx;
-        this.sendingKey = sodium.crypto_kdf_derive_from_key(32, 1, "sending", this.rootKey);
-        this.receivingKey = sodium.crypto_kdf_derive_from_key(32, 2, "receiving", this.rootKey);
-    }
-
-    async rotateRatchet() {
-        const sodium = await ensureSodium();
-        
-        // Generate new DH key pair
-        const newDHPair = sodium.crypto_kx_keypair();
-        
-        // Perform DH with remote public key
-        const sharedSecret = sodium.crypto_kx_client_session_keys(
-            newDHPair.publicKey,
-            newDHPair.privateKey,
-            this.remotePublicKey
-        );
-        
-        // Update ratchet state
-        this.dhKeyPair = newDHPair;
-        this.rootKey = sharedSecret.rx;
-        this.sendingKey = sodium.crypto_kdf_derive_from_key(32, 1, "sending", this.rootKey);
-        this.receivingKey = sodium.crypto_kdf_derive_from_key(32, 2, "receiving", this.rootKey);
-        
-        // Reset message counters
-        this.messagesSent = 0;
-        this.messagesReceived = 0;
+/*
+ * One pairwise session per peer, keyed by the peer's identity key. An
+ * initiator keeps sending its X3DH header along until the peer's first
+ * message shows the peer has the session too.
+ */
+class Session {
+    constructor({ peerIdentityKey, associatedData, ratchet, header = null, peerSignedPreKey = null }) {
+        this.peerIdentityKey = peerIdentityKey;
+        this.associatedData = associatedData;
+        this.header = header; // ours, while unconfirmed
+        this.ratchet = ratchet; // see double-ratchet.js
+        this.peerSignedPreKey = peerSignedPreKey; // from the bundle we initiated with
     }
 
-    async deriveMessageKey(key, counter) {
-        const sodium = await ensureSodium();
-        return sodium.crypto_kdf_derive_from_key(32, counter, "msg", key);
-    }
-
-    async wipeKey(key) {
-        const sodium = await ensureSodium();
-        sodium.memzero(key);
+    get confirmed() {
+        return this.header === null;
     }
 }
 
-const ratchet = new DoubleRatchet();
+let preKeys = null; // our identity and prekeys, see x3dh.js
+const sessions = new Map(); // peer identity key (base64) => Session
+let paddingScheme = DEFAULT_PADDING_SCHEME; // See padding.js
+let deniable = false; // leave signatures off, see encryptFor
 
 /* --- Helpers ---------------------------------------------------- */
 let sodiumReady = false;
@@ -117,40 +76,36 @@ async function ensureSodium() {
     return sodium;
 }
 
-async function b64ToU8(b64) {
-    const sodium = await ensureSodium();
-    return sodium.from_base64(b64, sodium.base64_variants.ORIGINAL);
-}
-
-async function u8ToB64(u8) {
-    const sodium = await ensureSodium();
-    return sodium.to_base64(u8, sodium.base64_variants.ORIGINAL);
+function addJitter(timestamp) {
+    const jitter = (Math.random() * JITTER_MAX * 2) - JITTER_MAX;
+    return timestamp + jitter;
 }
 
-async function padToBucket(data) {
-    const sodium = await ensureSodium();
-    const currentSize = data.length;
-    const targetSize = Math.ceil(currentSize / BUCKET_SIZE) * BUCKET_SIZE;
-    const padding = new Uint8Array(targetSize - currentSize);
-    sodium.randombytes_buf(padding);
-    return new Uint8Array([...data, ...padding]);
+function requireKeys() {
+    if (!preKeys) throw new Error('Crypto not initialized');
+    return preKeys;
 }
 
-function addJitter(timestamp) {
-    const jitter = (Math.random() * JITTER_MAX * 2) - JITTER_MAX;
-    return timestamp + jitter;
+function ownIdentity() {
+    return toBase64(sodium, requireKeys().identityKey);
 }
 
 /* --- Keep-alive Management --------------------------------------- */
 let keepAliveInterval = null;
 
+// Encrypts a dummy under a throwaway key, so the worker's activity doesn't
+// show when real messages are sealed
 function startKeepAlive() {
     if (keepAliveInterval) return;
-    keepAliveInterval = setInterval(async () => {
+    keepAliveInterval = setInterval(() => {
         try {
-            const dummy = sodium.randombytes_buf(32);
-            const encrypted = await encryptMessage(dummy, true);
-            postMessage({ type: 'keepalive', data: encrypted });
+            const key = sodium.crypto_aead_xchacha20poly1305_ietf_keygen();
+            const nonce = sodium.randombytes_buf(sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+            const cipher = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+                sodium.randombytes_buf(32), null, null, nonce, key
+            );
+            sodium.memzero(key);
+            postMessage({ type: 'keepalive', data: { nonce: Array.from(nonce), cipher: Array.from(cipher) } });
         } catch (e) {
             console.error('Keep-alive failed:', e);
         }
@@ -164,95 +119,170 @@ function stopKeepAlive() {
     }
 }
 
-/* --- Message Encryption/Decryption ------------------------------- */
-async function encryptMessage(plaintext, isKeepalive = false) {
+/* --- Sessions ---------------------------------------------------- */
+
+// Runs X3DH against a peer's published bundle. Of two peers, only the one
+// with the lower identity key initiates, so they never start two sessions
+// with each other at once. Returns the envelope that hands the peer our
+// header, or null when there is nothing to send. The envelope carries a
+// first ratchet message too, which the responder needs before it can send.
+//
+// A confirmed session stays unless the bundle has a signed prekey other
+// than the one it started from: the peer restarted, and with it lost the
+// session, or rotated its prekey. As the responder it can't start a new
+// session itself.
+async function startSession(bundle) {
     const sodium = await ensureSodium();
+    const keys = requireKeys();
+    const peer = bundle.identityKey;
+    if (peer === ownIdentity()) return null;
 
-    // Check if ratchet rotation is needed
-    if (!isKeepalive && ratchet.messagesSent >= RATCHET_MESSAGES) {
-        await ratchet.rotateRatchet();
+    const existing = sessions.get(peer);
+    if (existing && existing.confirmed && existing.peerSignedPreKey === bundle.signedPreKey.publicKey) {
+        return null;
     }
-
-    // Derive message key
-    const messageKey = await ratchet.deriveMessageKey(ratchet.sendingKey, ratchet.messagesSent);
-
-    // Prepare message with metadata
-    const message = {
-        content: plaintext,
-        timestamp: addJitter(Date.now()),
-        counter: ratchet.messagesSent,
-        dhKey: Array.from(ratchet.dhKeyPair.publicKey)
+    if (sodium.compare(keys.identityKey, fromBase64(sodium, peer)) >= 0) return null;
+
+    const { sharedKey, associatedData, peerIdentityKey, header } = initiate(sodium, keys, bundle);
+    // The peer's signed prekey is its first ratchet key
+    const ratchet = DoubleRatchet.initiator(sodium, sharedKey, fromBase64(sodium, bundle.signedPreKey.publicKey));
+    sodium.memzero(sharedKey);
+    const session = new Session({
+        peerIdentityKey,
+        associatedData,
+        ratchet,
+        header,
+        peerSignedPreKey: bundle.signedPreKey.publicKey
+    });
+    if (existing) existing.ratchet.wipe();
+    sessions.set(peer, session);
+
+    return {
+        type: 'session',
+        sender: ownIdentity(),
+        recipients: { [peer]: await encryptFor(session, 'session', { handshake: true }) }
     };
+}
 
-    // Generate nonce
-    const nonce = sodium.randombytes_buf(
-        sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES
-    );
+// Takes a peer's X3DH header. A header we already took is ignored, and one
+// that doesn't confirm the key leaves the current session alone.
+async function acceptSession(peer, header) {
+    const sodium = await ensureSodium();
+    if (header.identityKey !== peer) {
+        throw new Error('Session header from another identity');
+    }
+    const existing = sessions.get(peer);
+    if (existing && existing.ephemeralKey === header.ephemeralKey) return existing;
+
+    const { sharedKey, associatedData, peerIdentityKey, signedPreKey } = respond(sodium, requireKeys(), header);
+    // A copy, as the ratchet wipes its key pairs and the prekey store
+    // still needs this one
+    const ratchet = DoubleRatchet.responder(sodium, sharedKey, {
+        publicKey: signedPreKey.publicKey.slice(),
+        privateKey: signedPreKey.privateKey.slice()
+    });
+    sodium.memzero(sharedKey);
+    const session = new Session({ peerIdentityKey, associatedData, ratchet });
+    session.ephemeralKey = header.ephemeralKey;
+    if (existing) existing.ratchet.wipe();
+    sessions.set(peer, session);
+    return session;
+}
 
-    // Encrypt message
-    const cipher = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
-        sodium.from_string(JSON.stringify(message)),
-        null, null, nonce, messageKey
-    );
+/* --- Message Encryption/Decryption ------------------------------- */
 
-    // Sign the ciphertext
-    const sig = sodium.crypto_sign_detached(cipher, ratchet.dhKeyPair.privateKey);
+// What an identity signature covers: the envelope type, so a message
+// can't be passed off as a file, the ratchet header and the ciphertext
+function signedPart(type, header, cipher) {
+    return concat(sodium.from_string(type), encodeHeader(sodium, header), cipher);
+}
 
-    // Pad the final envelope
-    const envelope = {
-        nonce: Array.from(nonce),
-        cipher: Array.from(cipher),
-        sig: Array.from(sig)
-    };
+/*
+ * Encrypts `message` for one peer's session. The AEAD already proves to
+ * the peer that we sent it, as only the two of us hold the ratchet keys;
+ * the identity signature on top also proves it to anyone the peer shows
+ * the message to. Deniable mode leaves the signature off, so the peer
+ * could have forged any message it claims came from us.
+ */
+async function encryptFor(session, type, message) {
+    const sodium = await ensureSodium();
+    const body = { ...message, timestamp: addJitter(Date.now()) };
 
-    // Increment counter and wipe message key
-    if (!isKeepalive) ratchet.messagesSent++;
-    await ratchet.wipeKey(messageKey);
+    // Pad, then encrypt, so the ciphertext length only shows the padded
+    // size; both identity keys are bound in as associated data
+    const { header, cipher } = session.ratchet.encrypt(
+        pad(sodium.from_string(JSON.stringify(body)), paddingScheme),
+        session.associatedData
+    );
 
-    return envelope;
+    const entry = { header, cipher: Array.from(cipher) };
+    if (!deniable) {
+        const sig = sodium.crypto_sign_detached(
+            signedPart(type, header, cipher), requireKeys().identityKeyPair.privateKey
+        );
+        entry.sig = Array.from(sig);
+    }
+    if (!session.confirmed) entry.x3dh = session.header;
+    return entry;
 }
 
-async function decryptMessage(envelope) {
+// Late, reordered and replayed messages are sorted out by the ratchet.
+// Unsigned entries come from peers in deniable mode and rest on the AEAD.
+async function decryptFrom(session, type, entry) {
     const sodium = await ensureSodium();
-    
-    const nonceU = new Uint8Array(envelope.nonce);
-    const cipherU = new Uint8Array(envelope.cipher);
-    const sigU = new Uint8Array(envelope.sig);
+    if (!validHeader(entry.header)) throw new Error('Invalid message header');
+    const cipher = new Uint8Array(entry.cipher);
 
-    // Verify signature
-    if (!sodium.crypto_sign_verify_detached(sigU, cipherU, ratchet.remotePublicKey)) {
+    if (entry.sig !== undefined && !sodium.crypto_sign_verify_detached(
+        new Uint8Array(entry.sig), signedPart(type, entry.header, cipher), session.peerIdentityKey
+    )) {
         throw new Error('Invalid signature');
     }
 
-    // Derive message key
-    const messageKey = await ratchet.deriveMessageKey(ratchet.receivingKey, ratchet.messagesReceived);
+    const plain = session.ratchet.decrypt(entry.header, cipher, session.associatedData);
+    const message = JSON.parse(sodium.to_string(unpad(plain)));
 
-    // Decrypt message
-    const plainBuf = sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
-        null, cipherU, null, nonceU, messageKey
-    );
-
-    // Parse message
-    const message = JSON.parse(sodium.to_string(plainBuf));
+    // The peer has the session, so our header can stop riding along
+    session.header = null;
+    return message;
+}
 
-    // Check for replay
-    const messageId = `${message.counter}-${message.timestamp}`;
-    if (ratchet.seenMessages.has(messageId)) {
-        throw new Error('Message replay detected');
+// Encrypts `message` once for every peer we have a session with. Peers
+// who join later can't read it, and neither can a responder whose
+// session hasn't seen the initiator's first message yet. Throws while no
+// session can send; the UI keeps such messages until one can, see
+// flushUnsealed in messages.js.
+async function seal(type, message) {
+    const recipients = {};
+    for (const [peer, session] of sessions) {
+        if (!session.ratchet.canSend) continue;
+        recipients[peer] = await encryptFor(session, type, message);
     }
-    ratchet.seenMessages.add(messageId);
-
-    // Update remote DH key if changed
-    if (message.dhKey && !sodium.memcmp(message.dhKey, ratchet.remotePublicKey)) {
-        ratchet.remotePublicKey = new Uint8Array(message.dhKey);
-        await ratchet.rotateRatchet();
+    if (Object.keys(recipients).length === 0) {
+        throw new Error('No peers to encrypt for yet');
     }
+    return { type, sender: ownIdentity(), recipients };
+}
+
+// Returns the decrypted message, or null for envelopes that carry nothing
+// for us: our own, session setup, or ones sent before we had a session
+async function open(envelope) {
+    const own = ownIdentity();
+    if (envelope.sender === own) return null;
 
-    // Increment counter and wipe message key
-    ratchet.messagesReceived++;
-    await ratchet.wipeKey(messageKey);
+    const entry = envelope.recipients && envelope.recipients[own];
+    if (!entry) return null;
+    if (entry.x3dh) await acceptSession(envelope.sender, entry.x3dh);
+
+    const session = sessions.get(envelope.sender);
+    if (!session) throw new Error('No session with sender');
+    const message = await decryptFrom(session, envelope.type, entry);
+    return envelope.type === 'session' ? null : message;
+}
 
-    return message.content;
+function wipeSessions() {
+    for (const session of sessions.values()) session.ratchet.wipe();
+    sessions.clear();
 }
 
 /* --- RPC Handler ------------------------------------------------ */
@@ -266,134 +296,79 @@ self.onmessage = async ({ data }) => {
         
         switch (op) {
             case 'initialize': {
-                const { preKeyBundle } = args;
-                await ratchet.initialize(new Uint8Array(preKeyBundle));
+                // The identity key is the device's, see identity.js;
+                // prekeys live as long as the worker. Only their public
+                // halves ever leave it.
+                if (!preKeys) preKeys = new PreKeyStore(sodium, await loadIdentityKeyPair(sodium));
                 startKeepAlive();
-                res = { success: true };
+                res = {
+                    identityKey: ownIdentity(),
+                    fingerprint: fingerprint(sodium, preKeys.identityKey)
+                };
+                break;
+            }
+
+            case 'fingerprint': {
+                const { identityKey } = args;
+                res = fingerprint(sodium, fromBase64(sodium, identityKey));
                 break;
             }
 
             case 'generatePreKeyBundle': {
-                const keyPair = sodium.crypto_kx_keypair();
-                res = {
-                    publicKey: Array.from(keyPair.publicKey),
-                    privateKey: Array.from(keyPair.privateKey)
-                };
+                res = requireKeys().bundle();
+                break;
+            }
+
+            case 'startSession': {
+                const { bundle } = args;
+                res = await startSession(bundle);
                 break;
             }
 
             case 'seal': {
                 const { plain } = args;
-                res = await encryptMessage(plain);
+                res = await seal('message', { content: plain });
                 break;
             }
 
             case 'open': {
                 const { env } = args;
-                res = await decryptMessage(env);
+                const message = await open(env);
+                res = message ? message.content : null;
                 break;
             }
 
             case 'sealFile': {
                 const { fileData, fileName, fileType } = args;
-                
-                // Check if ratchet rotation is needed
-                if (ratchet.messagesSent >= RATCHET_MESSAGES) {
-                    await ratchet.rotateRatchet();
-                }
-
-                // Derive message key
-                const messageKey = await ratchet.deriveMessageKey(ratchet.sendingKey, ratchet.messagesSent);
-
-                // Prepare file message
-                const message = {
-                    type: 'file',
-                    fileName,
-                    fileType,
-                    fileData,
-                    timestamp: addJitter(Date.now()),
-                    counter: ratchet.messagesSent,
-                    dhKey: Array.from(ratchet.dhKeyPair.publicKey)
-                };
-
-                // Generate nonce
-                const nonce = sodium.randombytes_buf(
-                    sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES
-                );
-
-                // Encrypt message
-                const cipher = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
-                    sodium.from_string(JSON.stringify(message)),
-                    null, null, nonce, messageKey
-                );
-
-                // Sign the ciphertext
-                const sig = sodium.crypto_sign_detached(cipher, ratchet.dhKeyPair.privateKey);
-
-                // Pad the final envelope
-                const envelope = {
-                    type: 'file',
-                    nonce: Array.from(nonce),
-                    cipher: Array.from(cipher),
-                    sig: Array.from(sig)
-                };
-
-                // Increment counter and wipe message key
-                ratchet.messagesSent++;
-                ratchet.wipeKey(messageKey);
-
-                res = envelope;
+                res = await seal('file', { type: 'file', fileName, fileType, fileData });
                 break;
             }
 
             case 'openFile': {
                 const { env } = args;
-                const nonceU = new Uint8Array(env.nonce);
-                const cipherU = new Uint8Array(env.cipher);
-                const sigU = new Uint8Array(env.sig);
-
-                // Verify signature
-                if (!sodium.crypto_sign_verify_detached(sigU, cipherU, ratchet.remotePublicKey)) {
-                    throw new Error('Invalid file message signature');
-                }
-
-                // Derive message key
-                const messageKey = await ratchet.deriveMessageKey(ratchet.receivingKey, ratchet.messagesReceived);
-
-                // Decrypt message
-                const plainBuf = sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
-                    null, cipherU, null, nonceU, messageKey
-                );
-
-                // Parse message
-                const message = JSON.parse(sodium.to_string(plainBuf));
-
-                // Check for replay
-                const messageId = `${message.counter}-${message.timestamp}`;
-                if (ratchet.seenMessages.has(messageId)) {
-                    throw new Error('File message replay detected');
-                }
-                ratchet.seenMessages.add(messageId);
+                res = await open(env);
+                break;
+            }
 
-                // Update remote DH key if changed
-                if (message.dhKey && !sodium.memcmp(message.dhKey, ratchet.remotePublicKey)) {
-                    ratchet.remotePublicKey = new Uint8Array(message.dhKey);
-                    await ratchet.rotateRatchet();
+            case 'setPadding': {
+                const { scheme } = args;
+                if (!PADDING_SCHEMES.includes(scheme)) {
+                    throw new Error(`Unknown padding scheme: ${scheme}`);
                 }
+                paddingScheme = scheme;
+                res = { success: true };
+                break;
+            }
 
-                // Increment counter and wipe message key
-                ratchet.messagesReceived++;
-                ratchet.wipeKey(messageKey);
-
-                res = message;
+            case 'setDeniable': {
+                deniable = Boolean(args.deniable);
+                res = { success: true };
                 break;
             }
 
             case 'cleanup': {
                 stopKeepAlive();
-                if (ratchet.rootKey) ratchet.wipeKey(ratchet.rootKey);
-                if (ratchet.sendingKey) ratchet.wipeKey(ratchet.sendingKey);
-                if (ratchet.receivingKey) ratchet.wipeKey(ratchet.receivingKey);
+                wipeSessions();
                 res = { success: true };
                 break;
             }
@@ -408,16 +383,16 @@ self.onmessage = async ({ data }) => {
     postMessage({ id, res, err });
 };
 
-// Argon2id PSK derivation
+// Argon2id PSK derivation. nodejs-project/cli.js derives the same bytes;
+// keep the two in step. Workers have no Buffer.
 async function derivePSK(roomID, password) {
     const sodium = await ensureSodium();
 
-    const salt = sodium.crypto_generichash(16, Buffer.from(roomID));
-    const passwordBytes = new TextEncoder().encode(password);
+    const salt = sodium.crypto_generichash(16, sodium.from_string(roomID));
 
     const psk = sodium.crypto_pwhash(
         32,
-        passwordBytes,
+        sodium.from_string(password),
         salt,
         sodium.crypto_pwhash_OPSLIMIT_MODERATE,
         sodium.crypto_pwhash_MEMLIMIT_MODERATE,
@@ -457,7 +432,6 @@ self.onmessage = async ({ data }) => {
 // Cleanup on termination
 self.addEventListener('unload', () => {
     stopKeepAlive();
-    if (ratchet.rootKey) ratchet.wipeKey(ratchet.rootKey);
-    if (ratchet.sendingKey) ratchet.wipeKey(ratchet.sendingKey);
-    if (ratchet.receivingKey) ratchet.wipeKey(ratchet.receivingKey);
+    wipeSessions();
+    if (preKeys) preKeys.wipe();
 });
@@ -0,0 +1,266 @@
+/* ------------------------------------------------------------------
+   double-ratchet.js  –  Double Ratchet (Signal spec) for the crypto worker
+   One instance per peer session, started from the X3DH shared key
+   --------------------------------------------------------------- */
+
+import { hkdf, concat, toBase64, fromBase64 } from './x3dh.js';
+
+// Like x3dh.js, this takes the worker's libsodium instance.
+
+export const MAX_SKIP = 1000; // message keys skipped in one chain, at most
+export const MAX_SKIPPED_KEYS = 2000; // kept for late messages, oldest dropped first
+const KDF_RK_INFO = 'Epher Double Ratchet';
+const KDF_MK_INFO = 'Epher message keys';
+
+// KDF_RK: a new root key and chain key from the root key and a DH output
+export function kdfRootKey(sodium, rootKey, dhOutput) {
+    const out = hkdf(sodium, dhOutput, KDF_RK_INFO, 64, rootKey);
+    return { rootKey: out.slice(0, 32), chainKey: out.slice(32) };
+}
+
+// KDF_CK: the next chain key and this step's message key. Keyed BLAKE2b
+// with distinct constants, as the spec does with HMAC.
+export function kdfChainKey(sodium, chainKey) {
+    return {
+        chainKey: sodium.crypto_generichash(32, Uint8Array.of(0x02), chainKey),
+        messageKey: sodium.crypto_generichash(32, Uint8Array.of(0x01), chainKey)
+    };
+}
+
+// Each message key is used once, so the AEAD key and nonce can both be
+// derived from it, as the spec recommends
+function messageCipherKeys(sodium, messageKey) {
+    const out = hkdf(sodium, messageKey, KDF_MK_INFO, 32 + sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+    return { key: out.slice(0, 32), nonce: out.slice(32) };
+}
+
+// The header as authenticated: ratchet key, then PN and N as uint32 BE
+export function encodeHeader(sodium, header) {
+    const numbers = new Uint8Array(8);
+    const view = new DataView(numbers.buffer);
+    view.setUint32(0, header.pn);
+    view.setUint32(4, header.n);
+    return concat(fromBase64(sodium, header.dh), numbers);
+}
+
+export function validHeader(header) {
+    return header !== null && typeof header === 'object' && typeof header.dh === 'string' &&
+        Number.isInteger(header.pn) && header.pn >= 0 && header.pn <= 0xffffffff &&
+        Number.isInteger(header.n) && header.n >= 0 && header.n <= 0xffffffff;
+}
+
+export class DoubleRatchet {
+    /**
+     * @param {Object} sodium - libsodium instance
+     * @param {Function} [generateKeyPair] - X25519 key pairs for new ratchet
+     *     steps; tests pass fixed ones
+     */
+    constructor(sodium, generateKeyPair = () => sodium.crypto_box_keypair()) {
+        this.sodium = sodium;
+        this.generateKeyPair = generateKeyPair;
+        this.dhSelf = null;    // DHs, our current ratchet key pair
+        this.dhRemote = null;  // DHr, the peer's current ratchet key
+        this.rootKey = null;   // RK
+        this.sendingChain = null;   // CKs
+        this.receivingChain = null; // CKr
+        this.sent = 0;         // Ns
+        this.received = 0;     // Nr
+        this.previousSent = 0; // PN
+        this.skipped = new Map(); // `${ratchet key}:${n}` => message key, oldest first
+    }
+
+    // RatchetInitAlice: the initiator knows the responder's signed prekey,
+    // which serves as the responder's first ratchet key
+    static initiator(sodium, sharedKey, remoteRatchetKey, generateKeyPair) {
+        const ratchet = new DoubleRatchet(sodium, generateKeyPair);
+        ratchet.dhSelf = ratchet.generateKeyPair();
+        ratchet.dhRemote = remoteRatchetKey;
+        const { rootKey, chainKey } = kdfRootKey(sodium, sharedKey, ratchet.dh());
+        ratchet.rootKey = rootKey;
+        ratchet.sendingChain = chainKey;
+        return ratchet;
+    }
+
+    // RatchetInitBob: the responder starts with its signed prekey pair and
+    // can only send once the initiator's first message arrived
+    static responder(sodium, sharedKey, ratchetKeyPair, generateKeyPair) {
+        const ratchet = new DoubleRatchet(sodium, generateKeyPair);
+        ratchet.dhSelf = ratchetKeyPair;
+        ratchet.rootKey = sharedKey.slice();
+        return ratchet;
+    }
+
+    get canSend() {
+        return this.sendingChain !== null;
+    }
+
+    dh() {
+        return this.sodium.crypto_scalarmult(this.dhSelf.privateKey, this.dhRemote);
+    }
+
+    /**
+     * RatchetEncrypt
+     * @param {Uint8Array} plaintext
+     * @param {Uint8Array} associatedData - From X3DH, binds both identities
+     * @returns {{header: {dh: string, pn: number, n: number}, cipher: Uint8Array}}
+     */
+    encrypt(plaintext, associatedData) {
+        if (!this.canSend) throw new Error('Session cannot send before the peer has');
+        const sodium = this.sodium;
+        const { chainKey, messageKey } = kdfChainKey(sodium, this.sendingChain);
+        sodium.memzero(this.sendingChain);
+        this.sendingChain = chainKey;
+
+        const header = { dh: toBase64(sodium, this.dhSelf.publicKey), pn: this.previousSent, n: this.sent };
+        this.sent++;
+        const cipher = this.seal(messageKey, plaintext, associatedData, header);
+        return { header, cipher };
+    }
+
+    /**
+     * RatchetDecrypt. State only changes if the message authenticates, so
+     * a forged or corrupted message can't knock the session out of step.
+     * @returns {Uint8Array} plaintext
+     */
+    decrypt(header, cipher, associatedData) {
+        if (!validHeader(header)) throw new Error('Invalid message header');
+        const sodium = this.sodium;
+
+        const skippedKey = this.skipped.get(`${header.dh}:${header.n}`);
+        if (skippedKey) {
+            const plaintext = this.open(skippedKey, cipher, associatedData, header);
+            this.skipped.delete(`${header.dh}:${header.n}`);
+            sodium.memzero(skippedKey);
+            return plaintext;
+        }
+
+        const sameChain = this.dhRemote !== null && toBase64(sodium, this.dhRemote) === header.dh;
+        if (sameChain && header.n < this.received) {
+            throw new Error('Message replay detected');
+        }
+
+        const snapshot = this.snapshot();
+        try {
+            if (!sameChain) {
+                this.skipMessageKeys(header.pn);
+                this.ratchetStep(fromBase64(sodium, header.dh));
+            }
+            this.skipMessageKeys(header.n);
+            const { chainKey, messageKey } = kdfChainKey(sodium, this.receivingChain);
+            this.receivingChain = chainKey;
+            this.received++;
+            const plaintext = this.open(messageKey, cipher, associatedData, header);
+            sodium.memzero(messageKey);
+            this.discard(snapshot);
+            return plaintext;
+        } catch (error) {
+            this.restore(snapshot);
+            throw error;
+        }
+    }
+
+    // Keeps the keys of messages up to `until` in the receiving chain
+    skipMessageKeys(until) {
+        if (this.receivingChain === null) return;
+        if (until - this.received > MAX_SKIP) {
+            throw new Error('Too many skipped messages');
+        }
+        const ratchetKey = toBase64(this.sodium, this.dhRemote);
+        while (this.received < until) {
+            const { chainKey, messageKey } = kdfChainKey(this.sodium, this.receivingChain);
+            this.receivingChain = chainKey;
+            this.skipped.set(`${ratchetKey}:${this.received}`, messageKey);
+            this.received++;
+        }
+        // Only dropped here; discard() wipes them once the message authenticates
+        while (this.skipped.size > MAX_SKIPPED_KEYS) {
+            this.skipped.delete(this.skipped.keys().next().value);
+        }
+    }
+
+    // DHRatchet: the peer has a new ratchet key, so both chains start over
+    ratchetStep(remoteRatchetKey) {
+        this.previousSent = this.sent;
+        this.sent = 0;
+        this.received = 0;
+        this.dhRemote = remoteRatchetKey;
+
+        let step = kdfRootKey(this.sodium, this.rootKey, this.dh());
+        this.rootKey = step.rootKey;
+        this.receivingChain = step.chainKey;
+
+        this.dhSelf = this.generateKeyPair();
+        step = kdfRootKey(this.sodium, this.rootKey, this.dh());
+        this.rootKey = step.rootKey;
+        this.sendingChain = step.chainKey;
+    }
+
+    seal(messageKey, plaintext, associatedData, header) {
+        const sodium = this.sodium;
+        const { key, nonce } = messageCipherKeys(sodium, messageKey);
+        sodium.memzero(messageKey);
+        const cipher = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+            plaintext, concat(associatedData, encodeHeader(sodium, header)), null, nonce, key
+        );
+        sodium.memzero(key);
+        return cipher;
+    }
+
+    open(messageKey, cipher, associatedData, header) {
+        const sodium = this.sodium;
+        const { key, nonce } = messageCipherKeys(sodium, messageKey);
+        try {
+            return sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+                null, cipher, concat(associatedData, encodeHeader(sodium, header)), nonce, key
+            );
+        } finally {
+            sodium.memzero(key);
+        }
+    }
+
+    // Everything decrypt() may change. Keys are replaced rather than
+    // modified, so keeping references is enough.
+    snapshot() {
+        return {
+            dhSelf: this.dhSelf,
+            dhRemote: this.dhRemote,
+            rootKey: this.rootKey,
+            sendingChain: this.sendingChain,
+            receivingChain: this.receivingChain,
+            sent: this.sent,
+            received: this.received,
+            previousSent: this.previousSent,
+            skipped: new Map(this.skipped)
+        };
+    }
+
+    restore(snapshot) {
+        const kept = new Set(snapshot.skipped.values());
+        for (const key of this.skipped.values()) {
+            if (!kept.has(key)) this.sodium.memzero(key);
+        }
+        Object.assign(this, snapshot);
+    }
+
+    // The update stuck: wipe what it replaced and the skipped keys it evicted
+    discard(snapshot) {
+        for (const name of ['rootKey', 'sendingChain', 'receivingChain']) {
+            if (snapshot[name] && snapshot[name] !== this[name]) this.sodium.memzero(snapshot[name]);
+        }
+        if (snapshot.dhSelf !== this.dhSelf) this.sodium.memzero(snapshot.dhSelf.privateKey);
+        const kept = new Set(this.skipped.values());
+        for (const key of snapshot.skipped.values()) {
+            if (!kept.has(key)) this.sodium.memzero(key);
+        }
+    }
+
+    wipe() {
+        const sodium = this.sodium;
+        for (const key of [this.rootKey, this.sendingChain, this.receivingChain]) {
+            if (key) sodium.memzero(key);
+        }
+        if (this.dhSelf) sodium.memzero(this.dhSelf.privateKey);
+        for (const key of this.skipped.values()) sodium.memzero(key);
+        this.skipped.clear();
+    }
+}
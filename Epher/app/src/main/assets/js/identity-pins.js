@@ -0,0 +1,48 @@
+/*
+ * Identity keys pinned per room, trusted on first use. Peers have no name
+ * that outlasts an app start other than the identity key itself, so a
+ * peer whose key changed shows up as an identity the room hasn't seen
+ * before. Only keys a peer proved it holds, by sending us something we
+ * could open, are pinned.
+ */
+const STORAGE_KEY = 'identity-pins';
+
+export class IdentityPins {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.rooms = {}; // roomId => { identityKey: pinnedAt }
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            if (saved && typeof saved === 'object') this.rooms = saved;
+        } catch {
+            this.rooms = {};
+        }
+    }
+
+    save() {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.rooms));
+    }
+
+    isPinned(roomId, identityKey) {
+        return Boolean(this.rooms[roomId] && this.rooms[roomId][identityKey]);
+    }
+
+    /**
+     * Pin an identity key in a room
+     * @returns {string} 'pinned' if it already was, 'first' if it is the
+     *     first in the room, 'new' if the room had others pinned
+     */
+    pin(roomId, identityKey) {
+        if (this.isPinned(roomId, identityKey)) return 'pinned';
+        const pins = this.rooms[roomId] || {};
+        const status = Object.keys(pins).length === 0 ? 'first' : 'new';
+        pins[identityKey] = Date.now();
+        this.rooms[roomId] = pins;
+        this.save();
+        return status;
+    }
+}
@@ -0,0 +1,82 @@
+/* ------------------------------------------------------------------
+   identity.js  –  The device's Ed25519 identity key, for the crypto worker
+   Kept in IndexedDB so peers can pin it across app starts
+   --------------------------------------------------------------- */
+
+/*
+ * The private key is stored in plaintext, on purpose. There is no secret
+ * to wrap it with: room passwords differ per room and the app has no
+ * passphrase of its own. IndexedDB lives in the app's private storage,
+ * which Android keeps from other apps; whoever can read that storage (a
+ * rooted phone, a backup) can impersonate this device. Wrapping it under
+ * an app passphrase is the way to go if one is ever added.
+ */
+
+const DB_NAME = 'EpherIdentity';
+const STORE_NAME = 'keys';
+const IDENTITY_ID = 'identity';
+const FINGERPRINT_BYTES = 16;
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transact(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME], mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * The stored identity key pair, or a new one that is stored, unencrypted,
+ * for next time. Without IndexedDB, or if it fails, the identity lasts as
+ * long as the worker.
+ * @param {Object} sodium - libsodium instance
+ * @returns {Promise<{publicKey: Uint8Array, privateKey: Uint8Array}>}
+ */
+export async function loadIdentityKeyPair(sodium) {
+    if (typeof indexedDB === 'undefined') return sodium.crypto_sign_keypair();
+
+    let db = null;
+    try {
+        db = await openDatabase();
+        const stored = await transact(db, 'readonly', store => store.get(IDENTITY_ID));
+        if (stored) {
+            return {
+                publicKey: new Uint8Array(stored.publicKey),
+                privateKey: new Uint8Array(stored.privateKey)
+            };
+        }
+        const keyPair = sodium.crypto_sign_keypair();
+        await transact(db, 'readwrite', store => store.put({
+            publicKey: keyPair.publicKey,
+            privateKey: keyPair.privateKey
+        }, IDENTITY_ID));
+        return keyPair;
+    } catch (error) {
+        console.warn('Identity key not stored, it will change on restart:', error);
+        return sodium.crypto_sign_keypair();
+    } finally {
+        if (db) db.close();
+    }
+}
+
+/**
+ * Short form of an identity key for people to compare out of band, as
+ * eight groups of four hex digits
+ * @param {Object} sodium - libsodium instance
+ * @param {Uint8Array} identityKey
+ * @returns {string}
+ */
+export function fingerprint(sodium, identityKey) {
+    const digest = sodium.to_hex(sodium.crypto_generichash(FINGERPRINT_BYTES, identityKey));
+    return digest.match(/.{4}/g).join(' ');
+}
@@ -8,16 +8,27 @@ import {
 import {
     initializeCrypto,
     generatePreKeyBundle,
+    startSession,
     seal,
     sealFile,
     open,
     openFile,
-    cleanup
+    cleanup,
+    derivePSK,
+    setPadding,
+    setDeniable,
+    getFingerprint
 } from './cryptoBridge.js';
-import { SecurityConfig, RateLimiter, generateCSRFToken } from './config/security.js';
+import { IdentityPins } from './identity-pins.js';
+import { generateRandomPassword } from './room-password.js';
+import { SecurityConfig, RateLimiter, generateCSRFToken, getNetworkLimits } from './config/security.js';
 import logger from './services/logger.js';
 import sessionManager from './services/session.js';
 
+const MIN_ROOM_PASSWORD_LENGTH = 8;
+// ms between bundles sent because a peer's messages couldn't be opened
+const BUNDLE_RESEND_INTERVAL = 5000;
+
 class App {
     constructor() {
         // Core components
@@ -26,6 +37,7 @@ class App {
         this.settings = window.settings;
         this.messages = window.messages;
         this.sessionManager = sessionManager;
+        this.identityPins = new IdentityPins();
         
         // State
         this.roomId = null;
@@ -33,6 +45,8 @@ class App {
         this.isConnected = false;
         this.cryptoInitialized = false;
         this.csrfToken = null;
+        this.lastBundleResend = 0;
+        this.plaintextRejected = false;
 
         // Rate limiters
         this.messageRateLimiter = new RateLimiter(SecurityConfig.rateLimit.messages);
@@ -47,6 +61,7 @@ class App {
             this.setupEventListeners();
             this.setupThemeHandler();
             this.setupTransportToggle();
+            this.setupRoomControls();
         } catch (error) {
             logger.error('App Initialization', 'Failed to initialize app', { error });
             this.notifications.error('Failed to initialize app: ' + error.message);
@@ -64,33 +79,98 @@ class App {
         // Update UI with room information
         const roomBanner = document.getElementById('room-banner');
         roomBanner.classList.remove('hidden');
-        document.getElementById('room-id').textContent = this.roomId;
+        document.getElementById('room-id-input').value = this.roomId;
         
         try {
             // Show loading state
             this.uiState.startLoading('crypto-init');
             
-            // Generate pre-key bundle for initial key exchange
-            const preKeyBundle = await generatePreKeyBundle();
-            
-            // Initialize crypto system
-            await initializeCrypto(preKeyBundle.publicKey);
+            // The worker creates our identity and prekeys and keeps the
+            // private halves; sessions come from peers' bundles, see x3dh.js
+            const { identityKey, fingerprint } = await initializeCrypto();
+            this.identityKey = identityKey;
+            this.fingerprint = fingerprint;
             this.cryptoInitialized = true;
-            
-            // Initialize connection with backend
-            AndroidBridge.join(this.roomId, JSON.stringify(preKeyBundle));
-            this.uiState.updateConnectionState('connecting');
-            
-            // Start session timer
-            this.uiState.startSessionTimer();
-            
-            this.notifications.success('Room initialized successfully');
+            await this.applyPadding(this.settings.getSecuritySettings());
+            await this.applyDeniable(this.settings.getSecuritySettings());
         } catch (error) {
             this.notifications.error('Failed to initialize crypto: ' + error.message);
             logger.error('Crypto Initialization', error);
         } finally {
             this.uiState.stopLoading('crypto-init');
         }
+
+        // Joining needs the room password
+        document.getElementById('room-password-modal').show();
+    }
+
+    setupRoomControls() {
+        const roomIdInput = document.getElementById('room-id-input');
+        const passwordModal = document.getElementById('room-password-modal');
+        const passwordInput = document.getElementById('room-password-input');
+
+        document.getElementById('generate-room-id-btn').addEventListener('click', () => {
+            roomIdInput.value = generateRoomId();
+        });
+        document.getElementById('join-room-btn').addEventListener('click', () => {
+            passwordModal.show();
+        });
+        document.getElementById('generate-room-password-btn').addEventListener('click', () => {
+            // Shown so it can be shared with the other members
+            passwordInput.type = 'text';
+            passwordInput.value = generateRandomPassword();
+        });
+        document.getElementById('submit-room-password-btn').addEventListener('click', () => {
+            this.joinRoom(roomIdInput.value.trim(), passwordInput.value);
+        });
+    }
+
+    /**
+     * Join a room as someone who knows its password. Peers prove knowledge of
+     * the PSK derived from both to each other before exchanging messages.
+     * @param {string} roomId - Room to join
+     * @param {string} password - Shared room password
+     */
+    async joinRoom(roomId, password) {
+        const errorElement = document.getElementById('room-password-error');
+        const showError = (message) => {
+            errorElement.textContent = message;
+            errorElement.classList.remove('hidden');
+        };
+
+        if (!roomId) {
+            showError('Enter a room ID');
+            return;
+        }
+        if (password.length < MIN_ROOM_PASSWORD_LENGTH) {
+            showError(`The room password needs at least ${MIN_ROOM_PASSWORD_LENGTH} characters`);
+            return;
+        }
+        errorElement.classList.add('hidden');
+
+        this.uiState.startLoading('join-room');
+        try {
+            // Argon2id, so a captured handshake can't be cheaply brute-forced
+            const psk = await derivePSK(roomId, password);
+            const pskHex = psk.map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+            this.roomId = roomId;
+            this.applyTransport(this.settings.getTransportSettings());
+            this.applyDiscovery(this.settings.getDiscoverySettings());
+            AndroidBridge.setNetworkLimits(JSON.stringify(getNetworkLimits()));
+            AndroidBridge.join(roomId, pskHex, this.identityKey);
+            this.publishPreKeyBundle();
+            this.applyPacketShaping(this.settings.getSecuritySettings());
+
+            document.getElementById('room-password-input').value = '';
+            document.getElementById('room-password-modal').close();
+            this.notifications.success('Joining room ' + roomId);
+        } catch (error) {
+            showError('Failed to join room: ' + error.message);
+            logger.error('Room Join', error);
+        } finally {
+            this.uiState.stopLoading('join-room');
+        }
     }
 
     setupEventListeners() {
@@ -98,6 +178,14 @@ class App {
         window.addEventListener('settings-changed', (event) => {
             this.handleSettingsChange(event.detail);
         });
+        window.addEventListener('transport-changed', (event) => {
+            this.applyTransport(event.detail);
+            this.notifications.info(`Switching transport mode to ${event.detail.mode}`);
+        });
+        window.addEventListener('discovery-changed', (event) => {
+            this.applyDiscovery(event.detail);
+            this.notifications.info(event.detail.testnet ? 'Switching to local testnet' : 'Updating DHT bootstrap nodes');
+        });
 
         // Listen for connection status changes
         document.getElementById('disconnect-btn').addEventListener('click', () => {
@@ -106,7 +194,8 @@ class App {
 
         // Listen for security panel toggle
         document.getElementById('expand-status').addEventListener('click', () => {
-            this.uiState.toggleSecurityPanel();
+            const shown = this.uiState.toggleSecurityPanel();
+            window.peerStats.setActive(shown);
         });
     }
 
@@ -120,11 +209,15 @@ class App {
     setupTransportToggle() {
         const transportSwitch = document.getElementById('transport-switch');
         if (transportSwitch) {
+            transportSwitch.value = this.settings.getTransportSettings().mode;
             transportSwitch.addEventListener('change', (e) => {
-                const mode = e.target.value;
-                AndroidBridge.setTransport(mode === 'yggdrasil');
-                this.uiState.updateConnectionState('connecting');
-                this.notifications.info(`Switching transport mode to ${mode}`);
+                // Settings keeps the radios in sync and reports back through 'transport-changed'
+                if (e.target.value !== this.settings.getTransportSettings().mode) {
+                    this.settings.setTransport(e.target.value);
+                }
+            });
+            window.addEventListener('transport-changed', (event) => {
+                transportSwitch.value = event.detail.mode;
             });
         }
     }
@@ -135,12 +228,159 @@ class App {
         } else {
             document.body.classList.remove('prevent-screenshots');
         }
+        this.applyPacketShaping(settings);
+        this.applyPadding(settings).catch(error => logger.error('Padding', error));
+        this.applyDeniable(settings).catch(error => logger.error('Deniable Messages', error));
+    }
+
+    applyTransport({ mode, options }) {
+        AndroidBridge.setTransport(mode, JSON.stringify(options));
+    }
+
+    applyDiscovery(discovery) {
+        // The backend rejoins through the new bootstrap nodes if already in a room
+        AndroidBridge.setDiscovery(JSON.stringify(discovery));
+    }
+
+    applyPacketShaping(settings) {
+        // Backend sends constant-rate cover traffic while shaping is on
+        AndroidBridge.setPacketShaping(settings.packetShaping, settings.packetShapingRate);
+    }
+
+    // The worker pads plaintexts and the backend pads cell counts, both with
+    // the scheme picked in the settings
+    async applyPadding(settings) {
+        AndroidBridge.setPadding(settings.paddingScheme);
+        if (this.cryptoInitialized) {
+            await setPadding(settings.paddingScheme);
+        }
+    }
+
+    async applyDeniable(settings) {
+        if (this.cryptoInitialized) {
+            await setDeniable(settings.deniableMessages);
+        }
+    }
+
+    // Totals across joined rooms, from the backend's periodic report
+    updateBandwidth(stats) {
+        const totals = stats.rooms.reduce((sum, room) => ({
+            bytesIn: sum.bytesIn + room.bytesIn,
+            bytesOut: sum.bytesOut + room.bytesOut,
+            dropped: sum.dropped + room.dropped
+        }), { bytesIn: 0, bytesOut: 0, dropped: 0 });
+        const throttled = stats.peers.filter(peer => peer.throttled).length;
+
+        const usage = document.getElementById('bandwidth-usage');
+        if (usage) {
+            usage.textContent = `↓ ${formatFileSize(totals.bytesIn)} · ↑ ${formatFileSize(totals.bytesOut)}` +
+                (throttled > 0 ? ` · ${throttled} throttled` : '');
+        }
+        const dropped = document.getElementById('bandwidth-dropped');
+        if (dropped) {
+            dropped.textContent = totals.dropped > 0 ? `${totals.dropped} over the limit` : 'None';
+        }
+    }
+
+    /**
+     * Offer our pre-key bundle to the room so peers can start sessions with
+     * us. Sent again whenever a peer is verified, since bundles only reach
+     * the peers present at the time.
+     */
+    async publishPreKeyBundle() {
+        if (!this.cryptoInitialized) return;
+        try {
+            const bundle = await generatePreKeyBundle();
+            AndroidBridge.sendMessage(JSON.stringify({ type: 'prekey-bundle', bundle }));
+        } catch (error) {
+            logger.error('Pre-key Bundle', error);
+        }
+    }
+
+    /**
+     * Send our bundle again after failing to open a peer's message, as the
+     * peer used up our prekeys or holds a session we lost in a restart. A
+     * peer sends many messages before the new session reaches it, so this
+     * goes out at most every BUNDLE_RESEND_INTERVAL.
+     */
+    resendPreKeyBundle() {
+        const now = Date.now();
+        if (now - this.lastBundleResend < BUNDLE_RESEND_INTERVAL) return;
+        this.lastBundleResend = now;
+        this.publishPreKeyBundle();
+    }
+
+    /**
+     * Drop an unencrypted envelope. Only the desktop CLI sends them (see
+     * nodejs-project/cli.js), and nothing that skipped end-to-end
+     * encryption is ever shown. The user is told once, so a CLI peer in
+     * the room doesn't go unnoticed.
+     */
+    rejectPlaintext() {
+        console.warn('Dropped an unencrypted message');
+        if (this.plaintextRejected) return;
+        this.plaintextRejected = true;
+        this.notifications.warning('A peer sent an unencrypted message, which was dropped. ' +
+            'The command-line client cannot talk to the app.');
+    }
+
+    /**
+     * Start a session from a peer's bundle, if it falls to us to start it,
+     * and send what was waiting for one once the peer has the session
+     * @param {Object} bundle - The peer's public pre-key bundle
+     */
+    async handlePreKeyBundle(bundle) {
+        const envelope = await startSession(bundle);
+        if (envelope) {
+            AndroidBridge.sendMessage(JSON.stringify(envelope));
+            await window.messages.flushUnsealed();
+        }
+    }
+
+    /**
+     * Pin the sender of an envelope we could open, and tell the user about
+     * identities the room hasn't seen, with the fingerprint to compare
+     * @param {Object} envelope - An envelope that opened without error
+     * @param {string} roomId - Room it arrived in
+     */
+    async checkIdentity(envelope, roomId) {
+        // Without an entry for us, nothing proved who sent it
+        if (!envelope.recipients || !envelope.recipients[this.identityKey]) return;
+        const status = this.identityPins.pin(roomId, envelope.sender);
+        if (status === 'pinned') return;
+
+        const fingerprint = await getFingerprint(envelope.sender);
+        if (status === 'new') {
+            this.notifications.warning(`New identity in this room: ${fingerprint}. ` +
+                'If it claims to be someone you know, compare fingerprints.');
+        } else {
+            this.notifications.info(`Pinned identity ${fingerprint}`);
+        }
+    }
+
+    // The status chip follows the backend's 'status' events; this only
+    // tells the user when reconnecting starts and when it gives up
+    handleReconnectStatus(progress) {
+        switch (progress.status) {
+            case 'scheduled':
+                if (progress.attempt === 1) {
+                    this.notifications.info('Lost all peers, reconnecting');
+                }
+                break;
+            case 'failed':
+                this.notifications.error(`Could not reconnect after ${progress.attempts} attempts. Check your network.`);
+                break;
+        }
     }
 
     async handleDisconnect() {
         await this.uiState.withLoading(async () => {
+            // Tells the room's peers we left and stops announcing the room
+            AndroidBridge.leave(this.roomId);
             await cleanup();
-            this.uiState.updateConnectionState(false);
+            window.messages.failUnsealed();
+            window.peerRoster.clear();
+            this.uiState.updateConnectionState({ state: 'disconnected' });
             this.notifications.info('Disconnected from room');
         }, 'disconnect');
     }
@@ -153,21 +393,35 @@ window.addEventListener('DOMContentLoaded', () => {
 });
 
 // Backend message handler
-window._onBackendMessage = async (env) => {
+window._onBackendMessage = async (env, room) => {
     if (!window.app.cryptoInitialized) return;
     
     try {
         const envelope = typeof env === 'string' ? JSON.parse(env) : env;
-        if (envelope.type === 'file') {
+        // Envelopes without anything for us (session setup, or messages
+        // from before we had a session with the sender) open to null
+        if (envelope.type === 'prekey-bundle') {
+            await window.app.handlePreKeyBundle(envelope.bundle);
+        } else if (envelope.type === 'plaintext') {
+            window.app.rejectPlaintext();
+        } else if (envelope.type === 'file') {
             const fileMessage = await openFile(envelope);
-            window.messages.addMessage(fileMessage, false);
+            await window.app.checkIdentity(envelope, room || window.app.roomId);
+            if (fileMessage) window.messages.addMessage(fileMessage, false);
         } else {
             const plain = await open(envelope);
-            window.messages.addMessage({ text: plain, timestamp: Date.now() }, false);
+            await window.app.checkIdentity(envelope, room || window.app.roomId);
+            if (plain !== null) window.messages.addMessage({ text: plain, timestamp: Date.now() }, false);
+            // Opening an initiator's first message lets us send to it too
+            await window.messages.flushUnsealed();
         }
     } catch (error) {
         if (error.message.includes('replay')) {
             console.warn('Replay attack prevented:', error);
+        } else if (error.message.includes('prekey') || error.message.includes('No session')) {
+            // A fresh bundle lets the peer start over
+            console.warn('Could not accept session:', error);
+            window.app.resendPreKeyBundle();
         } else {
             window.notifications.error('Failed to decrypt message: ' + error.message);
         }
@@ -179,8 +433,44 @@ window._onConnectionStatus = (status) => {
     window.app.uiState.updateConnectionState(status);
 };
 
+// Backend delivery handlers for outgoing messages
+window._onMessageDelivery = (messageId, status) => {
+    window.messages.updateDeliveryStatus(messageId, status);
+};
+
+window._onMessageAck = (messageId, peerId) => {
+    window.messages.handleAck(messageId, peerId);
+};
+
+// Backend peer roster handler
+window._onPeerEvent = (event) => {
+    window.peerRoster.handleEvent(event);
+    if (event.event === 'peer-verified') {
+        window.app.publishPreKeyBundle();
+    }
+};
+
+// Backend reconnection progress
+window._onReconnectStatus = (progress) => {
+    window.app.handleReconnectStatus(progress);
+};
+
+// Backend per-peer statistics
+window._onPeerStats = (peers) => {
+    window.peerStats.update(peers);
+};
+
+// Backend ban list
+window._onBanList = (bans) => {
+    window.banList.update(bans);
+};
+
+// Backend traffic counters
+window._onBandwidthStats = (stats) => {
+    window.app.updateBandwidth(stats);
+};
+
 // Backend error handler
 window._onBackendError = (error) => {
     window.notifications.error('Backend error: ' + error);
-    window.app.uiState.updateConnectionState('disconnected');
 };
@@ -1,3 +1,20 @@
+import { seal } from './cryptoBridge.js';
+import { generateMessageId } from './utils.js';
+
+// Status icon for each delivery state reported by the backend
+const DELIVERY_ICONS = {
+    sent: 'done',
+    delivered: 'done_all',
+    failed: 'error_outline'
+};
+
+// Messages whose acks are counted; acks for older ones are let go. A
+// message is acked soon after it is sent, so this only ever drops stragglers.
+const MAX_TRACKED_ACKS = 256;
+
+// What the crypto worker's seal throws while no session can send yet
+const NO_SESSION_ERROR = 'No peers to encrypt for yet';
+
 class MessageHandler {
     constructor() {
         this.messagesList = document.getElementById('messages');
@@ -5,6 +22,8 @@ class MessageHandler {
         this.sendButton = document.getElementById('send-btn');
         this.fileUploadButton = document.getElementById('file-upload-btn');
         this.fileInput = document.getElementById('file-upload');
+        this.acks = new Map(); // messageId => ids of peers that acknowledged it
+        this.unsealed = []; // messages written before any session could send
 
         this.initializeListeners();
     }
@@ -31,6 +50,9 @@ class MessageHandler {
 
     createMessageElement(message, isOutgoing = false) {
         const messageItem = document.createElement('mwc-list-item');
+        if (message.id) {
+            messageItem.dataset.messageId = message.id;
+        }
         messageItem.twoline = true;
         messageItem.graphic = 'avatar';
 
@@ -56,7 +78,7 @@ class MessageHandler {
         if (isOutgoing) {
             const status = document.createElement('mwc-icon');
             status.className = 'message-status';
-            status.textContent = message.delivered ? 'done_all' : 'done';
+            status.textContent = DELIVERY_ICONS[message.delivered ? 'delivered' : 'sent'];
             metadata.appendChild(status);
         }
 
@@ -96,6 +118,7 @@ class MessageHandler {
         if (!text) return;
 
         const message = {
+            id: generateMessageId(),
             text,
             timestamp: Date.now(),
             delivered: false
@@ -107,34 +130,91 @@ class MessageHandler {
         // Add message to UI
         this.addMessage(message, true);
 
+        await this.sealAndSend(message);
+    }
+
+    // The backend queues a sealed message while no peer is around and
+    // reports delivery against its id. Sealing needs a session that can
+    // send, so until there is one the message waits here.
+    async sealAndSend(message) {
         try {
-            // Simulate sending (replace with actual send logic)
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            // Update status
-            message.delivered = true;
-            this.updateMessageStatus(message);
-            
-            window.notifications.success('Message sent');
+            const envelope = await seal(message.text);
+            AndroidBridge.sendMessage(JSON.stringify({ messageId: message.id, ...envelope }));
         } catch (error) {
+            if (error.message.includes(NO_SESSION_ERROR)) {
+                this.unsealed.push(message);
+                return;
+            }
+            this.updateDeliveryStatus(message.id, 'failed');
             window.notifications.error('Failed to send message');
         }
     }
 
-    updateMessageStatus(message) {
-        const messageElements = this.messagesList.querySelectorAll('.message-container.outgoing');
-        for (const element of messageElements) {
-            const timestamp = element.querySelector('.message-timestamp');
-            if (timestamp.textContent === new Date(message.timestamp).toLocaleTimeString()) {
-                const status = element.querySelector('.message-status');
-                if (status) {
-                    status.textContent = message.delivered ? 'done_all' : 'done';
-                }
-                break;
-            }
+    /**
+     * Seal and send the messages that were waiting for a session, once a
+     * session was started or accepted
+     */
+    async flushUnsealed() {
+        const waiting = this.unsealed;
+        this.unsealed = [];
+        for (const message of waiting) {
+            await this.sealAndSend(message);
         }
     }
 
+    /**
+     * Give up on the messages still waiting for a session, e.g. after
+     * leaving the room
+     */
+    failUnsealed() {
+        const waiting = this.unsealed;
+        this.unsealed = [];
+        for (const message of waiting) {
+            this.updateDeliveryStatus(message.id, 'failed');
+        }
+    }
+
+    /**
+     * Show the backend's final delivery state for an outgoing message
+     * @param {string} messageId - ID the message was sent with
+     * @param {string} status - 'delivered' or 'failed'
+     */
+    updateDeliveryStatus(messageId, status) {
+        const statusElement = this.findStatusElement(messageId);
+        if (statusElement) {
+            statusElement.textContent = DELIVERY_ICONS[status] || DELIVERY_ICONS.sent;
+        }
+        if (status === 'failed') {
+            // Nobody acked it and nobody will
+            this.acks.delete(messageId);
+            window.notifications.error('Message could not be delivered');
+        }
+    }
+
+    /**
+     * Record a per-peer acknowledgement of an outgoing message
+     * @param {string} messageId - ID the message was sent with
+     * @param {string} peerId - Peer that acknowledged it
+     */
+    handleAck(messageId, peerId) {
+        const peers = this.acks.get(messageId) || new Set();
+        peers.add(peerId);
+        this.acks.set(messageId, peers);
+        if (this.acks.size > MAX_TRACKED_ACKS) {
+            this.acks.delete(this.acks.keys().next().value);
+        }
+
+        const statusElement = this.findStatusElement(messageId);
+        if (statusElement) {
+            statusElement.title = `Delivered to ${peers.size} ${peers.size === 1 ? 'peer' : 'peers'}`;
+        }
+    }
+
+    findStatusElement(messageId) {
+        const item = this.messagesList.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+        return item ? item.querySelector('.message-status') : null;
+    }
+
     async handleFileUpload(file) {
         try {
             window.uiState.startLoading('file-upload');
@@ -0,0 +1,72 @@
+/* ------------------------------------------------------------------
+   padding.js  –  Length-hiding padding schemes
+   Keep paddedLength() in sync with nodejs-project/padding.js, which
+   the backend cannot import directly.
+   --------------------------------------------------------------- */
+
+// Bigger buckets hide more of the length and cost more bandwidth:
+//   bucket       next multiple of 256 bytes. Little overhead, but the
+//                length is visible to within 256 bytes at any size.
+//   padme        PADMÉ: keeps only the top bits of the length, so sizes
+//                leak O(log log n) bits at no more than ~12% overhead.
+//   exponential  next power of two. Also leaks O(log log n) bits, a
+//                little less than PADMÉ as there are fewer sizes, but at
+//                up to 100% overhead.
+export const PADDING_SCHEMES = ['bucket', 'padme', 'exponential'];
+export const DEFAULT_PADDING_SCHEME = 'padme';
+
+const BUCKET_SIZE = 256;
+const LENGTH_PREFIX_BYTES = 4;
+
+/**
+ * Size a payload of `length` bytes is padded to
+ * @param {number} length - Unpadded size in bytes
+ * @param {string} scheme - One of PADDING_SCHEMES
+ * @returns {number} Padded size in bytes, never less than `length`
+ */
+export function paddedLength(length, scheme = DEFAULT_PADDING_SCHEME) {
+    switch (scheme) {
+        case 'bucket':
+            return Math.max(1, Math.ceil(length / BUCKET_SIZE)) * BUCKET_SIZE;
+        case 'padme': {
+            if (length < 2) return length;
+            const exponent = Math.floor(Math.log2(length));
+            const mantissaBits = Math.floor(Math.log2(exponent)) + 1;
+            const step = Math.pow(2, exponent - mantissaBits);
+            return Math.ceil(length / step) * step;
+        }
+        case 'exponential':
+            return length < 2 ? length : Math.pow(2, Math.ceil(Math.log2(length)));
+        default:
+            throw new Error(`Unknown padding scheme: ${scheme}`);
+    }
+}
+
+/**
+ * Prefix data with its length and zero-pad it according to `scheme`
+ * @param {Uint8Array} data - Plaintext to pad
+ * @param {string} scheme - One of PADDING_SCHEMES
+ * @returns {Uint8Array} Padded plaintext, to be encrypted as a whole
+ */
+export function pad(data, scheme = DEFAULT_PADDING_SCHEME) {
+    const padded = new Uint8Array(paddedLength(LENGTH_PREFIX_BYTES + data.length, scheme));
+    new DataView(padded.buffer).setUint32(0, data.length);
+    padded.set(data, LENGTH_PREFIX_BYTES);
+    return padded;
+}
+
+/**
+ * Strip what pad() added, whatever scheme the sender used
+ * @param {Uint8Array} padded - Decrypted, padded plaintext
+ * @returns {Uint8Array} The original data
+ */
+export function unpad(padded) {
+    if (padded.length < LENGTH_PREFIX_BYTES) {
+        throw new Error('Invalid padding: too short for length prefix');
+    }
+    const length = new DataView(padded.buffer, padded.byteOffset, padded.byteLength).getUint32(0);
+    if (length > padded.length - LENGTH_PREFIX_BYTES) {
+        throw new Error('Invalid padding: length prefix exceeds data size');
+    }
+    return padded.subarray(LENGTH_PREFIX_BYTES, LENGTH_PREFIX_BYTES + length);
+}
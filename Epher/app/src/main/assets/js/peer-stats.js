@@ -0,0 +1,77 @@
+import { formatFileSize } from './utils.js';
+
+const STATS_REFRESH_INTERVAL = 5000; // Ask the backend for fresh numbers every 5s
+
+class PeerStatsView {
+    constructor() {
+        this.statsList = document.getElementById('peer-stats-list');
+        this.statsEmpty = document.getElementById('peer-stats-empty');
+
+        this.peers = [];
+        this.refreshTimer = null;
+
+        this.render();
+    }
+
+    /**
+     * Poll the backend while the security panel is shown
+     * @param {boolean} active - Whether the panel is visible
+     */
+    setActive(active) {
+        if (active && !this.refreshTimer) {
+            AndroidBridge.requestStats();
+            this.refreshTimer = setInterval(() => AndroidBridge.requestStats(), STATS_REFRESH_INTERVAL);
+        } else if (!active && this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    /**
+     * Replace the statistics with the backend's latest
+     * @param {Array<Object>} peers - One entry per connection, see NetworkManager.getPeerStats
+     */
+    update(peers) {
+        this.peers = peers;
+        this.render();
+    }
+
+    render() {
+        this.statsList.replaceChildren(...this.peers.map(peer => this.createStatsElement(peer)));
+        this.statsEmpty.classList.toggle('hidden', this.peers.length > 0);
+    }
+
+    createStatsElement(peer) {
+        const item = document.createElement('mwc-list-item');
+        item.twoline = true;
+
+        const name = document.createElement('span');
+        const rtt = peer.srtt === null ? 'RTT –' : `RTT ${peer.srtt} ms`;
+        name.textContent = `${peer.peerId} · ${rtt}`;
+
+        const details = document.createElement('span');
+        details.slot = 'secondary';
+        const parts = [
+            `↓ ${formatFileSize(peer.bytesIn)} / ${peer.framesIn} frames`,
+            `↑ ${formatFileSize(peer.bytesOut)} / ${peer.framesOut} frames`
+        ];
+        const verificationTimes = peer.rooms
+            .filter(room => room.verified)
+            .map(room => `${room.verificationTime} ms`);
+        if (verificationTimes.length > 0) {
+            parts.push(`verified in ${verificationTimes.join(', ')}`);
+        }
+        if (peer.reconnects > 0) {
+            parts.push(`${peer.reconnects} reconnect${peer.reconnects === 1 ? '' : 's'}`);
+        }
+        details.textContent = parts.join(' · ');
+
+        item.append(name, details);
+        return item;
+    }
+}
+
+// Initialize peer statistics when DOM is loaded
+window.addEventListener('DOMContentLoaded', () => {
+    window.peerStats = new PeerStatsView();
+});
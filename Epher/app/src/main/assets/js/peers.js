@@ -0,0 +1,110 @@
+import { formatTimestamp } from './utils.js';
+
+const AGE_REFRESH_INTERVAL = 30000; // Re-render connection ages every 30s
+
+class PeerRoster {
+    constructor() {
+        this.drawer = document.getElementById('peers-drawer');
+        this.peersButton = document.getElementById('peers-btn');
+        this.peersList = document.getElementById('peers-list');
+        this.peersCount = document.getElementById('peers-count');
+        this.pairwiseConnections = document.getElementById('pairwise-connections');
+
+        // `${roomId}:${peerId}` => latest peer state from the backend; one
+        // peer can be in several rooms and leave each on its own
+        this.peers = new Map();
+        this.refreshTimer = null;
+
+        this.peersButton.addEventListener('click', () => {
+            this.drawer.open = true;
+        });
+
+        this.render();
+    }
+
+    /**
+     * Apply a roster event forwarded by the backend
+     * @param {{event: string, peer: Object}} update - 'peer-joined', 'peer-verified' or 'peer-left'
+     */
+    handleEvent({ event, peer }) {
+        switch (event) {
+            case 'peer-joined':
+            case 'peer-verified':
+                this.peers.set(peerKey(peer), peer);
+                break;
+            case 'peer-left':
+                this.peers.delete(peerKey(peer));
+                break;
+            default:
+                console.warn('Unknown peer event:', event);
+                return;
+        }
+
+        if (event === 'peer-verified') {
+            window.notifications.info(`Peer ${peer.peerId} verified`);
+        }
+        this.render();
+    }
+
+    /**
+     * Forget all peers, e.g. after leaving the room
+     */
+    clear() {
+        this.peers.clear();
+        this.render();
+    }
+
+    get verifiedCount() {
+        let count = 0;
+        for (const peer of this.peers.values()) {
+            if (peer.verified) count++;
+        }
+        return count;
+    }
+
+    render() {
+        this.peersList.replaceChildren(...Array.from(this.peers.values(), peer => this.createPeerElement(peer)));
+        this.peersCount.label = String(this.verifiedCount);
+        this.pairwiseConnections.textContent = `${this.verifiedCount} active`;
+        this.updateRefreshTimer();
+    }
+
+    createPeerElement(peer) {
+        const item = document.createElement('mwc-list-item');
+        item.twoline = true;
+        item.graphic = 'icon';
+
+        const icon = document.createElement('mwc-icon');
+        icon.slot = 'graphic';
+        icon.textContent = peer.verified ? 'verified_user' : 'hourglass_empty';
+
+        const name = document.createElement('span');
+        name.textContent = peer.peerId;
+
+        const details = document.createElement('span');
+        details.slot = 'secondary';
+        const state = peer.verified ? 'Verified' : 'Verifying';
+        details.textContent = `${state} · ${formatTimestamp(new Date(peer.connectedAt))}`;
+
+        item.append(icon, name, details);
+        return item;
+    }
+
+    updateRefreshTimer() {
+        if (this.peers.size > 0 && !this.refreshTimer) {
+            this.refreshTimer = setInterval(() => this.render(), AGE_REFRESH_INTERVAL);
+        } else if (this.peers.size === 0 && this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+}
+
+function peerKey({ roomId, peerId }) {
+    return `${roomId}:${peerId}`;
+}
+
+// Initialize peer roster when DOM is loaded
+window.addEventListener('DOMContentLoaded', () => {
+    window.peerRoster = new PeerRoster();
+});
@@ -26,7 +26,7 @@ export class PrivacySettingsManager {
     }
 
     setTransportMode(mode) {
-        if (mode === 'direct' || mode === 'yggdrasil') {
+        if (mode === 'direct' || mode === 'yggdrasil' || mode === 'socks5') {
             this.settings.transportMode = mode;
             this.saveSettings();
         }
@@ -1,3 +1,8 @@
+import { DEFAULT_PADDING_SCHEME } from './padding.js';
+
+const DEFAULT_PROXY_HOST = '127.0.0.1';
+const DEFAULT_PROXY_PORT = 9050; // Tor's default SOCKS port
+
 class Settings {
     constructor() {
         this.settingsModal = document.getElementById('settings-modal');
@@ -6,13 +11,22 @@ class Settings {
         
         // Security switches
         this.packetShapingSwitch = document.getElementById('packet-shaping-switch');
+        this.packetShapingRateSelect = document.getElementById('packet-shaping-rate');
+        this.paddingSchemeSelect = document.getElementById('padding-scheme');
         this.timestampJitterSwitch = document.getElementById('timestamp-jitter-switch');
         this.keepAliveSwitch = document.getElementById('keep-alive-switch');
         this.forwardSecrecySwitch = document.getElementById('forward-secrecy-switch');
+        this.deniableMessagesSwitch = document.getElementById('deniable-messages-switch');
         this.screenshotPreventionSwitch = document.getElementById('screenshot-prevention-switch');
         
-        // Transport radio buttons
+        // Transport radio buttons and proxy transport options
         this.transportRadios = document.querySelectorAll('mwc-radio[name="transport"]');
+        this.socksProxyInput = document.getElementById('socks-proxy-input');
+        this.transportPeersInput = document.getElementById('transport-peers-input');
+
+        // DHT discovery for the direct transport
+        this.bootstrapInput = document.getElementById('bootstrap-input');
+        this.localTestnetSwitch = document.getElementById('local-testnet-switch');
         
         this.initializeListeners();
         this.loadSettings();
@@ -35,6 +49,7 @@ class Settings {
             this.timestampJitterSwitch,
             this.keepAliveSwitch,
             this.forwardSecrecySwitch,
+            this.deniableMessagesSwitch,
             this.screenshotPreventionSwitch
         ];
 
@@ -44,12 +59,41 @@ class Settings {
             });
         });
 
+        // Cover traffic rate only applies while packet shaping is on
+        this.packetShapingSwitch.addEventListener('change', () => {
+            this.packetShapingRateSelect.disabled = !this.packetShapingSwitch.checked;
+        });
+        this.packetShapingRateSelect.addEventListener('change', () => {
+            this.saveSettings();
+        });
+        this.paddingSchemeSelect.addEventListener('change', () => {
+            this.saveSettings();
+        });
+
         // Save settings when transport changes
         this.transportRadios.forEach(radio => {
             radio.addEventListener('change', () => {
                 this.saveSettings();
+                this.saveTransportSettings();
             });
         });
+        this.socksProxyInput.addEventListener('change', () => {
+            if (this.validateProxyInput()) {
+                this.saveTransportSettings();
+            }
+        });
+        this.transportPeersInput.addEventListener('change', () => {
+            this.saveTransportSettings();
+        });
+
+        // Bootstrap nodes are ignored while the local testnet is on
+        this.localTestnetSwitch.addEventListener('change', () => {
+            this.bootstrapInput.disabled = this.localTestnetSwitch.checked;
+            this.saveDiscoverySettings();
+        });
+        this.bootstrapInput.addEventListener('change', () => {
+            this.saveDiscoverySettings();
+        });
     }
 
     toggleTheme() {
@@ -76,9 +120,13 @@ class Settings {
         const settings = JSON.parse(localStorage.getItem('security-settings') || '{}');
         
         this.packetShapingSwitch.checked = settings.packetShaping || false;
+        this.packetShapingRateSelect.value = String(settings.packetShapingRate || 2);
+        this.packetShapingRateSelect.disabled = !this.packetShapingSwitch.checked;
+        this.paddingSchemeSelect.value = settings.paddingScheme || DEFAULT_PADDING_SCHEME;
         this.timestampJitterSwitch.checked = settings.timestampJitter || false;
         this.keepAliveSwitch.checked = settings.keepAlive || false;
         this.forwardSecrecySwitch.checked = settings.forwardSecrecy !== false; // Default to true
+        this.deniableMessagesSwitch.checked = settings.deniableMessages || false;
         this.screenshotPreventionSwitch.checked = settings.screenshotPrevention || false;
 
         // Load transport setting
@@ -88,16 +136,143 @@ class Settings {
                 radio.checked = true;
             }
         });
+        const transportOptions = JSON.parse(localStorage.getItem('transport-options') || '{}');
+        this.socksProxyInput.value = transportOptions.proxy || '';
+        this.transportPeersInput.value = (transportOptions.peers || []).join(', ');
+        this.updateTransportFields(transport);
+
+        // Load discovery settings
+        const discovery = JSON.parse(localStorage.getItem('discovery') || '{}');
+        this.bootstrapInput.value = (discovery.bootstrap || []).join(', ');
+        this.localTestnetSwitch.checked = discovery.testnet || false;
+        this.bootstrapInput.disabled = this.localTestnetSwitch.checked;
     }
 
-    saveSettings() {
-        const settings = {
+    getSecuritySettings() {
+        return {
             packetShaping: this.packetShapingSwitch.checked,
+            packetShapingRate: parseInt(this.packetShapingRateSelect.value, 10) || 2,
+            paddingScheme: this.paddingSchemeSelect.value || DEFAULT_PADDING_SCHEME,
             timestampJitter: this.timestampJitterSwitch.checked,
             keepAlive: this.keepAliveSwitch.checked,
             forwardSecrecy: this.forwardSecrecySwitch.checked,
+            deniableMessages: this.deniableMessagesSwitch.checked,
             screenshotPrevention: this.screenshotPreventionSwitch.checked
         };
+    }
+
+    /**
+     * Transport selection in the shape the backend expects
+     * @returns {{mode: string, options: Object}} Mode and its options
+     */
+    getTransportSettings() {
+        const selected = Array.from(this.transportRadios).find(radio => radio.checked);
+        const mode = selected ? selected.value : 'direct';
+
+        const options = {};
+        if (mode === 'socks5') {
+            const proxy = this.parseProxyAddress(this.getProxyValue()) || this.parseProxyAddress('');
+            options.proxyHost = proxy.host;
+            options.proxyPort = proxy.port;
+        }
+        if (mode !== 'direct') {
+            options.peers = this.getTransportPeers();
+        }
+        return { mode, options };
+    }
+
+    getTransportPeers() {
+        return this.transportPeersInput.value
+            .split(',')
+            .map(peer => peer.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse a SOCKS5 proxy address: host or [IPv6 address], optionally
+     * followed by :port. Empty means Tor on this device.
+     * @param {string} value - Address as typed
+     * @returns {?{host: string, port: number}} Null if the address is malformed
+     */
+    parseProxyAddress(value) {
+        const address = value.trim();
+        if (!address) return { host: DEFAULT_PROXY_HOST, port: DEFAULT_PROXY_PORT };
+
+        const match = /^\[([0-9a-fA-F:.]+)\](?::(\d+))?$/.exec(address) ||
+            /^([^\s:[\]]+)(?::(\d+))?$/.exec(address);
+        if (!match) return null;
+        const port = match[2] === undefined ? DEFAULT_PROXY_PORT : Number(match[2]);
+        if (port < 1 || port > 65535) return null;
+        return { host: match[1], port };
+    }
+
+    // Flags a malformed proxy address on the field instead of saving it
+    validateProxyInput() {
+        const valid = this.parseProxyAddress(this.socksProxyInput.value) !== null;
+        this.socksProxyInput.setCustomValidity(valid ? '' : 'Enter host or host:port, e.g. 127.0.0.1:9050');
+        this.socksProxyInput.reportValidity();
+        return valid;
+    }
+
+    // The proxy field's value, or the last saved one while the field holds
+    // a malformed address
+    getProxyValue() {
+        const value = this.socksProxyInput.value.trim();
+        if (this.parseProxyAddress(value)) return value;
+        return JSON.parse(localStorage.getItem('transport-options') || '{}').proxy || '';
+    }
+
+    /**
+     * Select a transport, e.g. from the security panel switch
+     * @param {string} mode - 'direct', 'yggdrasil' or 'socks5'
+     */
+    setTransport(mode) {
+        this.transportRadios.forEach(radio => {
+            radio.checked = radio.value === mode;
+        });
+        this.saveSettings();
+        this.saveTransportSettings();
+    }
+
+    updateTransportFields(mode) {
+        this.socksProxyInput.classList.toggle('hidden', mode !== 'socks5');
+        this.transportPeersInput.classList.toggle('hidden', mode === 'direct');
+    }
+
+    saveTransportSettings() {
+        const transport = this.getTransportSettings();
+        localStorage.setItem('transport-options', JSON.stringify({
+            proxy: this.getProxyValue(),
+            peers: this.getTransportPeers()
+        }));
+        this.updateTransportFields(transport.mode);
+
+        window.dispatchEvent(new CustomEvent('transport-changed', { detail: transport }));
+    }
+
+    /**
+     * DHT discovery settings in the shape the backend expects
+     * @returns {{bootstrap: string[], testnet: boolean}} Bootstrap nodes and testnet flag
+     */
+    getDiscoverySettings() {
+        return {
+            bootstrap: this.bootstrapInput.value
+                .split(',')
+                .map(node => node.trim())
+                .filter(Boolean),
+            testnet: this.localTestnetSwitch.checked
+        };
+    }
+
+    saveDiscoverySettings() {
+        const discovery = this.getDiscoverySettings();
+        localStorage.setItem('discovery', JSON.stringify(discovery));
+
+        window.dispatchEvent(new CustomEvent('discovery-changed', { detail: discovery }));
+    }
+
+    saveSettings() {
+        const settings = this.getSecuritySettings();
 
         localStorage.setItem('security-settings', JSON.stringify(settings));
 
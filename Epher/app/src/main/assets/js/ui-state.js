@@ -41,20 +41,27 @@ class UIStateManager {
     }
 
     /**
-     * Update room connection state
-     * @param {boolean} isConnected - Whether room is connected
+     * Update room connection state; a status in an unknown state leaves
+     * the display as it was
+     * @param {Object} status - The backend's connection status
+     * @param {string} status.state - starting, joining, announcing, connected,
+     *     degraded, disconnected or error
+     * @param {number} [status.peers] - Verified peers, when connected
+     * @param {number} [status.attempt] - Reconnect attempt, when degraded
+     * @param {number} [status.maxAttempts] - Attempts before giving up, when degraded
+     * @param {string} [status.message] - What went wrong, on error
      */
-    updateConnectionState(isConnected) {
-        const connectionStatus = document.getElementById('connection-status');
-        if (isConnected) {
-            connectionStatus.label = 'Connected';
-            connectionStatus.icon = 'check_circle';
-            document.querySelector('.room-actions').classList.remove('hidden');
-        } else {
-            connectionStatus.label = 'Disconnected';
-            connectionStatus.icon = 'error';
-            document.querySelector('.room-actions').classList.add('hidden');
+    updateConnectionState(status) {
+        const description = status && describeConnectionState(status);
+        if (!description) {
+            console.warn('Ignoring unknown connection status:', status);
+            return;
         }
+        const connectionStatus = document.getElementById('connection-status');
+        const { label, icon } = description;
+        connectionStatus.label = label;
+        connectionStatus.icon = icon;
+        document.querySelector('.room-actions').classList.toggle('hidden', status.state === 'disconnected');
     }
 
     /**
@@ -74,6 +81,7 @@ class UIStateManager {
 
     /**
      * Toggle security panel visibility
+     * @returns {boolean} Whether the panel is now shown
      */
     toggleSecurityPanel() {
         const securityPanel = document.getElementById('security-panel');
@@ -86,6 +94,7 @@ class UIStateManager {
             securityPanel.classList.add('hidden');
             expandButton.icon = 'expand_less';
         }
+        return !securityPanel.classList.contains('hidden');
     }
 
     /**
@@ -102,6 +111,27 @@ class UIStateManager {
     }
 }
 
+function describeConnectionState({ state, peers, attempt, maxAttempts, message }) {
+    switch (state) {
+        case 'starting':
+            return { label: 'Starting', icon: 'hourglass_empty' };
+        case 'joining':
+            return { label: 'Joining', icon: 'sync' };
+        case 'announcing':
+            return { label: 'Waiting for peers', icon: 'wifi_tethering' };
+        case 'connected':
+            return { label: `Connected · ${peers} ${peers === 1 ? 'peer' : 'peers'}`, icon: 'check_circle' };
+        case 'degraded':
+            return { label: `Reconnecting ${attempt}/${maxAttempts}`, icon: 'sync_problem' };
+        case 'error':
+            return { label: message ? `Error: ${message}` : 'Error', icon: 'error' };
+        case 'disconnected':
+            return { label: 'Disconnected', icon: 'error' };
+        default:
+            return null;
+    }
+}
+
 // Initialize UI state manager when DOM is loaded
 window.addEventListener('DOMContentLoaded', () => {
     window.uiState = new UIStateManager();
@@ -109,7 +139,7 @@ window.addEventListener('DOMContentLoaded', () => {
 
 // Example usage:
 // uiState.startLoading('connecting');
-// uiState.updateConnectionState(true);
+// uiState.updateConnectionState({ state: 'connected', peers: 2 });
 // uiState.updateCryptoState(true);
 // uiState.updateSessionTimer(3600);
 // await uiState.withLoading(someAsyncOperation(), 'operation');
@@ -0,0 +1,242 @@
+/* ------------------------------------------------------------------
+   x3dh.js  –  X3DH key agreement (Signal spec) for the crypto worker
+   Keys never leave the worker; bundles and headers carry public keys only
+   --------------------------------------------------------------- */
+
+// Functions take the worker's libsodium instance rather than importing one,
+// so tests can run them against libsodium-wrappers.
+
+export const ONE_TIME_PREKEYS = 20; // kept on offer in every bundle
+export const SIGNED_PREKEY_LIFETIME = 24 * 60 * 60 * 1000; // ms before rotating
+const KDF_INFO = 'Epher X3DH';
+const CONFIRM_INFO = 'Epher X3DH confirm';
+const CONFIRM_BYTES = 16;
+
+/*
+ * HKDF (RFC 5869) with keyed BLAKE2b in place of HMAC-SHA256. libsodium.js
+ * only has HMAC-SHA256 (crypto_auth_hmacsha256*) in its sumo build, which
+ * the worker loads for Argon2id; the standard libsodium-wrappers build
+ * these functions also run on, in tests among others, has neither it nor
+ * SHA-256. crypto_kdf_hkdf_sha256_* is only exported as constants in
+ * either. Keyed BLAKE2b is a PRF, which is all HKDF asks of HMAC, and
+ * crypto_generichash is in every build. Moving to HKDF-SHA256 would
+ * change every key derived here, breaking sessions with older peers.
+ */
+export function hkdf(sodium, ikm, info, length = 32, salt = new Uint8Array(32)) {
+    const prk = sodium.crypto_generichash(32, ikm, salt);
+    const infoBytes = typeof info === 'string' ? sodium.from_string(info) : info;
+    const out = new Uint8Array(length);
+    let block = new Uint8Array(0);
+    for (let i = 1, offset = 0; offset < length; i++, offset += 32) {
+        block = sodium.crypto_generichash(32, concat(block, infoBytes, Uint8Array.of(i)), prk);
+        out.set(block.subarray(0, Math.min(32, length - offset)), offset);
+    }
+    sodium.memzero(prk);
+    return out;
+}
+
+export function concat(...parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+export function toBase64(sodium, bytes) {
+    return sodium.to_base64(bytes, sodium.base64_variants.ORIGINAL);
+}
+
+export function fromBase64(sodium, text) {
+    if (typeof text !== 'string') throw new Error('Expected a base64 key');
+    return sodium.from_base64(text, sodium.base64_variants.ORIGINAL);
+}
+
+// SK = KDF(F || DH1 || DH2 || DH3 [|| DH4]), F being 32 0xFF bytes so the
+// input never starts like a valid X25519 output
+function deriveSharedKey(sodium, dhs) {
+    const ikm = concat(new Uint8Array(32).fill(0xff), ...dhs);
+    const sharedKey = hkdf(sodium, ikm, KDF_INFO);
+    sodium.memzero(ikm);
+    for (const dh of dhs) sodium.memzero(dh);
+    return sharedKey;
+}
+
+// Proves to the responder that the initiator derived the same key, before
+// a header is allowed to replace a session or use up a one-time prekey
+function confirmationTag(sodium, sharedKey, associatedData) {
+    const key = hkdf(sodium, sharedKey, CONFIRM_INFO);
+    const tag = sodium.crypto_generichash(CONFIRM_BYTES, associatedData, key);
+    sodium.memzero(key);
+    return tag;
+}
+
+/*
+ * Our identity and prekeys. The identity key is Ed25519, so it can sign
+ * the signed prekey; its X25519 form takes part in the DH steps.
+ */
+export class PreKeyStore {
+    constructor(sodium, identityKeyPair = sodium.crypto_sign_keypair()) {
+        this.sodium = sodium;
+        this.identityKeyPair = identityKeyPair;
+        this.signedPreKeys = new Map(); // id => { keyPair, signature, createdAt }
+        this.signedPreKeyId = 0;
+        this.oneTimePreKeys = new Map(); // id => keyPair
+        this.nextOneTimePreKeyId = 1;
+        this.rotateSignedPreKey();
+    }
+
+    get identityKey() {
+        return this.identityKeyPair.publicKey;
+    }
+
+    // The previous signed prekey stays around for initial messages that
+    // were built from an older bundle
+    rotateSignedPreKey() {
+        const keyPair = this.sodium.crypto_box_keypair();
+        const signature = this.sodium.crypto_sign_detached(keyPair.publicKey, this.identityKeyPair.privateKey);
+        this.signedPreKeyId++;
+        this.signedPreKeys.set(this.signedPreKeyId, { keyPair, signature, createdAt: Date.now() });
+
+        for (const [id, { keyPair: old }] of this.signedPreKeys) {
+            if (id < this.signedPreKeyId - 1) {
+                this.sodium.memzero(old.privateKey);
+                this.signedPreKeys.delete(id);
+            }
+        }
+    }
+
+    replenish(count = ONE_TIME_PREKEYS) {
+        while (this.oneTimePreKeys.size < count) {
+            this.oneTimePreKeys.set(this.nextOneTimePreKeyId++, this.sodium.crypto_box_keypair());
+        }
+    }
+
+    /**
+     * Public half of our keys, for peers to start sessions with
+     * @returns {{identityKey: string, signedPreKey: Object, oneTimePreKeys: Array}} base64 keys
+     */
+    bundle() {
+        const current = this.signedPreKeys.get(this.signedPreKeyId);
+        if (Date.now() - current.createdAt > SIGNED_PREKEY_LIFETIME) {
+            this.rotateSignedPreKey();
+        }
+        this.replenish();
+
+        const sodium = this.sodium;
+        const { keyPair, signature } = this.signedPreKeys.get(this.signedPreKeyId);
+        return {
+            identityKey: toBase64(sodium, this.identityKey),
+            signedPreKey: {
+                keyId: this.signedPreKeyId,
+                publicKey: toBase64(sodium, keyPair.publicKey),
+                signature: toBase64(sodium, signature)
+            },
+            oneTimePreKeys: [...this.oneTimePreKeys].map(([keyId, oneTime]) => ({
+                keyId,
+                publicKey: toBase64(sodium, oneTime.publicKey)
+            }))
+        };
+    }
+
+    wipe() {
+        this.sodium.memzero(this.identityKeyPair.privateKey);
+        for (const { keyPair } of this.signedPreKeys.values()) this.sodium.memzero(keyPair.privateKey);
+        for (const keyPair of this.oneTimePreKeys.values()) this.sodium.memzero(keyPair.privateKey);
+        this.signedPreKeys.clear();
+        this.oneTimePreKeys.clear();
+    }
+}
+
+/**
+ * Start a session from a peer's bundle, as the initiator
+ * @returns {{sharedKey: Uint8Array, associatedData: Uint8Array, peerIdentityKey: Uint8Array, header: Object}}
+ *     header goes to the peer so it can derive the same key
+ */
+export function initiate(sodium, store, bundle) {
+    const peerIdentityKey = fromBase64(sodium, bundle.identityKey);
+    const signedPreKey = fromBase64(sodium, bundle.signedPreKey.publicKey);
+    const signature = fromBase64(sodium, bundle.signedPreKey.signature);
+    if (!sodium.crypto_sign_verify_detached(signature, signedPreKey, peerIdentityKey)) {
+        throw new Error('Invalid signed prekey signature');
+    }
+
+    // Any one of the offered one-time prekeys; bundles without one still work
+    const offered = Array.isArray(bundle.oneTimePreKeys) ? bundle.oneTimePreKeys : [];
+    const oneTime = offered.length > 0
+        ? offered[sodium.randombytes_uniform(offered.length)]
+        : null;
+
+    const identity = sodium.crypto_sign_ed25519_sk_to_curve25519(store.identityKeyPair.privateKey);
+    const peerIdentity = sodium.crypto_sign_ed25519_pk_to_curve25519(peerIdentityKey);
+    const ephemeral = sodium.crypto_box_keypair();
+
+    const dhs = [
+        sodium.crypto_scalarmult(identity, signedPreKey),
+        sodium.crypto_scalarmult(ephemeral.privateKey, peerIdentity),
+        sodium.crypto_scalarmult(ephemeral.privateKey, signedPreKey)
+    ];
+    if (oneTime) {
+        dhs.push(sodium.crypto_scalarmult(ephemeral.privateKey, fromBase64(sodium, oneTime.publicKey)));
+    }
+    const sharedKey = deriveSharedKey(sodium, dhs);
+    sodium.memzero(identity);
+    sodium.memzero(ephemeral.privateKey);
+
+    const associatedData = concat(store.identityKey, peerIdentityKey);
+    const header = {
+        identityKey: toBase64(sodium, store.identityKey),
+        ephemeralKey: toBase64(sodium, ephemeral.publicKey),
+        signedPreKeyId: bundle.signedPreKey.keyId,
+        confirm: toBase64(sodium, confirmationTag(sodium, sharedKey, associatedData))
+    };
+    if (oneTime) header.oneTimePreKeyId = oneTime.keyId;
+
+    return { sharedKey, associatedData, peerIdentityKey, header };
+}
+
+/**
+ * Accept a session a peer started with one of our bundles. The one-time
+ * prekey it used is deleted, so the same header works only once.
+ * @returns {{sharedKey: Uint8Array, associatedData: Uint8Array, peerIdentityKey: Uint8Array, signedPreKey: Object}}
+ *     signedPreKey is the key pair the peer used
+ */
+export function respond(sodium, store, header) {
+    const signed = store.signedPreKeys.get(header.signedPreKeyId);
+    if (!signed) throw new Error('Unknown signed prekey');
+    const hasOneTime = header.oneTimePreKeyId !== undefined;
+    const oneTime = hasOneTime ? store.oneTimePreKeys.get(header.oneTimePreKeyId) : null;
+    if (hasOneTime && !oneTime) throw new Error('Unknown one-time prekey');
+
+    const peerIdentityKey = fromBase64(sodium, header.identityKey);
+    if (sodium.memcmp(peerIdentityKey, store.identityKey)) {
+        throw new Error('Session header from our own identity');
+    }
+    const ephemeralKey = fromBase64(sodium, header.ephemeralKey);
+    const identity = sodium.crypto_sign_ed25519_sk_to_curve25519(store.identityKeyPair.privateKey);
+    const peerIdentity = sodium.crypto_sign_ed25519_pk_to_curve25519(peerIdentityKey);
+
+    const dhs = [
+        sodium.crypto_scalarmult(signed.keyPair.privateKey, peerIdentity),
+        sodium.crypto_scalarmult(identity, ephemeralKey),
+        sodium.crypto_scalarmult(signed.keyPair.privateKey, ephemeralKey)
+    ];
+    if (oneTime) dhs.push(sodium.crypto_scalarmult(oneTime.privateKey, ephemeralKey));
+    const sharedKey = deriveSharedKey(sodium, dhs);
+    sodium.memzero(identity);
+
+    const associatedData = concat(peerIdentityKey, store.identityKey);
+    const expected = confirmationTag(sodium, sharedKey, associatedData);
+    if (!sodium.memcmp(expected, fromBase64(sodium, header.confirm))) {
+        sodium.memzero(sharedKey);
+        throw new Error('Session key confirmation failed');
+    }
+
+    if (oneTime) {
+        sodium.memzero(oneTime.privateKey);
+        store.oneTimePreKeys.delete(header.oneTimePreKeyId);
+    }
+    return { sharedKey, associatedData, peerIdentityKey, signedPreKey: signed.keyPair };
+}
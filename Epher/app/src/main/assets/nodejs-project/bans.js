@@ -0,0 +1,141 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+
+const BASE_BAN = 60 * 1000;                // first offence: one minute
+const BAN_GROWTH = 4;                      // each further offence bans 4x longer
+const MAX_BAN = 24 * 60 * 60 * 1000;       // never longer than a day
+const OFFENCE_MEMORY = 24 * 60 * 60 * 1000; // offences are forgiven after a quiet day
+
+/*
+ * Misbehaving peers, keyed on their Noise public key (hex).
+ *
+ * A ban either covers every connection or, given a room handle, only that
+ * room's handshake; the two are counted separately, so failing one room's
+ * handshake doesn't lengthen a ban for flooding. Every offence bans the key
+ * for longer than the last: a peer failing the room handshake by mistake is
+ * back a minute later, one that keeps at it is kept out for up to a day.
+ * Offences are forgotten once a key has behaved for OFFENCE_MEMORY.
+ *
+ * With a `file` the list survives restarts. Only public keys, room handles,
+ * counts and times are stored, no room ids and nothing about messages.
+ *
+ * Events: 'change' whenever a ban is added or cleared
+ */
+class BanList extends EventEmitter {
+    constructor({ file = null } = {}) {
+        super();
+        this.file = file;
+        this.entries = new Map(); // id => { key, room, offences, reason, lastOffence, bannedUntil }
+    }
+
+    static keyOf(publicKey) {
+        return typeof publicKey === 'string' ? publicKey : Buffer.from(publicKey).toString('hex');
+    }
+
+    // Bans without a room keep the bare key as id, as they always have
+    static idOf(key, room) {
+        return room ? `${room}/${key}` : key;
+    }
+
+    load(file = this.file) {
+        this.file = file;
+        if (!file || !fs.existsSync(file)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            for (const [id, entry] of Object.entries(saved)) {
+                this.entries.set(id, { key: id, room: null, ...entry });
+            }
+            this.prune();
+        } catch (error) {
+            console.error('Failed to load ban list, starting empty:', error.message);
+            this.entries.clear();
+        }
+    }
+
+    save() {
+        if (!this.file) return;
+        try {
+            // Write aside and rename, so a crash never leaves half a file
+            const temporary = `${this.file}.tmp`;
+            fs.writeFileSync(temporary, JSON.stringify(Object.fromEntries(this.entries)), { mode: 0o600 });
+            fs.renameSync(temporary, this.file);
+        } catch (error) {
+            console.error('Failed to save ban list:', error.message);
+        }
+    }
+
+    /**
+     * Records an offence and bans the key for a duration that grows with
+     * each offence
+     * @param {string} [room] Handle of the room to ban the key from; without
+     *   one the key is banned from every connection
+     * @returns {number} When the ban ends, in ms since the epoch
+     */
+    recordOffence(publicKey, reason, room = null) {
+        const key = BanList.keyOf(publicKey);
+        const id = BanList.idOf(key, room);
+        const now = Date.now();
+        const previous = this.entries.get(id);
+        const offences = previous && now - previous.lastOffence < OFFENCE_MEMORY
+            ? previous.offences + 1
+            : 1;
+        const duration = Math.min(BASE_BAN * Math.pow(BAN_GROWTH, offences - 1), MAX_BAN);
+
+        const entry = { key, room, offences, reason, lastOffence: now, bannedUntil: now + duration };
+        this.prune();
+        this.entries.set(id, entry);
+        console.warn(`Banned peer for ${Math.round(duration / 1000)}s after offence ${offences}: ${reason}`);
+        this.save();
+        this.emit('change');
+        return entry.bannedUntil;
+    }
+
+    // Whether the key is banned from the room, or everywhere without one.
+    // A room ban doesn't count as banned everywhere.
+    isBanned(publicKey, room = null) {
+        const entry = this.entries.get(BanList.idOf(BanList.keyOf(publicKey), room));
+        return Boolean(entry) && entry.bannedUntil > Date.now();
+    }
+
+    /**
+     * Keys banned right now, soonest to expire first
+     * @returns {Array<{key: string, room: ?string, offences: number, reason: string, bannedUntil: number}>}
+     */
+    list() {
+        const now = Date.now();
+        return [...this.entries.values()]
+            .filter(entry => entry.bannedUntil > now)
+            .map(({ key, room, offences, reason, bannedUntil }) => ({ key, room, offences, reason, bannedUntil }))
+            .sort((a, b) => a.bannedUntil - b.bannedUntil);
+    }
+
+    // Lifts the key's bans, in every room, and forgets its offences; without
+    // a key, for everyone
+    clear(publicKey) {
+        if (publicKey === undefined || publicKey === null) {
+            this.entries.clear();
+        } else {
+            const key = BanList.keyOf(publicKey);
+            for (const [id, entry] of this.entries) {
+                if (entry.key === key) this.entries.delete(id);
+            }
+        }
+        this.save();
+        this.emit('change');
+    }
+
+    // Drops keys whose ban is over and whose offences are forgiven
+    prune() {
+        const now = Date.now();
+        for (const [id, entry] of this.entries) {
+            if (entry.bannedUntil <= now && now - entry.lastOffence >= OFFENCE_MEMORY) {
+                this.entries.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = {
+    BanList
+};
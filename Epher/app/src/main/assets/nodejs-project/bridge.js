@@ -0,0 +1,156 @@
+const { EventEmitter } = require('events');
+const net = require('net');
+const path = require('path');
+const { BRIDGE_DEFAULTS } = require('./config');
+const { ReconnectController } = require('./reconnect');
+
+/*
+ * Where the backend finds the UI side that drives it (see rpc.js). The
+ * backend always dials out; the UI side listens. An endpoint is one of
+ *
+ *   unix:PATH         a Unix socket, what the Android bridge uses
+ *   tcp:[HOST:]PORT   loopback TCP, HOST being 127.0.0.1 unless given;
+ *                     needs a shared token, see below
+ *   stdio             stdin/stdout of the process, for a parent process
+ *
+ * A bare path is taken as a Unix socket. Any local process can reach a
+ * loopback port, so over TCP the UI side proves itself by sending the
+ * token in its hello; nothing is answered otherwise. Pass the token in
+ * the environment rather than on the command line, where other users can
+ * read it.
+ */
+const ANDROID_FILES_DIR = '/data/data/io.epher.chat/files';
+const DEFAULT_TCP_HOST = '127.0.0.1';
+const LOOPBACK_HOSTS = new Set(['localhost', '::1']);
+const MIN_TOKEN_LENGTH = 16;
+
+function isLoopback(host) {
+    return LOOPBACK_HOSTS.has(host) || (net.isIPv4(host) && host.startsWith('127.'));
+}
+
+function parseEndpoint(spec) {
+    if (spec === 'stdio') return { type: 'stdio' };
+    if (spec.startsWith('unix:')) {
+        const socketPath = spec.slice('unix:'.length);
+        if (!socketPath) throw new Error('Bridge endpoint unix: needs a socket path');
+        return { type: 'unix', path: socketPath };
+    }
+    if (spec.startsWith('tcp:')) {
+        // tcp:PORT, tcp:HOST:PORT or tcp:[IPv6]:PORT
+        const match = /^(?:\[([^\]]+)\]:|([^:]+):)?(\d+)$/.exec(spec.slice('tcp:'.length));
+        if (!match) throw new Error(`Bridge endpoint ${spec} is not tcp:[HOST:]PORT`);
+        const host = match[1] || match[2] || DEFAULT_TCP_HOST;
+        const port = Number(match[3]);
+        if (!isLoopback(host)) {
+            throw new Error(`Bridge endpoint ${spec} is not on a loopback address`);
+        }
+        if (port < 1 || port > 65535) throw new Error(`Bridge endpoint ${spec} has an invalid port`);
+        return { type: 'tcp', host, port };
+    }
+    if (spec.includes('/')) return { type: 'unix', path: spec };
+    throw new Error(`Unknown bridge endpoint: ${spec}`);
+}
+
+/**
+ * Bridge settings from the command line, then the environment, then the
+ * Android defaults:
+ *   --bridge ENDPOINT   EPHER_BRIDGE        see above; unix:DATA_DIR/epher.sock
+ *   --data-dir DIR      EPHER_DATA_DIR      where the ban list is kept
+ *   --token TOKEN       EPHER_BRIDGE_TOKEN  required over TCP
+ * @returns {{endpoint: Object, dataDir: string, token: ?string}}
+ */
+function parseBridgeConfig(argv = [], env = {}) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const name = { '--bridge': 'bridge', '--data-dir': 'dataDir', '--token': 'token' }[argv[i]];
+        if (!name) throw new Error(`Unknown argument: ${argv[i]}`);
+        if (i + 1 >= argv.length) throw new Error(`${argv[i]} needs a value`);
+        args[name] = argv[++i];
+    }
+
+    const dataDir = args.dataDir || env.EPHER_DATA_DIR || ANDROID_FILES_DIR;
+    const endpoint = parseEndpoint(args.bridge || env.EPHER_BRIDGE || `unix:${path.join(dataDir, 'epher.sock')}`);
+    const token = args.token || env.EPHER_BRIDGE_TOKEN || null;
+    if (endpoint.type === 'tcp' && (!token || token.length < MIN_TOKEN_LENGTH)) {
+        throw new Error(`A bridge over TCP needs a token of at least ${MIN_TOKEN_LENGTH} characters`);
+    }
+    return { endpoint, dataDir, token };
+}
+
+/*
+ * Keeps the backend connected to the UI side. Emits 'connection' with
+ * { input, output } streams each time it gets through; when that connection
+ * drops, it dials again with backoff until stop(). Over stdio there is only
+ * ever the one connection, and 'end' once stdin closes.
+ */
+class BridgeConnector extends EventEmitter {
+    constructor(endpoint, { limits = BRIDGE_DEFAULTS, connect = net.createConnection } = {}) {
+        super();
+        this.endpoint = endpoint;
+        this.createConnection = connect;
+        this.socket = null;
+        this.stopped = false;
+        this.reconnect = new ReconnectController({ attempt: () => this.attempt(), limits });
+    }
+
+    start() {
+        if (this.endpoint.type === 'stdio') {
+            process.stdin.on('end', () => this.emit('end'));
+            this.emit('connection', { input: process.stdin, output: process.stdout });
+            return;
+        }
+        this.connect().catch((error) => {
+            console.error('Bridge connection failed:', error.message);
+            this.reconnect.schedule();
+        });
+    }
+
+    async attempt() {
+        // Resetting keeps the controller from scheduling another try
+        if (this.stopped) {
+            this.reconnect.reset();
+            return;
+        }
+        await this.connect();
+    }
+
+    // Resolves once connected, rejects if the connection failed
+    connect() {
+        const options = this.endpoint.type === 'unix'
+            ? { path: this.endpoint.path }
+            : { host: this.endpoint.host, port: this.endpoint.port };
+
+        return new Promise((resolve, reject) => {
+            const socket = this.createConnection(options);
+            let connected = false;
+            socket.once('connect', () => {
+                connected = true;
+                this.socket = socket;
+                this.reconnect.reset();
+                this.emit('connection', { input: socket, output: socket });
+                resolve();
+            });
+            socket.on('error', (error) => {
+                if (!connected) reject(error);
+                else console.error('Bridge connection error:', error.message);
+            });
+            socket.once('close', () => {
+                if (this.socket === socket) this.socket = null;
+                // Failed attempts are rescheduled by whoever made them
+                if (connected && !this.stopped) this.reconnect.schedule();
+            });
+        });
+    }
+
+    stop() {
+        this.stopped = true;
+        this.reconnect.stop();
+        if (this.socket) this.socket.destroy();
+    }
+}
+
+module.exports = {
+    parseEndpoint,
+    parseBridgeConfig,
+    BridgeConnector
+};
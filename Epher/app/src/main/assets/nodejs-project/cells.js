@@ -0,0 +1,133 @@
+const sodium = require('libsodium-wrappers');
+const { FRAME_HEADER_BYTES, encodeFrame } = require('./framing');
+
+// Every frame on the wire is exactly one cell, frame header included.
+// Sized so a typical sealed text envelope fits in one cell.
+const CELL_SIZE = 2048;
+const CELL_PAYLOAD_BYTES = CELL_SIZE - FRAME_HEADER_BYTES;
+const ID_BYTES = 8;
+// id, index (uint32), count (uint32), fragment length (uint16)
+const CELL_HEADER_BYTES = ID_BYTES + 4 + 4 + 2;
+const FRAGMENT_BYTES = CELL_PAYLOAD_BYTES - CELL_HEADER_BYTES;
+
+/*
+ * Splits payloads into uniform cells and puts them back together.
+ *
+ * A payload of any size becomes `count` cells of CELL_SIZE bytes, each
+ * carrying a random per-payload id, its index and the count. Cells are cut
+ * lazily, one per nextCell() call, so a sender can interleave the cells of
+ * several payloads and a multi-megabyte file never sits on the wire as one
+ * write. Everything but the cell count is hidden inside the Noise stream,
+ * and `paddedLength` hides the count too: cells past the end of the payload
+ * carry no data.
+ */
+class OutgoingPayload {
+    constructor(payload, paddedLength = payload.length) {
+        this.payload = payload;
+        this.id = Buffer.from(sodium.randombytes_buf(ID_BYTES));
+        this.count = Math.max(1, Math.ceil(Math.max(paddedLength, payload.length) / FRAGMENT_BYTES));
+        this.index = 0;
+    }
+
+    get done() {
+        return this.index >= this.count;
+    }
+
+    // Bytes this payload still puts on the wire
+    get remainingBytes() {
+        return (this.count - this.index) * CELL_SIZE;
+    }
+
+    nextCell() {
+        const start = this.index * FRAGMENT_BYTES;
+        const fragment = this.payload.subarray(start, start + FRAGMENT_BYTES);
+
+        // Zero-filled, so whatever the fragment leaves over is padding
+        const cell = Buffer.alloc(CELL_PAYLOAD_BYTES);
+        this.id.copy(cell, 0);
+        cell.writeUInt32BE(this.index, ID_BYTES);
+        cell.writeUInt32BE(this.count, ID_BYTES + 4);
+        cell.writeUInt16BE(fragment.length, ID_BYTES + 8);
+        fragment.copy(cell, CELL_HEADER_BYTES);
+
+        this.index++;
+        return encodeFrame(cell);
+    }
+}
+
+/*
+ * Collects the cells of incoming payloads, which may arrive interleaved.
+ * Partial payloads are capped in size and number, and dropped when no cell
+ * for them arrived within reassemblyTimeout. push() throws on cells an
+ * honest peer never sends; the connection should be dropped then.
+ */
+class Reassembler {
+    constructor(limits) {
+        this.limits = limits;
+        this.partial = new Map(); // id hex => { count, received, fragments, lastCellAt }
+    }
+
+    // Returns the payload this cell completes, or null
+    push(cell) {
+        if (cell.length !== CELL_PAYLOAD_BYTES) {
+            throw new Error(`Invalid cell: ${cell.length} bytes`);
+        }
+        const id = cell.toString('hex', 0, ID_BYTES);
+        const index = cell.readUInt32BE(ID_BYTES);
+        const count = cell.readUInt32BE(ID_BYTES + 4);
+        const length = cell.readUInt16BE(ID_BYTES + 8);
+
+        if (count === 0 || index >= count || length > FRAGMENT_BYTES) {
+            throw new Error('Invalid cell header');
+        }
+        if (count * FRAGMENT_BYTES > this.limits.maxMessageSize + FRAGMENT_BYTES) {
+            throw new Error(`Invalid cell: ${count} cells exceeds the message size limit`);
+        }
+        const fragment = cell.subarray(CELL_HEADER_BYTES, CELL_HEADER_BYTES + length);
+
+        // The common case: a payload that fits in one cell
+        if (count === 1) return Buffer.from(fragment);
+
+        this.prune();
+        let entry = this.partial.get(id);
+        if (!entry) {
+            if (this.partial.size >= this.limits.maxPartialMessages) {
+                // Maps iterate in insertion order, so this drops the oldest
+                this.partial.delete(this.partial.keys().next().value);
+            }
+            entry = { count, received: 0, fragments: new Array(count), lastCellAt: 0 };
+            this.partial.set(id, entry);
+        }
+        if (entry.count !== count || entry.fragments[index]) {
+            throw new Error('Invalid cell: inconsistent or repeated fragment');
+        }
+
+        entry.fragments[index] = Buffer.from(fragment);
+        entry.received++;
+        entry.lastCellAt = Date.now();
+        if (entry.received < count) return null;
+
+        this.partial.delete(id);
+        return Buffer.concat(entry.fragments);
+    }
+
+    // Drops partial payloads the sender stopped sending
+    prune() {
+        const cutoff = Date.now() - this.limits.reassemblyTimeout;
+        for (const [id, entry] of this.partial) {
+            if (entry.lastCellAt < cutoff) this.partial.delete(id);
+        }
+    }
+
+    clear() {
+        this.partial.clear();
+    }
+}
+
+module.exports = {
+    CELL_SIZE,
+    CELL_PAYLOAD_BYTES,
+    FRAGMENT_BYTES,
+    OutgoingPayload,
+    Reassembler
+};
@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { RpcClient } = require('./rpc-client');
+
+/*
+ * Headless client for the backend, to run peers and scripted sessions on a
+ * desktop machine without the app:
+ *
+ *   node cli.js [--room ROOM] [--socket PATH | --tcp PORT]
+ *               [--data-dir DIR] [--transport MODE] [--testnet] [--verbose]
+ *
+ * By default it starts start.js as a child process and speaks the protocol
+ * (see rpc.js) over the child's stdin/stdout. With --socket or --tcp it
+ * listens on that Unix socket or loopback port instead, the way the Android
+ * bridge does, and waits for a backend started by hand (see bridge.js).
+ * Over TCP the backend needs the token the CLI prints, or the one in
+ * EPHER_BRIDGE_TOKEN. Lines read from stdin are sent
+ * to the room; commands start with a slash, see HELP. Piping a file of
+ * lines in makes for scripted sessions.
+ *
+ * The password for --room or /join comes from EPHER_PASSWORD, or is asked
+ * for on the terminal. It is never taken as an argument or an input line,
+ * where ps, the shell history or the terminal would show it.
+ *
+ * Messages go out as { type: 'plaintext', text } envelopes. Peers still
+ * prove they know the room password and the transport is encrypted, but
+ * there is no end-to-end message encryption as in the app. The CLI only
+ * talks to other CLI peers: the app drops plaintext envelopes, and the CLI
+ * can't read the app's.
+ *
+ * Network limits are the app's, read from js/config/security.js, so the CLI
+ * only runs from a checkout of the whole app.
+ */
+const HELP = [
+    '/join ROOM       join a room; later messages go to it',
+    '/leave [ROOM]    leave the current room, or ROOM',
+    '/peers           list connected peers',
+    '/stats           show per-peer traffic',
+    '/status          show the connection status',
+    '/wait SECONDS    pause before the next line, for scripts',
+    '/quit            leave every room and exit',
+    'anything else    send it to the current room'
+].join('\n');
+
+// Same derivation as the app's cryptoWorker, so CLI peers and phones can
+// share a room. crypto_pwhash is only in the sumo build of libsodium.js.
+async function derivePSK(room, password) {
+    const sodium = require('libsodium-wrappers-sumo');
+    await sodium.ready;
+    const salt = sodium.crypto_generichash(16, sodium.from_string(room));
+    return Buffer.from(sodium.crypto_pwhash(
+        32,
+        sodium.from_string(password),
+        salt,
+        sodium.crypto_pwhash_OPSLIMIT_MODERATE,
+        sodium.crypto_pwhash_MEMLIMIT_MODERATE,
+        sodium.crypto_pwhash_ALG_ARGON2ID13
+    ));
+}
+
+// Reads a password from the terminal without echoing it
+function promptPassword(prompt) {
+    const input = process.stdin;
+    if (!input.isTTY) {
+        return Promise.reject(new Error('No terminal to ask for the password on, set EPHER_PASSWORD'));
+    }
+    // Takes stdin over while asking, so a running session's line reader
+    // doesn't send the password to the room
+    const readers = input.listeners('data');
+    const wasPaused = input.isPaused();
+    input.removeAllListeners('data');
+    return new Promise((resolve, reject) => {
+        let password = [];
+        const finish = () => {
+            input.removeListener('data', onData);
+            input.setRawMode(false);
+            for (const reader of readers) input.on('data', reader);
+            if (wasPaused) input.pause();
+            process.stderr.write('\n');
+        };
+        const onData = (chunk) => {
+            for (const char of chunk.toString('utf8')) {
+                switch (char) {
+                    case '\r':
+                    case '\n':
+                    case '\u0004': // Ctrl-D
+                        finish();
+                        resolve(password.join(''));
+                        return;
+                    case '\u0003': // Ctrl-C
+                        finish();
+                        reject(new Error('Cancelled'));
+                        return;
+                    case '\u007f': // Backspace
+                    case '\b':
+                        password = password.slice(0, -1);
+                        break;
+                    default:
+                        password.push(char);
+                }
+            }
+        };
+        process.stderr.write(prompt);
+        input.setRawMode(true);
+        input.resume();
+        input.on('data', onData);
+    });
+}
+
+function readPassword(room, { env = process.env, prompt = promptPassword } = {}) {
+    if (env.EPHER_PASSWORD) return Promise.resolve(env.EPHER_PASSWORD);
+    return prompt(`Password for ${room}: `);
+}
+
+/*
+ * Turns input lines into requests and notifications into output lines.
+ * Kept apart from the process plumbing below so it can run against any
+ * RpcClient.
+ */
+class CliSession {
+    constructor({ client, print, derive = derivePSK, password = readPassword, joinOptions = {} }) {
+        this.client = client;
+        this.print = print;
+        this.derive = derive;
+        this.readPassword = password; // room => Promise<password>
+        this.joinOptions = joinOptions;
+        this.rooms = new Set();
+        this.room = null; // where plain lines are sent
+        this.status = null; // the backend's last connection status
+        client.on('notification', (method, params) => this.handleNotification(method, params));
+    }
+
+    // Handles one line of input; resolves false once the session should end
+    async handleLine(line) {
+        const text = line.trim();
+        if (!text) return true;
+        if (!text.startsWith('/')) {
+            await this.send(text);
+            return true;
+        }
+
+        const [command, ...args] = text.slice(1).split(/\s+/);
+        try {
+            switch (command) {
+                case 'join':
+                    if (args.length !== 1) throw new Error('usage: /join ROOM');
+                    await this.join(args[0]);
+                    break;
+                case 'leave':
+                    await this.leave(args[0] || this.room);
+                    break;
+                case 'peers':
+                    await this.showPeers();
+                    break;
+                case 'stats':
+                    await this.showStats();
+                    break;
+                case 'status':
+                    this.print(`* status: ${describeStatus(this.status)}`);
+                    break;
+                case 'wait':
+                    await new Promise(resolve => setTimeout(resolve, Number(args[0] || 0) * 1000));
+                    break;
+                case 'quit':
+                    await this.quit();
+                    return false;
+                case 'help':
+                    this.print(HELP);
+                    break;
+                default:
+                    this.print(`! unknown command /${command}, try /help`);
+            }
+        } catch (error) {
+            this.print(`! ${command} failed: ${error.message}`);
+        }
+        return true;
+    }
+
+    // Asks for the password unless given one
+    async join(room, password = null) {
+        if (!room) throw new Error('usage: /join ROOM');
+        if (password === null) password = await this.readPassword(room);
+        const psk = await this.derive(room, password);
+        await this.client.call('join', { room, psk: psk.toString('hex'), ...this.joinOptions });
+        this.rooms.add(room);
+        this.room = room;
+        this.print(`* joined ${room}`);
+    }
+
+    async leave(room) {
+        if (!room) throw new Error('not in a room');
+        await this.client.call('leave', { room });
+        this.rooms.delete(room);
+        if (this.room === room) {
+            this.room = this.rooms.size > 0 ? [...this.rooms].pop() : null;
+        }
+        this.print(`* left ${room}`);
+    }
+
+    async send(text) {
+        if (!this.room) {
+            this.print('! join a room first, see /help');
+            return;
+        }
+        try {
+            await this.client.call('send', {
+                room: this.room,
+                data: { type: 'plaintext', text, timestamp: Date.now() }
+            });
+        } catch (error) {
+            this.print(`! send failed: ${error.message}`);
+        }
+    }
+
+    async showPeers() {
+        const { peers } = await this.client.call('stats');
+        if (peers.length === 0) {
+            this.print('* no peers');
+            return;
+        }
+        for (const peer of peers) {
+            const rooms = peer.rooms
+                .map(room => room.roomId + (room.verified ? '' : ' (verifying)'))
+                .join(', ');
+            this.print(`* ${peer.peerId}  ${rooms || 'no room'}`);
+        }
+    }
+
+    async showStats() {
+        const { peers } = await this.client.call('stats');
+        if (peers.length === 0) {
+            this.print('* no peers');
+            return;
+        }
+        for (const peer of peers) {
+            const rtt = peer.srtt ? `${Math.round(peer.srtt)}ms` : '-';
+            this.print(`* ${peer.peerId}  rtt ${rtt}  in ${peer.bytesIn}B/${peer.framesIn} cells` +
+                `  out ${peer.bytesOut}B/${peer.framesOut} cells  queued ${peer.queuedBytes}B`);
+        }
+    }
+
+    async quit() {
+        for (const room of [...this.rooms]) {
+            try {
+                await this.leave(room);
+            } catch (error) {
+                this.print(`! leave failed: ${error.message}`);
+            }
+        }
+    }
+
+    handleNotification(method, params) {
+        switch (method) {
+            case 'message':
+                this.print(describeMessage(params));
+                break;
+            case 'peer':
+                this.print(`* ${params.peer.peerId} ${params.event.replace('peer-', '')}`);
+                break;
+            case 'status':
+                this.status = params;
+                this.print(`* status: ${describeStatus(params)}`);
+                break;
+            case 'delivered':
+                if (params.status === 'failed') {
+                    this.print(`! message ${params.messageId} was not delivered`);
+                }
+                break;
+            case 'error':
+                this.print(`! ${params.method} failed: ${params.message}`);
+                break;
+        }
+    }
+}
+
+function describeMessage({ room, data }) {
+    if (data && data.type === 'plaintext' && typeof data.text === 'string') {
+        return `[${room}] ${data.text}`;
+    }
+    // The app encrypts end to end, which the CLI doesn't
+    return `[${room}] (${data && data.type ? data.type : 'unknown'} message the CLI can't read)`;
+}
+
+function describeStatus(status) {
+    if (!status) return 'unknown';
+    switch (status.state) {
+        case 'connected':
+            return `connected, ${status.peers} ${status.peers === 1 ? 'peer' : 'peers'}`;
+        case 'degraded':
+            return `reconnecting ${status.attempt}/${status.maxAttempts}`;
+        case 'error':
+            return `error: ${status.message}`;
+        default:
+            return status.state;
+    }
+}
+
+function parseArgs(argv) {
+    const options = {
+        socket: null,
+        tcp: null,
+        dataDir: process.env.EPHER_DATA_DIR || path.join(os.homedir(), '.epher'),
+        room: null,
+        transport: null,
+        testnet: false,
+        verbose: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--socket': options.socket = value(); break;
+            case '--tcp': options.tcp = Number(value()); break;
+            case '--data-dir': options.dataDir = value(); break;
+            case '--room': options.room = value(); break;
+            case '--transport': options.transport = value(); break;
+            case '--testnet': options.testnet = true; break;
+            case '--verbose': options.verbose = true; break;
+            default: throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    if (options.socket && options.tcp) {
+        throw new Error('--socket and --tcp are exclusive');
+    }
+    if (options.tcp !== null && !(options.tcp > 0 && options.tcp < 65536)) {
+        throw new Error('--tcp needs a port');
+    }
+    return options;
+}
+
+// Starts start.js speaking over its stdin/stdout
+function spawnBackend(options) {
+    const backend = spawn(process.execPath, [path.join(__dirname, 'start.js')], {
+        env: { ...process.env, EPHER_BRIDGE: 'stdio', EPHER_DATA_DIR: options.dataDir },
+        stdio: ['pipe', 'pipe', options.verbose ? 'inherit' : 'ignore']
+    });
+    backend.on('exit', (code) => {
+        if (code) console.error(`Backend exited with code ${code}`);
+    });
+    return { input: backend.stdout, output: backend.stdin };
+}
+
+// The limits the app sends with every join, see getNetworkLimits()
+async function loadNetworkLimits() {
+    const { getNetworkLimits } = await import('../js/config/security.js');
+    return getNetworkLimits();
+}
+
+// Waits for one backend to connect, like the Android bridge
+function acceptBackend(listenOn, hint) {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer((socket) => {
+            server.close();
+            resolve({ input: socket, output: socket });
+        });
+        server.on('error', reject);
+        server.listen(listenOn, () => {
+            console.error(`Waiting for a backend, start one with ${hint} node start.js`);
+        });
+    });
+}
+
+function connectBackend(options) {
+    if (options.socket) {
+        if (fs.existsSync(options.socket)) fs.unlinkSync(options.socket);
+        return acceptBackend(options.socket, `EPHER_BRIDGE=unix:${options.socket}`);
+    }
+    if (options.tcp) {
+        return acceptBackend(
+            { host: '127.0.0.1', port: options.tcp },
+            `EPHER_BRIDGE=tcp:${options.tcp} EPHER_BRIDGE_TOKEN=${options.token}`
+        );
+    }
+    return spawnBackend(options);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    // Asked for before the backend starts logging to the terminal
+    const password = options.room ? await readPassword(options.room) : null;
+    fs.mkdirSync(options.dataDir, { recursive: true });
+
+    if (options.tcp) {
+        options.token = process.env.EPHER_BRIDGE_TOKEN || crypto.randomBytes(24).toString('hex');
+    }
+
+    const streams = await connectBackend(options);
+    const client = new RpcClient(streams);
+    const print = (line) => process.stdout.write(line + '\n');
+    const joinOptions = { limits: await loadNetworkLimits(), testnet: options.testnet };
+    if (options.transport) joinOptions.transport = options.transport;
+    const session = new CliSession({ client, print, joinOptions });
+
+    await client.connect(undefined, options.token);
+    client.on('close', () => {
+        console.error('Backend closed the connection');
+        process.exit(1);
+    });
+    if (options.room) {
+        await session.join(options.room, password);
+    }
+
+    // Lines are handled one at a time, so a scripted /join finishes before
+    // the messages after it are sent
+    const lines = readline.createInterface({ input: process.stdin, terminal: false });
+    let running = true;
+    for await (const line of lines) {
+        running = await session.handleLine(line);
+        if (!running) break;
+    }
+    if (running) await session.quit();
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    CliSession,
+    derivePSK,
+    parseArgs,
+    readPassword
+};
@@ -0,0 +1,37 @@
+// Network limits the backend enforces. Their values come from the UI's
+// SecurityConfig.network (js/config/security.js), sent with every join, so
+// the backend keeps no copy of its own; see NetworkManager.setLimits().
+const NETWORK_LIMITS = [
+    'offlineQueueLimit',      // messages held while no peer is verified
+    'deliveryTimeout',        // ms to wait for an ack before resending
+    'maxDeliveryAttempts',
+    'historyLimit',           // recent envelopes kept for late joiners
+    'historyTTL',             // ms an envelope stays in the history cache
+    'maxRooms',               // SecurityConfig.accessControl.maxRooms
+    'connectionTimeout',      // ms a verified peer may stay silent before it is dropped as stale
+    'bandwidthLimit',         // bytes/s per room, each direction
+    'peerBandwidthLimit',     // bytes/s per peer, each direction
+    'maxEgressQueue',         // bytes of cells waiting for bandwidth, per peer
+    'maxMessageSize',         // bytes, largest payload reassembled from cells
+    'maxPartialMessages',     // messages being reassembled at once, per peer
+    'reassemblyTimeout',      // ms without a cell before a partial message is dropped
+    'floodTolerance',         // ms a peer may stay over its limit before it is banned
+    'reconnectAttempts',      // tries after losing every peer before giving up
+    'initialReconnectDelay',  // ms before the first try, doubling after each
+    'maxReconnectDelay',      // ms, cap on the doubling
+    'reconnectJitter'         // each delay is spread by up to this fraction
+];
+
+// How the backend gets back to the UI side after the bridge connection
+// drops, see bridge.js. Backend only; it never gives up.
+const BRIDGE_DEFAULTS = {
+    reconnectAttempts: Infinity,
+    initialReconnectDelay: 250,  // ms before the first try, doubling after each
+    maxReconnectDelay: 5000,     // ms, low so the UI doesn't wait long for us
+    reconnectJitter: 0.2
+};
+
+module.exports = {
+    NETWORK_LIMITS,
+    BRIDGE_DEFAULTS
+};
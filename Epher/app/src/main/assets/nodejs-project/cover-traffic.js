@@ -0,0 +1,51 @@
+const DEFAULT_RATE = 2; // cells per second, per peer
+const MIN_RATE = 1;
+const MAX_RATE = 20;
+
+/*
+ * Constant-bitrate sender. While running, every tick sends exactly one
+ * cell to every peer: the next cell queued for it if there is one, otherwise
+ * a cover cell. Real traffic and idle traffic therefore look the same to
+ * anyone watching the encrypted stream. A payload of n cells takes n ticks.
+ */
+class CoverTrafficScheduler {
+    constructor({ getSockets, write, onError }) {
+        this.getSockets = getSockets; // () => iterable of sockets to feed
+        this.write = write;           // (socket) => void, sends one cell
+        this.onError = onError;       // (socket, error) => void
+        this.rate = DEFAULT_RATE;
+        this.timer = null;
+    }
+
+    get isRunning() {
+        return this.timer !== null;
+    }
+
+    start(rate = this.rate) {
+        this.stop();
+        this.rate = Math.min(MAX_RATE, Math.max(MIN_RATE, Math.round(rate)));
+        this.timer = setInterval(() => this.tick(), Math.round(1000 / this.rate));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    tick() {
+        for (const socket of this.getSockets()) {
+            try {
+                this.write(socket);
+            } catch (error) {
+                this.onError(socket, error);
+            }
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_RATE,
+    CoverTrafficScheduler
+};
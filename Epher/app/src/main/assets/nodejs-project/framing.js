@@ -0,0 +1,86 @@
+// Every frame on a peer stream is a 4-byte big-endian length followed by
+// that many bytes of payload.
+const FRAME_HEADER_BYTES = 4;
+// Default cap; the network layer only accepts single cells (see cells.js)
+const MAX_FRAME_SIZE = 64 * 1024 * 1024;
+
+function encodeFrame(payload) {
+    const header = Buffer.alloc(FRAME_HEADER_BYTES);
+    header.writeUInt32BE(payload.length, 0);
+    return Buffer.concat([header, payload], FRAME_HEADER_BYTES + payload.length);
+}
+
+/*
+ * Reassembles frames from a byte stream. Hyperswarm sockets split and merge
+ * writes freely, so a single 'data' event can hold part of a frame, several
+ * frames, or both. Chunks are kept as a list and only copied once a whole
+ * frame is available, so large frames arriving in many chunks stay linear.
+ */
+class FrameDecoder {
+    constructor(maxFrameSize = MAX_FRAME_SIZE) {
+        this.maxFrameSize = maxFrameSize;
+        this.chunks = [];
+        this.buffered = 0;
+        this.expected = null; // payload length of the frame being read
+    }
+
+    // Returns every frame completed by this chunk. Throws on framing the
+    // remote side should never produce; the stream is unusable afterwards.
+    push(chunk) {
+        this.chunks.push(chunk);
+        this.buffered += chunk.length;
+
+        const frames = [];
+        for (;;) {
+            if (this.expected === null) {
+                if (this.buffered < FRAME_HEADER_BYTES) break;
+
+                const length = this.consume(FRAME_HEADER_BYTES).readUInt32BE(0);
+                if (length === 0) {
+                    throw new Error('Invalid frame: empty payload');
+                }
+                if (length > this.maxFrameSize) {
+                    throw new Error(`Invalid frame: ${length} bytes exceeds limit of ${this.maxFrameSize}`);
+                }
+                this.expected = length;
+            }
+
+            if (this.buffered < this.expected) break;
+
+            frames.push(this.consume(this.expected));
+            this.expected = null;
+        }
+        return frames;
+    }
+
+    consume(length) {
+        const out = Buffer.allocUnsafe(length);
+        let offset = 0;
+        while (offset < length) {
+            const chunk = this.chunks[0];
+            const take = Math.min(chunk.length, length - offset);
+            chunk.copy(out, offset, 0, take);
+            if (take === chunk.length) {
+                this.chunks.shift();
+            } else {
+                this.chunks[0] = chunk.subarray(take);
+            }
+            offset += take;
+        }
+        this.buffered -= length;
+        return out;
+    }
+
+    reset() {
+        this.chunks = [];
+        this.buffered = 0;
+        this.expected = null;
+    }
+}
+
+module.exports = {
+    FRAME_HEADER_BYTES,
+    MAX_FRAME_SIZE,
+    encodeFrame,
+    FrameDecoder
+};
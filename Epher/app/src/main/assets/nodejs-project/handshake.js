@@ -0,0 +1,163 @@
+const sodium = require('libsodium-wrappers');
+
+// Bump whenever the transcript layout or message set changes
+const HANDSHAKE_VERSION = 1;
+const TRANSCRIPT_LABEL = 'epher-peer-auth-v1';
+const LEAVE_LABEL = 'epher-peer-leave-v1';
+const CHALLENGE_BYTES = 32;
+
+/*
+ * Mutual proof of knowledge of the room PSK for a single connection.
+ *
+ * Both sides send a random challenge as soon as the socket opens. Each side
+ * then answers the other's challenge with an HMAC over a transcript that
+ * binds both challenges and both Hyperswarm Noise static keys, ordered as
+ * (prover, verifier). A proof therefore cannot be replayed on another
+ * connection or reflected back at its sender. The peer is only verified once
+ * we accepted its proof AND it told us it accepted ours.
+ *
+ * Once complete, the same transcript under a different label authenticates
+ * a `leave` announcement, so only the verified peer itself can remove itself
+ * from the room, and only on this connection.
+ */
+class PeerHandshake {
+    constructor(psk, localKey, remoteKey) {
+        if (!psk || !localKey || !remoteKey) {
+            throw new Error('Handshake requires a room PSK and both Noise keys');
+        }
+        this.psk = psk;
+        this.localKey = new Uint8Array(localKey);
+        this.remoteKey = new Uint8Array(remoteKey);
+        this.localChallenge = sodium.randombytes_buf(CHALLENGE_BYTES);
+        this.remoteChallenge = null;
+        this.remoteVerified = false; // we accepted the remote proof
+        this.localAccepted = false;  // remote accepted our proof
+    }
+
+    get isComplete() {
+        return this.remoteVerified && this.localAccepted;
+    }
+
+    createChallenge() {
+        return {
+            type: 'verification_challenge',
+            version: HANDSHAKE_VERSION,
+            challenge: Array.from(this.localChallenge)
+        };
+    }
+
+    handleChallenge(message) {
+        this.checkVersion(message);
+        if (this.remoteChallenge) {
+            throw new Error('Duplicate verification challenge');
+        }
+        if (!Array.isArray(message.challenge) || message.challenge.length !== CHALLENGE_BYTES) {
+            throw new Error('Malformed verification challenge');
+        }
+        this.remoteChallenge = new Uint8Array(message.challenge);
+
+        // Prove ourselves to the remote side
+        const proof = sodium.crypto_auth(this.transcript(true), this.psk);
+        return {
+            type: 'verification_response',
+            version: HANDSHAKE_VERSION,
+            response: Array.from(proof)
+        };
+    }
+
+    verifyResponse(message) {
+        this.checkVersion(message);
+        if (!this.remoteChallenge) {
+            throw new Error('Verification response received before challenge');
+        }
+        if (!Array.isArray(message.response) || message.response.length !== sodium.crypto_auth_BYTES) {
+            return false;
+        }
+        this.remoteVerified = sodium.crypto_auth_verify(
+            new Uint8Array(message.response),
+            this.transcript(false),
+            this.psk
+        );
+        return this.remoteVerified;
+    }
+
+    handleSuccess(message) {
+        this.checkVersion(message);
+        this.localAccepted = true;
+    }
+
+    createSuccess() {
+        return {
+            type: 'verification_success',
+            version: HANDSHAKE_VERSION,
+            timestamp: Date.now()
+        };
+    }
+
+    createLeave() {
+        this.checkComplete();
+        return {
+            type: 'leave',
+            version: HANDSHAKE_VERSION,
+            proof: Array.from(sodium.crypto_auth(this.transcript(true, LEAVE_LABEL), this.psk))
+        };
+    }
+
+    verifyLeave(message) {
+        this.checkVersion(message);
+        this.checkComplete();
+        if (!Array.isArray(message.proof) || message.proof.length !== sodium.crypto_auth_BYTES) {
+            return false;
+        }
+        return sodium.crypto_auth_verify(
+            new Uint8Array(message.proof),
+            this.transcript(false, LEAVE_LABEL),
+            this.psk
+        );
+    }
+
+    createFailure(reason) {
+        return {
+            type: 'verification_failure',
+            version: HANDSHAKE_VERSION,
+            reason
+        };
+    }
+
+    // Transcript proven by one side to the other. The verifier's challenge
+    // comes first so a proof is only valid for the challenge it answers.
+    transcript(proverIsLocal, label = TRANSCRIPT_LABEL) {
+        const prover = proverIsLocal
+            ? { key: this.localKey, challenge: this.localChallenge }
+            : { key: this.remoteKey, challenge: this.remoteChallenge };
+        const verifier = proverIsLocal
+            ? { key: this.remoteKey, challenge: this.remoteChallenge }
+            : { key: this.localKey, challenge: this.localChallenge };
+
+        return sodium.crypto_generichash(32, Buffer.concat([
+            Buffer.from(label),
+            Buffer.from([HANDSHAKE_VERSION]),
+            prover.key,
+            verifier.key,
+            verifier.challenge,
+            prover.challenge
+        ]));
+    }
+
+    checkComplete() {
+        if (!this.isComplete) {
+            throw new Error('Handshake not complete');
+        }
+    }
+
+    checkVersion(message) {
+        if (message.version !== HANDSHAKE_VERSION) {
+            throw new Error(`Unsupported handshake version: ${message.version}`);
+        }
+    }
+}
+
+module.exports = {
+    HANDSHAKE_VERSION,
+    PeerHandshake
+};
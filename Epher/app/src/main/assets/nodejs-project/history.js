@@ -0,0 +1,69 @@
+/*
+ * Recent room messages, kept so peers who join late can catch up.
+ *
+ * Only the sealed envelopes relayed between peers are stored; nothing here
+ * can be read without the room's ratchet keys. Entries expire `historyTTL`
+ * after the sender's timestamp rather than after we stored them, so a message
+ * passed along from peer to peer does not live longer than it should. The
+ * cache is memory only.
+ */
+class HistoryCache {
+    constructor(limits) {
+        this.limits = limits;
+        this.entries = new Map(); // messageId => { message, expiresAt }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    add(message) {
+        const now = Date.now();
+        // Never trust a timestamp from the future to extend the lifetime
+        const expiresAt = Math.min(message.timestamp, now) + this.limits.historyTTL;
+        if (!(expiresAt > now) || this.entries.has(message.id)) return false;
+
+        this.entries.set(message.id, { message, expiresAt });
+        while (this.entries.size > this.limits.historyLimit) {
+            // Maps iterate in insertion order, so this drops the oldest entry
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return true;
+    }
+
+    has(messageId) {
+        return this.entries.has(messageId);
+    }
+
+    // Ids of every live entry, oldest first
+    ids() {
+        this.prune();
+        return [...this.entries.keys()];
+    }
+
+    // The live entries for `messageIds`, oldest first, skipping unknown ids
+    get(messageIds) {
+        this.prune();
+        const wanted = new Set(messageIds);
+        const messages = [];
+        for (const [id, entry] of this.entries) {
+            if (wanted.has(id)) messages.push(entry.message);
+        }
+        return messages;
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [id, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(id);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = {
+    HistoryCache
+};
@@ -1,247 +1,677 @@
-const Hyperswarm = require('hyperswarm');
+const { EventEmitter } = require('events');
 const sodium = require('libsodium-wrappers');
+const { FrameDecoder } = require('./framing');
+const { CELL_SIZE, CELL_PAYLOAD_BYTES, OutgoingPayload, Reassembler } = require('./cells');
+const { CoverTrafficScheduler, DEFAULT_RATE } = require('./cover-traffic');
+const { PADDING_SCHEMES, DEFAULT_PADDING_SCHEME, paddedLength } = require('./padding');
+const { TRANSPORT_MODES, createTransport } = require('./transports');
+const { parseAddress } = require('./socks5');
+const { ensureLocalTestnet, stopLocalTestnet } = require('./testnet');
+const { NETWORK_LIMITS } = require('./config');
+const { Room } = require('./room');
+const { TokenBucket } = require('./token-bucket');
+const { BanList } = require('./bans');
+const { ReconnectController } = require('./reconnect');
 
-// Constants for packet shaping and timing
-const PACKET_SIZE = 256; // Fixed packet size for padding
+// Constants for timing
 const JITTER_MAX = 250; // Maximum timestamp jitter in ms
 const KEEPALIVE_INTERVAL = 2000; // Keep-alive interval in ms
+const JOIN_TIMEOUT = 30000; // ms before warning that a room has no verified peer
+const ROOM_PSK_BYTES = 32; // Argon2id output derived by the UI
+const LEAVE_TIMEOUT = 5000; // ms to wait for the DHT to stop announcing us when leaving
+const BANDWIDTH_REPORT_INTERVAL = 5000; // ms between 'bandwidth' events
+const RTT_SMOOTHING = 1 / 8; // weight of a new sample in the smoothed RTT (RFC 6298)
+const PEER_HISTORY_LIMIT = 256; // peers whose connection count is remembered
+// Inbound frames a room may drop when over its limit. The sender resends
+// unacknowledged messages and history can be requested again; control frames
+// are always let through so handshakes and acks don't stall.
+const DROPPABLE_TYPES = new Set(['message', 'history', 'history_offer', 'history_request']);
+// Limits that are token bucket rates, which can't be zero
+const RATE_LIMITS = new Set(['bandwidthLimit', 'peerBandwidthLimit']);
 
-class NetworkManager {
+// Short, stable identifier for a peer, safe to show in the UI
+function derivePeerId(remotePublicKey) {
+    return Buffer.from(sodium.crypto_generichash(8, remotePublicKey)).toString('hex');
+}
+
+/*
+ * Owns the transport and the peer connections, and runs any number of rooms
+ * over them (see room.js). Connection-level traffic (keep-alives, cover
+ * cells) is untagged; everything else carries the handle of its room.
+ *
+ * Emits roster events for the UI:
+ *   'peer-joined'   { roomId, peerId, connectedAt, verified: false }
+ *   'peer-verified' { roomId, peerId, connectedAt, verified: true, verifiedAt }
+ *   'peer-left'     { roomId, peerId, connectedAt, verified }
+ * delivery events for outgoing messages:
+ *   'ack'           { roomId, messageId, peerId }
+ *   'delivered'     { roomId, messageId, status: 'delivered' | 'failed' }
+ * periodic traffic counters:
+ *   'bandwidth'     { peers: [...], rooms: [...] }, see getBandwidthStats()
+ * 'bans' [...] whenever the ban list changes, see getBans(), progress
+ * of reconnecting after every peer dropped:
+ *   'reconnect'     { status: 'scheduled', attempt, maxAttempts, delay }
+ *                   { status: 'attempt', attempt, maxAttempts }
+ *                   { status: 'failed', attempts }
+ * and the overall connection status whenever it changes:
+ *   'status'        { state: 'starting' }               transport starting up
+ *                   { state: 'joining' }                announcing rooms on the DHT
+ *                   { state: 'announcing' }             announced, waiting for peers
+ *                   { state: 'connected', peers }       peers verified in some room
+ *                   { state: 'degraded', attempt, maxAttempts }  lost every peer, reconnecting
+ *                   { state: 'disconnected' }           in no room, or reconnecting gave up
+ *                   { state: 'error', message }         the transport failed to start
+ *
+ * Every payload goes out as uniform cells (see cells.js). Cells of the
+ * payloads queued for a peer are interleaved, so neither a cell's size nor
+ * the order of cells tells an observer where one message ends and the next
+ * begins. Payloads are padded to a whole number of cells by the selected
+ * padding scheme (see padding.js), so the cell count says little about the
+ * size either.
+ *
+ * Traffic is limited by token buckets per peer and per room, in each
+ * direction. Outbound cells over the limit wait in a per-peer queue;
+ * inbound, a peer over its limit is paused so TCP pushes back on it, and a
+ * room over its limit drops data frames.
+ *
+ * Peers that send garbage or stay over their limit are banned by public
+ * key (see bans.js). A peer failing a room handshake is only banned from
+ * that room, see Room. The transport's firewall turns a key away before any
+ * room handshake starts if it is banned outright or from every joined room.
+ *
+ * Recent messages are kept in each room's history cache and offered to peers
+ * as they are verified, so someone joining late still sees the conversation.
+ */
+class NetworkManager extends EventEmitter {
     constructor() {
-        this.sockets = new Set();
-        this.verifiedPeers = new Map(); // Track verified peers and their keys
-        this.pendingVerifications = new Map(); // Track ongoing verifications
-        this.swarm = null;
+        super();
+        this.rooms = new Map(); // roomId => Room
+        this.connections = new Map(); // Per-socket state: peer id, frame decoder, rate limits
+        this.peerLastSeen = new Map(); // socket => when we last received anything from it
+        this.transport = null;
+        this.transportReady = null; // pending transport creation
         this.isConnected = false;
-        this.reconnectTimer = null;
-        this.onMessageCallback = null;
+        this.status = { state: 'disconnected' };
         this.keepAliveInterval = null;
-        this.transportMode = 'direct'; // 'direct' or 'yggdrasil'
-        this.roomPSK = null; // Room pre-shared key for HMAC
+        this.bandwidthInterval = null;
+        this.transportMode = 'direct'; // one of TRANSPORT_MODES
+        this.transportOptions = {};
+        this.discovery = { bootstrap: [], testnet: false }; // DHT bootstrap for the direct transport
+        this.limits = null; // from the UI's SecurityConfig.network, see setLimits()
+        this.dataDir = null; // where rooms keep undelivered messages, see setDataDir()
+        this.bans = new BanList();
+        this.bans.on('change', () => this.emit('bans', this.getBans()));
+        this.connectionCounts = new Map(); // peerId => connections seen, to count reconnects
+        this.reconnect = new ReconnectController({
+            attempt: () => this.rejoinRooms(),
+            limits: this.limits
+        });
+        for (const status of ['scheduled', 'attempt', 'failed']) {
+            this.reconnect.on(status, (details) => this.emit('reconnect', { status, ...details }));
+        }
+        this.reconnect.on('scheduled', ({ attempt, maxAttempts }) => {
+            this.setStatus('degraded', { attempt, maxAttempts });
+        });
+        this.reconnect.on('failed', () => this.setStatus('disconnected'));
+        this.packetShaping = { enabled: false, rate: DEFAULT_RATE };
+        this.paddingScheme = DEFAULT_PADDING_SCHEME;
+        this.coverTraffic = new CoverTrafficScheduler({
+            getSockets: () => this.sockets,
+            write: (socket) => this.writeShapedCell(socket),
+            onError: (socket, error) => {
+                console.error('Failed to send cell:', error);
+                this.handlePeerDisconnect(socket);
+            }
+        });
     }
 
-    async initialize(roomId, preKeyBundle, onMessage) {
+    // Connections verified in at least one room
+    get sockets() {
+        const sockets = new Set();
+        for (const room of this.rooms.values()) {
+            for (const socket of room.sockets) sockets.add(socket);
+        }
+        return sockets;
+    }
+
+    // Messages accepted while no peer was verified, across all rooms
+    get pendingMessages() {
+        return [...this.rooms.values()].flatMap(room => room.outbox.queue);
+    }
+
+    // Throws if the room can't be joined, so callers can check before
+    // changing any settings for it
+    checkJoin(roomId, psk) {
+        if (!this.limits) {
+            throw new Error('Network limits are not configured');
+        }
+        if (this.rooms.has(roomId)) {
+            throw new Error('Already in this room');
+        }
+        if (this.rooms.size >= this.limits.maxRooms) {
+            throw new Error(`Cannot join more than ${this.limits.maxRooms} rooms`);
+        }
+        if (!psk || psk.length !== ROOM_PSK_BYTES) {
+            throw new Error(`Room PSK must be ${ROOM_PSK_BYTES} bytes`);
+        }
+    }
+
+    // `psk` is the 32-byte key the UI derived from the room ID and password;
+    // only peers that know the password can complete the room handshake.
+    // `identity` is the app's identity key, see Room.
+    async joinRoom(roomId, psk, onMessage, { identity } = {}) {
+        let room = null;
         try {
+            this.checkJoin(roomId, psk);
+
             await sodium.ready;
-            this.onMessageCallback = onMessage;
-
-            // Generate room key using sodium
-            const keyBuf = sodium.crypto_generichash(32, Buffer.from(roomId));
-            
-            // Derive room PSK for HMAC verification
-            this.roomPSK = sodium.crypto_generichash(32, Buffer.from(roomId + preKeyBundle.toString()));
-
-            // Initialize swarm with appropriate transport
-            this.swarm = new Hyperswarm({
-                // Configure for Yggdrasil if enabled
-                bootstrap: this.transportMode === 'yggdrasil' ? 
-                    ['yggdrasil://bootstrap.node'] : undefined
-            });
-            
-            // Set up event handlers
-            this.setupSwarmHandlers();
-
-            // Setup connection timeout
-            this.connectionTimeout = setTimeout(() => {
-                if (!this.isConnected) {
-                    console.warn('Connection timeout reached, attempting fallback transport');
-                    this.setTransportMode(this.transportMode === 'direct' ? 'yggdrasil' : 'direct');
+
+            room = new Room({ roomId, psk, network: this, onMessage, limits: this.limits, identity, dataDir: this.dataDir });
+            this.forwardRoomEvents(room);
+            this.rooms.set(roomId, room);
+
+            // A peer we are already connected to won't get a second
+            // connection for this topic, so offer the room on existing ones
+            for (const socket of this.connections.keys()) {
+                room.addPeer(socket);
+            }
+
+            await this.ensureTransport();
+            if (this.rooms.get(roomId) !== room) return; // left while the transport started
+
+            // There is deliberately no automatic transport fallback: leaving a
+            // proxy for a direct connection would expose our address to peers
+            // the user chose to hide it from.
+            room.joinTimeout = setTimeout(() => {
+                if (room.sockets.size === 0) {
+                    console.warn(`No verified peer after 30s on the ${this.transportMode} transport`);
                 }
-            }, 30000); // 30 seconds
-            
-            // Join the swarm with the room key
-            this.swarm.join(keyBuf, { 
-                client: true, 
-                server: true,
-                announce: true,
-                lookup: true
-            });
+            }, JOIN_TIMEOUT);
+
+            // Start finding peers for the room
+            this.announce([room]);
 
             // Start keep-alive mechanism
             this.startKeepAlive();
-            
-            console.log('Initialized network with transport:', this.transportMode);
+            this.startBandwidthReports();
+            if (this.packetShaping.enabled) {
+                this.coverTraffic.start(this.packetShaping.rate);
+            }
+
+            console.log('Joined room with transport:', this.transportMode);
 
         } catch (error) {
-            console.error('Failed to initialize network:', error);
+            console.error('Failed to join room:', error);
+            // Don't keep a room we never joined, so the join can be retried;
+            // messages a previous run left undelivered wait for that
+            if (room && this.rooms.get(roomId) === room) {
+                this.rooms.delete(roomId);
+                room.close({ keepOutbox: true });
+                for (const socket of [...this.connections.keys()]) {
+                    this.releaseSocket(socket);
+                }
+            }
             throw error;
         }
     }
 
-    setupSwarmHandlers() {
-        this.swarm.on('connection', (socket) => {
-            try {
-                console.log('New peer connected, initiating verification');
-                
-                // Generate random challenge
-                const challenge = sodium.randombytes_buf(32);
-                const verificationTimeout = setTimeout(() => {
-                    if (this.pendingVerifications.has(socket)) {
-                        console.warn('Peer verification timeout');
-                        this.handlePeerDisconnect(socket);
-                    }
-                }, 10000); // 10 seconds timeout
-
-                // Store verification state
-                this.pendingVerifications.set(socket, {
-                    challenge,
-                    timeout: verificationTimeout
-                });
+    forwardRoomEvents(room) {
+        for (const event of ['peer-joined', 'peer-verified', 'peer-left', 'ack', 'delivered']) {
+            room.on(event, (details) => this.emit(event, { roomId: room.roomId, ...details }));
+        }
+        room.on('peer-verified', () => {
+            this.isConnected = true;
+            this.reconnect.reset();
+            this.updatePeerStatus();
+        });
+        room.on('peer-left', () => this.updatePeerStatus());
+    }
 
-                // Send challenge
-                const challengeMsg = this.padPacket(Buffer.from(JSON.stringify({
-                    type: 'verification_challenge',
-                    challenge: Array.from(challenge)
-                })));
-                socket.write(challengeMsg);
-
-                // Set up message handlers
-                socket.on('data', (data) => this.handleIncomingData(data, socket));
-                socket.on('end', () => this.handlePeerDisconnect(socket));
-                socket.on('error', (error) => {
-                    console.error('Socket error:', error);
-                    this.handlePeerDisconnect(socket);
-                });
+    // Starts finding peers for the rooms. Unless we are reconnecting, the
+    // status shows when the DHT has heard about them.
+    announce(rooms) {
+        const announced = rooms.map(room => this.transport.join(room.topic));
+        if (this.sockets.size > 0 || this.reconnect.attempts > 0) return;
 
-            } catch (error) {
-                console.error('Failed to handle new connection:', error);
-            }
+        this.setStatus('joining');
+        Promise.all(announced).then(() => {
+            if (this.status.state === 'joining') this.setStatus('announcing');
+        }).catch(error => {
+            console.error('Failed to announce rooms:', error);
         });
+    }
 
-        this.swarm.on('peer', (peer) => {
-            console.log('Discovered peer:', peer);
-        });
+    // Connected while any peer is verified. Losing the last one usually
+    // starts reconnecting, which reports 'degraded' on its own.
+    updatePeerStatus() {
+        if (this.rooms.size === 0) return; // leaving; cleanup() reports it
+        const peers = this.sockets.size;
+        if (peers > 0) {
+            this.setStatus('connected', { peers });
+        } else if (this.status.state === 'connected') {
+            this.setStatus('announcing');
+        }
+    }
 
-        this.swarm.on('error', (error) => {
-            console.error('Swarm error:', error);
-            this.attemptReconnect();
+    setStatus(state, details = {}) {
+        const status = { state, ...details };
+        if (JSON.stringify(status) === JSON.stringify(this.status)) return;
+        this.status = status;
+        this.emit('status', status);
+    }
+
+    getStatus() {
+        return this.status;
+    }
+
+    // Says goodbye to the room's peers and stops announcing its topic
+    async leaveRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+
+        if (this.rooms.size === 1) {
+            await this.cleanup();
+            return;
+        }
+
+        clearTimeout(room.joinTimeout);
+        this.rooms.delete(roomId);
+        room.announceLeave();
+        await this.unannounce([room.topic]);
+        room.close();
+
+        // Close connections that only served this room
+        for (const socket of [...this.connections.keys()]) {
+            this.releaseSocket(socket);
+        }
+        this.isConnected = this.sockets.size > 0;
+        this.updatePeerStatus();
+    }
+
+    // Stops announcing topics on the DHT, without letting a slow lookup hold
+    // up leaving
+    async unannounce(topics) {
+        if (!this.transport) return;
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(resolve, LEAVE_TIMEOUT);
         });
+        try {
+            await Promise.race([
+                Promise.all(topics.map(topic => this.transport.leave(topic))),
+                timeout
+            ]);
+        } catch (error) {
+            console.error('Failed to leave topic:', error);
+        } finally {
+            clearTimeout(timer);
+        }
     }
 
-    async verifyPeer(socket, challenge, response) {
+    async ensureTransport() {
+        if (this.transport) return;
+        if (!this.transportReady) {
+            this.setStatus('starting');
+            this.transportReady = (async () => {
+                const transport = createTransport(this.transportMode, {
+                    ...await this.resolveTransportOptions(),
+                    firewall: (remotePublicKey) => this.isRefused(remotePublicKey)
+                });
+                transport.on('connection', (socket) => this.handleConnection(socket));
+                transport.on('error', (error) => {
+                    console.error('Transport error:', error);
+                    this.attemptReconnect();
+                });
+                this.transport = transport;
+            })().catch(error => {
+                this.setStatus('error', { message: error.message });
+                throw error;
+            }).finally(() => {
+                this.transportReady = null;
+            });
+        }
+        await this.transportReady;
+    }
+
+    handleConnection(socket) {
         try {
-            const verification = this.pendingVerifications.get(socket);
-            if (!verification) {
-                console.warn('No pending verification for peer');
-                return false;
+            // The firewall already turned away keys banned when they dialed
+            if (this.rooms.size === 0 || this.isRefused(socket.remotePublicKey)) {
+                socket.destroy();
+                return;
             }
+            console.log('New peer connected, initiating verification');
+
+            // Set up message handlers
+            const peerId = derivePeerId(socket.remotePublicKey);
+            const connection = {
+                peerId,
+                reconnects: this.countConnection(peerId),
+                connectedAt: Date.now(),
+                decoder: new FrameDecoder(CELL_PAYLOAD_BYTES),
+                reassembler: new Reassembler(this.limits),
+                ingress: new TokenBucket(this.limits.peerBandwidthLimit),
+                egress: new TokenBucket(this.limits.peerBandwidthLimit),
+                egressQueue: [], // { payload, room }, cells not yet sent
+                queuedBytes: 0,
+                egressTimer: null,
+                ingressTimer: null, // set while the socket is paused
+                throttledSince: null, // when the peer last went over its limit
+                bytesIn: 0,
+                bytesOut: 0,
+                framesIn: 0,
+                framesOut: 0,
+                ping: null, // { id, sentAt } of the keep-alive awaiting an ack
+                rtt: null,  // ms, latest keep-alive round trip
+                srtt: null  // ms, smoothed
+            };
+            this.connections.set(socket, connection);
+            this.peerLastSeen.set(socket, connection.connectedAt);
+            socket.on('data', (data) => this.handleIncomingData(data, socket));
+            socket.on('end', () => this.handlePeerDisconnect(socket));
+            socket.on('error', (error) => {
+                console.error('Socket error:', error);
+                this.handlePeerDisconnect(socket);
+            });
 
-            // Clear verification timeout
-            clearTimeout(verification.timeout);
-            this.pendingVerifications.delete(socket);
+            // Each room verifies the peer on its own; rooms the peer isn't
+            // in time out and drop it
+            for (const room of this.rooms.values()) {
+                room.addPeer(socket);
+            }
+            // Every room may have banned the key
+            this.releaseSocket(socket);
 
-            // Verify HMAC response
-            const isValid = sodium.crypto_auth_verify(new Uint8Array(response), verification.challenge, this.roomPSK);
+        } catch (error) {
+            console.error('Failed to handle new connection:', error);
+            this.handlePeerDisconnect(socket);
+        }
+    }
 
-            if (isValid) {
-                // Add to verified peers
-                this.verifiedPeers.set(socket, {
-                    verifiedAt: Date.now(),
-                    challenge: verification.challenge
-                });
-                this.sockets.add(socket);
-                this.isConnected = true;
+    // Returns how often the peer reconnected before this connection
+    countConnection(peerId) {
+        const count = (this.connectionCounts.get(peerId) || 0) + 1;
+        // Re-insert so the least recently connected peer is forgotten first
+        this.connectionCounts.delete(peerId);
+        this.connectionCounts.set(peerId, count);
+        if (this.connectionCounts.size > PEER_HISTORY_LIMIT) {
+            this.connectionCounts.delete(this.connectionCounts.keys().next().value);
+        }
+        return count - 1;
+    }
 
-                // Send verification success
-                const successMsg = this.padPacket(Buffer.from(JSON.stringify({
-                    type: 'verification_success',
-                    timestamp: Date.now()
-                })));
-                socket.write(successMsg);
+    getPeerId(socket) {
+        const connection = this.connections.get(socket);
+        return connection ? connection.peerId : null;
+    }
 
-                return true;
+    getConnectedAt(socket) {
+        const connection = this.connections.get(socket);
+        return connection ? connection.connectedAt : null;
+    }
+
+    // Bans the peer's key and closes the connection in every room
+    reportOffence(socket, reason) {
+        if (socket.remotePublicKey) {
+            this.bans.recordOffence(socket.remotePublicKey, reason);
+        }
+        this.handlePeerDisconnect(socket);
+    }
+
+    // Whether a connection from the key would be of no use: it is banned
+    // outright, or from every room we are in
+    isRefused(remotePublicKey) {
+        if (this.bans.isBanned(remotePublicKey)) return true;
+        const rooms = [...this.rooms.values()];
+        return rooms.length > 0 && rooms.every(room => this.bans.isBanned(remotePublicKey, room.handle));
+    }
+
+    loadBans(file) {
+        this.bans.load(file);
+    }
+
+    /**
+     * Sets the limits the backend enforces, from the UI's
+     * SecurityConfig.network. Rooms joined and connections made afterwards
+     * use them; rooms can't be joined before they are set.
+     * @param {Object} limits - A number for each of NETWORK_LIMITS
+     */
+    setLimits(limits) {
+        if (!limits || typeof limits !== 'object') {
+            throw new Error('Network limits must be an object');
+        }
+        const checked = {};
+        for (const name of NETWORK_LIMITS) {
+            const value = limits[name];
+            const valid = RATE_LIMITS.has(name) ? value > 0 : value >= 0;
+            if (typeof value !== 'number' || !valid) {
+                throw new Error(`Invalid network limit: ${name}`);
             }
+            checked[name] = value;
+        }
+        this.limits = checked;
+        this.reconnect.limits = checked;
+    }
 
-            return false;
-        } catch (error) {
-            console.error('Peer verification failed:', error);
-            return false;
+    // Rooms joined from now on keep messages no peer has acknowledged in
+    // this directory, so they survive a restart; see Outbox
+    setDataDir(dir) {
+        this.dataDir = dir;
+    }
+
+    /**
+     * Keys banned right now. `roomId` names the room a room ban is for, or is
+     * null for bans from every connection and rooms no longer joined.
+     * @returns {Array<{key: string, peerId: string, roomId: ?string, offences: number, reason: string, bannedUntil: number}>}
+     */
+    getBans() {
+        const roomIds = new Map([...this.rooms.values()].map(room => [room.handle, room.roomId]));
+        return this.bans.list().map(({ room, ...ban }) => ({
+            ...ban,
+            peerId: derivePeerId(Buffer.from(ban.key, 'hex')),
+            roomId: room ? roomIds.get(room) || null : null
+        }));
+    }
+
+    // Lifts a key's bans, in every room, or all of them without a key
+    unban(key) {
+        this.bans.clear(key);
+    }
+
+    // Closes a connection once no room is using or verifying it
+    releaseSocket(socket) {
+        for (const room of this.rooms.values()) {
+            if (room.hasPeer(socket)) return;
         }
+        this.handlePeerDisconnect(socket);
     }
 
-    async handleVerificationChallenge(socket, challenge) {
+    handleIncomingData(data, socket) {
+        const connection = this.connections.get(socket);
+        if (!connection) return;
+
+        this.peerLastSeen.set(socket, Date.now());
+        connection.bytesIn += data.length;
+        connection.ingress.take(data.length);
+
+        // A chunk can carry any number of cells, including none, and a
+        // payload completes with its last cell
+        const messages = [];
         try {
-            // Calculate HMAC response using room PSK
-            const response = sodium.crypto_auth(new Uint8Array(challenge), this.roomPSK);
-            
-            // Send response
-            const responseMsg = this.padPacket(Buffer.from(JSON.stringify({
-                type: 'verification_response',
-                response: Array.from(response)
-            })));
-            socket.write(responseMsg);
+            for (const cell of connection.decoder.push(data)) {
+                connection.framesIn++;
+                const payload = connection.reassembler.push(cell);
+                if (payload) {
+                    messages.push({ message: JSON.parse(payload.toString()), size: payload.length });
+                }
+            }
         } catch (error) {
-            console.error('Failed to handle verification challenge:', error);
+            console.warn('Malformed framing from peer, disconnecting:', error.message);
+            this.reportOffence(socket, 'malformed_frame');
+            return;
         }
+
+        for (const { message, size } of messages) {
+            // Stop if an earlier frame got the peer disconnected
+            if (!this.connections.has(socket)) return;
+            this.handleMessage(message, socket, size);
+        }
+
+        this.throttleIngress(socket, connection);
     }
 
-    handleIncomingData(data, socket) {
+    // Stops reading from a peer that is over its limit until it is back
+    // under. One that stays over it for floodTolerance is banned.
+    throttleIngress(socket, connection) {
+        if (!this.connections.has(socket)) return;
+        const wait = connection.ingress.waitTime(0);
+        if (wait === 0) {
+            connection.throttledSince = null;
+            return;
+        }
+
+        const now = Date.now();
+        if (connection.throttledSince === null) {
+            connection.throttledSince = now;
+        } else if (now - connection.throttledSince > this.limits.floodTolerance) {
+            this.reportOffence(socket, 'flooding');
+            return;
+        }
+        if (connection.ingressTimer) return;
+
+        socket.pause();
+        connection.ingressTimer = setTimeout(() => {
+            connection.ingressTimer = null;
+            if (this.connections.has(socket)) socket.resume();
+        }, wait);
+    }
+
+    handleMessage(message, socket, size = 0) {
         try {
-            // Remove padding with length prefix
-            const unpadded = this.removePacketPadding(data);
-            
-            // Parse the message
-            const message = JSON.parse(unpadded.toString());
-
-            // Handle verification messages
-            if (message.type === 'verification_challenge') {
-                this.handleVerificationChallenge(socket, message.challenge);
-                return;
-            }
-            
-            if (message.type === 'verification_response') {
-                this.verifyPeer(socket, message.challenge, message.response).then(isValid => {
-                    if (!isValid) {
-                        console.warn('Invalid verification response');
-                        this.handlePeerDisconnect(socket);
-                    }
-                });
-                return;
+            // Connection-level traffic, shared by every room on the socket
+            switch (message.type) {
+                case 'keepalive':
+                    if (this.isVerified(socket)) this.handleKeepAlive(socket, message);
+                    return;
+                case 'keepalive_ack':
+                    if (this.isVerified(socket)) this.handleKeepAliveAck(socket, message);
+                    return;
+                case 'cover':
+                    // Cover cells only exist to fill the constant-rate stream
+                    return;
             }
 
-            // Only process messages from verified peers
-            if (!this.verifiedPeers.has(socket)) {
-                console.warn('Received message from unverified peer');
-                return;
-            }
-            
-            // Handle keep-alive packets
-            if (message.type === 'keepalive') {
-                this.handleKeepAlive(socket);
+            const room = this.findRoom(message.room);
+            if (!room) {
+                // A room the peer is in and we are not. Say so, so that it
+                // stops waiting for our half of the handshake.
+                if (message.type === 'verification_challenge') {
+                    this.writeMessage(socket, { type: 'room_unknown', room: message.room });
+                }
                 return;
             }
+            if (!this.admitToRoom(room, message, size)) return;
+            room.handleMessage(socket, message);
 
-            // Process actual message
-            this.onMessageCallback(message);
-            
         } catch (error) {
-            console.error('Failed to process incoming data:', error);
+            console.error('Failed to process incoming message:', error);
         }
     }
 
-    handleKeepAlive(socket) {
+    // Charges an inbound frame to its room, dropping data over the limit
+    admitToRoom(room, message, size) {
+        const { bandwidth } = room;
+        if (DROPPABLE_TYPES.has(message.type) && bandwidth.ingress.waitTime(size) > 0) {
+            bandwidth.dropped++;
+            return false;
+        }
+        bandwidth.ingress.take(size);
+        bandwidth.bytesIn += size;
+        return true;
+    }
+
+    findRoom(handle) {
+        for (const room of this.rooms.values()) {
+            if (room.handle === handle) return room;
+        }
+        return null;
+    }
+
+    isVerified(socket) {
+        for (const room of this.rooms.values()) {
+            if (room.sockets.has(socket)) return true;
+        }
+        return false;
+    }
+
+    handleKeepAlive(socket, message) {
         try {
-            // Send keep-alive response
-            const response = this.padPacket(Buffer.from(JSON.stringify({
+            // Send keep-alive response, echoing the id so the peer can time it
+            this.sendToPeer(socket, {
                 type: 'keepalive_ack',
+                id: message.id,
                 timestamp: Date.now()
-            })));
-            socket.write(response);
+            });
         } catch (error) {
             console.error('Failed to handle keep-alive:', error);
         }
     }
 
+    handleKeepAliveAck(socket, message) {
+        const connection = this.connections.get(socket);
+        if (!connection || !connection.ping || message.id !== connection.ping.id) return;
+
+        // Includes any wait for a cover cell while packet shaping is on
+        const rtt = Date.now() - connection.ping.sentAt;
+        connection.ping = null;
+        connection.rtt = rtt;
+        connection.srtt = connection.srtt === null
+            ? rtt
+            : Math.round(connection.srtt + RTT_SMOOTHING * (rtt - connection.srtt));
+    }
+
     startKeepAlive() {
         if (this.keepAliveInterval) return;
         
         this.keepAliveInterval = setInterval(() => {
             if (this.isConnected) {
+                this.checkStaleConnections();
+                this.pruneReassembly();
                 this.broadcastKeepAlive();
             }
         }, KEEPALIVE_INTERVAL);
     }
 
+    // Drops verified peers that stopped answering. Any frame counts as a
+    // sign of life, so with a keep-alive every KEEPALIVE_INTERVAL a peer is
+    // stale after missing connectionTimeout / KEEPALIVE_INTERVAL acks in a
+    // row. Leaving the rooms updates the roster, and losing the last peer
+    // starts reconnecting.
+    checkStaleConnections() {
+        const now = Date.now();
+        for (const socket of this.sockets) {
+            const connection = this.connections.get(socket);
+            // Silence is our doing while we have the peer paused
+            if (!connection || connection.ingressTimer) continue;
+
+            const lastSeen = this.peerLastSeen.get(socket);
+            if (now - lastSeen <= this.limits.connectionTimeout) continue;
+
+            console.warn(`Peer ${connection.peerId} silent for ${Math.round((now - lastSeen) / 1000)}s, dropping`);
+            this.handlePeerDisconnect(socket);
+            // A dead peer never answers our FIN; don't wait for it
+            socket.destroy();
+        }
+    }
+
+    // Forgets payloads whose sender stopped sending cells halfway through
+    pruneReassembly() {
+        for (const connection of this.connections.values()) {
+            connection.reassembler.prune();
+        }
+    }
+
     stopKeepAlive() {
         if (this.keepAliveInterval) {
             clearInterval(this.keepAliveInterval);
@@ -250,14 +680,15 @@ class NetworkManager {
     }
 
     broadcastKeepAlive() {
-        const keepAlive = this.padPacket(Buffer.from(JSON.stringify({
-            type: 'keepalive',
-            timestamp: this.addJitter(Date.now())
-        })));
+        const timestamp = this.addJitter(Date.now());
 
         for (const socket of this.sockets) {
+            // A fresh id per ping; an ack for an older one no longer counts
+            const id = sodium.to_hex(sodium.randombytes_buf(8));
+            const connection = this.connections.get(socket);
+            if (connection) connection.ping = { id, sentAt: Date.now() };
             try {
-                socket.write(keepAlive);
+                this.sendToPeer(socket, { type: 'keepalive', id, timestamp });
             } catch (error) {
                 console.error('Failed to send keep-alive:', error);
                 this.handlePeerDisconnect(socket);
@@ -270,138 +701,393 @@ class NetworkManager {
         return timestamp + jitter;
     }
 
-    async sendMessage(message) {
-        if (!this.isConnected) {
-            throw new Error('Not connected to any peers');
-        }
-
+    // Sends an envelope to every peer verified in the room, or queues it
+    // until one is. `roomId` may be left out while in a single room.
+    async sendMessage(envelope, roomId) {
         try {
-            // Add timestamp jitter
-            message.timestamp = this.addJitter(Date.now());
-            
-            // Convert to buffer and pad
-            const messageBuffer = this.padPacket(Buffer.from(JSON.stringify(message)));
-            
-            // Send to all peers
-            for (const socket of this.sockets) {
-                try {
-                    socket.write(messageBuffer);
-                } catch (error) {
-                    console.error('Failed to send to peer:', error);
-                    this.handlePeerDisconnect(socket);
-                }
-            }
+            return this.resolveRoom(roomId).sendMessage(envelope);
         } catch (error) {
             console.error('Failed to send message:', error);
             throw error;
         }
     }
 
-    padPacket(data) {
-        // Add 4-byte length prefix
-        const lengthBuffer = Buffer.alloc(4);
-        lengthBuffer.writeUInt32BE(data.length, 0);
-        const totalLength = 4 + data.length;
-        const paddedLength = Math.ceil(totalLength / PACKET_SIZE) * PACKET_SIZE;
-        const paddingLength = paddedLength - totalLength;
-        const padding = Buffer.alloc(paddingLength, 0); // zero padding
-        return Buffer.concat([lengthBuffer, data, padding], paddedLength);
+    resolveRoom(roomId) {
+        if (roomId === undefined && this.rooms.size === 1) {
+            return this.rooms.values().next().value;
+        }
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error(roomId === undefined ? 'Room must be specified' : 'Not in this room');
+        }
+        return room;
+    }
+
+    writeMessage(socket, message) {
+        this.writePayload(socket, Buffer.from(JSON.stringify(message)), this.findRoom(message.room));
+    }
+
+    // Queues a payload as cells. Every cell passes the peer's bucket and,
+    // for room traffic, the room's. Once too much is waiting this throws,
+    // which callers handle like any other failed write.
+    writePayload(socket, payload, room) {
+        if (payload.length > this.limits.maxMessageSize) {
+            throw new Error('Message too large');
+        }
+        // Padding up to the limit would have the receiver reject us
+        const padded = Math.min(paddedLength(payload.length, this.paddingScheme), this.limits.maxMessageSize);
+        const outgoing = new OutgoingPayload(payload, padded);
+
+        const connection = this.connections.get(socket);
+        if (!connection) {
+            while (!outgoing.done) socket.write(outgoing.nextCell());
+            return;
+        }
+        if (connection.queuedBytes + outgoing.remainingBytes > this.limits.maxEgressQueue) {
+            throw new Error('Egress queue full');
+        }
+        connection.egressQueue.push({ payload: outgoing, room });
+        connection.queuedBytes += outgoing.remainingBytes;
+        this.flushEgress(socket, connection);
+    }
+
+    // With packet shaping on, verified peers only get cells from the cover
+    // traffic ticker. Handshakes with peers not yet verified anywhere go out
+    // right away.
+    isShaped(socket) {
+        return this.coverTraffic.isRunning && this.isVerified(socket);
+    }
+
+    flushEgress(socket, connection) {
+        if (connection.egressTimer || this.isShaped(socket)) return;
+
+        while (connection.egressQueue.length > 0) {
+            const { room } = connection.egressQueue[0];
+            const wait = Math.max(
+                connection.egress.waitTime(CELL_SIZE),
+                room ? room.bandwidth.egress.waitTime(CELL_SIZE) : 0
+            );
+            if (wait > 0) {
+                connection.egressTimer = setTimeout(() => {
+                    connection.egressTimer = null;
+                    if (this.connections.has(socket)) this.flushEgress(socket, connection);
+                }, wait);
+                return;
+            }
+            this.writeNextCell(socket, connection);
+        }
+    }
+
+    // Sends one cell of the payload at the head of the queue and moves that
+    // payload to the back, so queued payloads take turns cell by cell
+    writeNextCell(socket, connection) {
+        const entry = connection.egressQueue.shift();
+        const { payload, room } = entry;
+        const cell = payload.nextCell();
+        if (!payload.done) connection.egressQueue.push(entry);
+
+        connection.queuedBytes -= CELL_SIZE;
+        connection.egress.take(CELL_SIZE);
+        connection.bytesOut += CELL_SIZE;
+        connection.framesOut++;
+        if (room) {
+            room.bandwidth.egress.take(CELL_SIZE);
+            room.bandwidth.bytesOut += CELL_SIZE;
+        }
+        socket.write(cell);
+    }
+
+    // One tick of the cover traffic for this peer: its next queued cell, or
+    // a cover cell when nothing is waiting. Both count against the limits,
+    // which at the highest rate stay well above what the ticker sends.
+    writeShapedCell(socket) {
+        const connection = this.connections.get(socket);
+        if (!connection) return;
+        if (connection.egressQueue.length === 0) {
+            const cover = new OutgoingPayload(Buffer.from(JSON.stringify({ type: 'cover' })));
+            connection.egressQueue.push({ payload: cover, room: null });
+            connection.queuedBytes += cover.remainingBytes;
+        }
+        this.writeNextCell(socket, connection);
+    }
+
+    /**
+     * Traffic counters since each peer connected or room was joined
+     * @returns {{peers: Object[], rooms: Object[]}} Per-peer and per-room counters
+     */
+    getBandwidthStats() {
+        const peers = [];
+        for (const connection of this.connections.values()) {
+            peers.push({
+                peerId: connection.peerId,
+                bytesIn: connection.bytesIn,
+                bytesOut: connection.bytesOut,
+                queuedBytes: connection.queuedBytes,
+                throttled: Boolean(connection.ingressTimer || connection.egressTimer)
+            });
+        }
+
+        const rooms = [];
+        for (const room of this.rooms.values()) {
+            const { bytesIn, bytesOut, dropped } = room.bandwidth;
+            rooms.push({ roomId: room.roomId, bytesIn, bytesOut, dropped });
+        }
+        return { peers, rooms };
+    }
+
+    /**
+     * Per-connection diagnostics for debugging bad links
+     * @returns {Array<Object>} One entry per connection, with the rooms it is in
+     */
+    getPeerStats() {
+        const stats = [];
+        for (const [socket, connection] of this.connections) {
+            stats.push({
+                peerId: connection.peerId,
+                connectedAt: connection.connectedAt,
+                reconnects: connection.reconnects,
+                rtt: connection.rtt,
+                srtt: connection.srtt,
+                bytesIn: connection.bytesIn,
+                bytesOut: connection.bytesOut,
+                framesIn: connection.framesIn,
+                framesOut: connection.framesOut,
+                queuedBytes: connection.queuedBytes,
+                lastSeen: this.peerLastSeen.get(socket),
+                rooms: [...this.rooms.values()]
+                    .map(room => room.getPeerStats(socket))
+                    .filter(Boolean)
+            });
+        }
+        return stats;
+    }
+
+    startBandwidthReports() {
+        if (this.bandwidthInterval) return;
+        this.bandwidthInterval = setInterval(() => {
+            this.emit('bandwidth', this.getBandwidthStats());
+        }, BANDWIDTH_REPORT_INTERVAL);
+    }
+
+    stopBandwidthReports() {
+        if (this.bandwidthInterval) {
+            clearInterval(this.bandwidthInterval);
+            this.bandwidthInterval = null;
+        }
+    }
+
+    // Post-verification traffic. Packet shaping, when enabled, decides when
+    // its cells hit the wire.
+    sendToPeer(socket, message) {
+        this.writeMessage(socket, message);
     }
 
-    removePacketPadding(data) {
-        // Read 4-byte length prefix
-        if (data.length < 4) {
-            throw new Error('Invalid packet: too short for length prefix');
+    setPacketShaping({ enabled, rate = this.packetShaping.rate }) {
+        this.packetShaping = { enabled: Boolean(enabled), rate };
+
+        if (this.packetShaping.enabled) {
+            this.coverTraffic.start(rate);
+            return;
+        }
+
+        this.coverTraffic.stop();
+        // Send anything still waiting for a tick at the normal pace
+        for (const [socket, connection] of this.connections) {
+            this.flushEgress(socket, connection);
         }
-        const length = data.readUInt32BE(0);
-        if (length > data.length - 4) {
-            throw new Error('Invalid packet: length prefix exceeds data size');
+    }
+
+    // Chosen in the settings, like the worker's padding of plaintexts
+    setPaddingScheme(scheme) {
+        if (!PADDING_SCHEMES.includes(scheme)) {
+            throw new Error('Invalid padding scheme');
         }
-        return data.slice(4, 4 + length);
+        this.paddingScheme = scheme;
     }
 
     handlePeerDisconnect(socket) {
-        this.sockets.delete(socket);
+        // 'end', 'error' and our own rejection can all land here for one socket
+        for (const room of this.rooms.values()) {
+            room.removePeer(socket);
+        }
+        this.clearConnectionTimers(socket);
+        this.connections.delete(socket);
+        this.peerLastSeen.delete(socket);
+        if (!socket.destroyed) {
+            socket.end(); // flushes a pending verification_failure first
+        }
         if (this.sockets.size === 0) {
             this.isConnected = false;
-            this.attemptReconnect();
-        }
-        // Clear connection timeout if any
-        if (this.connectionTimeout) {
-            clearTimeout(this.connectionTimeout);
-            this.connectionTimeout = null;
+            if (this.rooms.size > 0) {
+                this.attemptReconnect();
+            }
         }
     }
 
+    // Backs off exponentially until a peer is verified again
     attemptReconnect() {
-        if (this.reconnectTimer) return;
-        
-        this.reconnectTimer = setTimeout(() => {
-            try {
-                if (this.swarm && !this.isConnected) {
-                    console.log('Attempting to reconnect...');
-                    this.swarm.rejoin();
-                }
-            } catch (error) {
-                console.error('Reconnection attempt failed:', error);
-            } finally {
-                this.reconnectTimer = null;
-            }
-        }, 5000);
+        this.reconnect.schedule();
     }
 
-    setTransportMode(mode) {
-        if (mode !== 'direct' && mode !== 'yggdrasil') {
+    // One reconnection attempt: announce and look up every room topic again,
+    // over a fresh transport if the last one failed to start
+    async rejoinRooms() {
+        if (this.isConnected || this.rooms.size === 0) return;
+
+        if (!this.transport) {
+            await this.ensureTransport();
+            this.announce([...this.rooms.values()]);
+        }
+        console.log('Attempting to reconnect...');
+        await this.transport.reconnect();
+    }
+
+    setTransportMode(mode, options = {}) {
+        if (!TRANSPORT_MODES.includes(mode)) {
             throw new Error('Invalid transport mode');
         }
-        
-        if (mode === this.transportMode) return;
-        
+
+        if (mode === this.transportMode &&
+            JSON.stringify(options) === JSON.stringify(this.transportOptions)) return;
+
         this.transportMode = mode;
-        
-        // Reinitialize network with new transport using saved parameters
-        if (this.swarm) {
-            this.cleanup();
-            if (this.savedParams) {
-                const { roomId, preKeyBundle, onMessage } = this.savedParams;
-                this.initialize(roomId, preKeyBundle, onMessage);
-            }
+        this.transportOptions = options;
+
+        this.restart();
+    }
+
+    // Bootstrap nodes as "host:port" strings; an empty list means the public
+    // DHT. With `testnet` set, a local testnet is used instead of either.
+    // A setting left out keeps its current value.
+    setDiscovery({ bootstrap, testnet } = {}) {
+        if (bootstrap !== undefined && !Array.isArray(bootstrap)) {
+            throw new Error('Bootstrap list must be an array');
+        }
+        const discovery = {
+            bootstrap: bootstrap === undefined
+                ? this.discovery.bootstrap
+                : bootstrap.map(address => parseAddress(address)),
+            testnet: testnet === undefined ? this.discovery.testnet : Boolean(testnet)
+        };
+
+        if (JSON.stringify(discovery) === JSON.stringify(this.discovery)) return;
+
+        if (this.discovery.testnet && !discovery.testnet) {
+            stopLocalTestnet().catch(error => console.error('Failed to stop local testnet:', error));
         }
+        this.discovery = discovery;
+        this.restart();
     }
 
-    cleanup() {
-        this.stopKeepAlive();
-        
-        if (this.reconnectTimer) {
-            clearTimeout(this.reconnectTimer);
-            this.reconnectTimer = null;
+    async resolveTransportOptions() {
+        if (this.transportMode !== 'direct') {
+            // Proxied transports dial configured peers and never touch the DHT
+            return this.transportOptions;
         }
 
-        for (const socket of this.sockets) {
+        let bootstrap;
+        if (this.discovery.testnet) {
+            bootstrap = await ensureLocalTestnet();
+        } else if (this.discovery.bootstrap.length > 0) {
+            bootstrap = this.discovery.bootstrap;
+        }
+        return { ...this.transportOptions, bootstrap };
+    }
+
+    // Rejoin every room over a fresh transport with the current settings.
+    // Rooms keep their queued messages and history across the switch.
+    restart() {
+        if (!this.transport) return;
+
+        this.closeTransport();
+        this.ensureTransport().then(() => {
+            this.announce([...this.rooms.values()]);
+        }).catch(error => {
+            console.error('Failed to rejoin rooms:', error);
+            this.attemptReconnect();
+        });
+    }
+
+    closeTransport() {
+        // Whatever comes next starts from the first backoff delay
+        this.reconnect.reset();
+
+        for (const socket of [...this.connections.keys()]) {
+            for (const room of this.rooms.values()) {
+                room.removePeer(socket);
+            }
+            this.clearConnectionTimers(socket);
             try {
                 socket.end();
             } catch (error) {
                 console.error('Error closing socket:', error);
             }
         }
+        this.connections.clear();
+        this.peerLastSeen.clear();
+        this.isConnected = false;
 
-        this.sockets.clear();
-        
-        if (this.swarm) {
+        if (this.transport) {
             try {
-                this.swarm.destroy();
+                this.transport.destroy();
             } catch (error) {
-                console.error('Error destroying swarm:', error);
+                console.error('Error destroying transport:', error);
             }
+            this.transport = null;
         }
     }
+
+    clearConnectionTimers(socket) {
+        const connection = this.connections.get(socket);
+        if (!connection) return;
+        clearTimeout(connection.egressTimer);
+        clearTimeout(connection.ingressTimer);
+    }
+
+    // Leaves every room: peers hear about it and the DHT stops announcing us
+    // before the connections and the transport close
+    // Leaves every room. With `keepOutbox` the backend is shutting down
+    // and rooms keep their undelivered messages for the next run.
+    async cleanup({ keepOutbox = false } = {}) {
+        this.stopKeepAlive();
+        this.stopBandwidthReports();
+        this.coverTraffic.stop();
+
+        const rooms = [...this.rooms.values()];
+        this.rooms.clear();
+        for (const room of rooms) {
+            clearTimeout(room.joinTimeout);
+            room.announceLeave();
+        }
+        await this.unannounce(rooms.map(room => room.topic));
+        for (const room of rooms) {
+            room.close({ keepOutbox });
+        }
+
+        this.closeTransport();
+        this.setStatus('disconnected');
+    }
 }
 
 // Export singleton instance
 const networkManager = new NetworkManager();
 module.exports = {
-    initNetwork: (roomId, preKeyBundle, onRx) => networkManager.initialize(roomId, preKeyBundle, onRx),
-    sendMessage: (message) => networkManager.sendMessage(message),
-    setTransport: (mode) => networkManager.setTransportMode(mode),
-    cleanup: () => networkManager.cleanup()
+    NetworkManager,
+    checkJoin: (roomId, psk) => networkManager.checkJoin(roomId, psk),
+    joinRoom: (roomId, psk, onRx, options) => networkManager.joinRoom(roomId, psk, onRx, options),
+    leaveRoom: (roomId) => networkManager.leaveRoom(roomId),
+    sendMessage: (message, roomId) => networkManager.sendMessage(message, roomId),
+    setTransport: (mode, options) => networkManager.setTransportMode(mode, options),
+    setDiscovery: (options) => networkManager.setDiscovery(options),
+    setPacketShaping: (options) => networkManager.setPacketShaping(options),
+    setPaddingScheme: (scheme) => networkManager.setPaddingScheme(scheme),
+    loadBans: (file) => networkManager.loadBans(file),
+    setDataDir: (dir) => networkManager.setDataDir(dir),
+    setLimits: (limits) => networkManager.setLimits(limits),
+    getBans: () => networkManager.getBans(),
+    getPeerStats: () => networkManager.getPeerStats(),
+    getStatus: () => networkManager.getStatus(),
+    unban: (key) => networkManager.unban(key),
+    on: (event, listener) => networkManager.on(event, listener),
+    cleanup: (options) => networkManager.cleanup(options)
 };
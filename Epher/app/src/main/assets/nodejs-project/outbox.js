@@ -0,0 +1,200 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+
+/*
+ * Outbound messages and their delivery state.
+ *
+ * Messages submitted while no peer is verified wait in `queue` and go out as
+ * soon as one is. Sent messages stay in flight until every peer they were
+ * sent to has acknowledged them, and are resent to the peers that haven't
+ * after `deliveryTimeout`. If every recipient drops before acknowledging, the
+ * message goes back to the front of the queue for the next peer, pushing out
+ * and failing the messages that no longer fit.
+ *
+ * With a `file`, messages no peer has acknowledged yet survive a restart of
+ * the backend and go out once the room is joined again. Only the sealed
+ * envelopes are stored, and the file is removed with the rest of the room's
+ * state when the room is left.
+ *
+ * Events:
+ *   'ack'       { messageId, peerId }  one peer confirmed receipt
+ *   'delivered' { messageId, status }  'delivered' on the first ack, or
+ *                                      'failed' once attempts run out
+ */
+class Outbox extends EventEmitter {
+    constructor({ write, limits, file = null }) {
+        super();
+        this.write = write; // (socket, message) => void, throws on a dead socket
+        this.limits = limits;
+        this.file = file;
+        this.queue = [];
+        this.inFlight = new Map(); // messageId => delivery state
+    }
+
+    // Queues the messages a previous run left undelivered
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.queue.push(...saved.slice(0, this.limits.offlineQueueLimit));
+        } catch (error) {
+            console.error('Failed to load outbox, starting empty:', error.message);
+        }
+    }
+
+    // Messages no peer has acknowledged, queued or sent
+    get pending() {
+        const sent = [...this.inFlight.values()]
+            .filter(delivery => delivery.acked.size === 0)
+            .map(delivery => delivery.message);
+        return [...sent, ...this.queue];
+    }
+
+    save() {
+        if (!this.file) return;
+        try {
+            const pending = this.pending;
+            if (pending.length === 0) {
+                fs.rmSync(this.file, { force: true });
+                return;
+            }
+            // Write aside and rename, so a crash never leaves half a file
+            const temporary = `${this.file}.tmp`;
+            fs.writeFileSync(temporary, JSON.stringify(pending), { mode: 0o600 });
+            fs.renameSync(temporary, this.file);
+        } catch (error) {
+            console.error('Failed to save outbox:', error.message);
+        }
+    }
+
+    submit(message, sockets) {
+        if (sockets.size === 0) {
+            this.enqueue(message);
+        } else {
+            this.dispatch(message, sockets);
+        }
+        this.save();
+    }
+
+    enqueue(message) {
+        if (this.queue.length >= this.limits.offlineQueueLimit) {
+            throw new Error('Offline queue full');
+        }
+        this.queue.push(message);
+    }
+
+    flush(sockets) {
+        if (sockets.size === 0) return;
+        for (const message of this.queue.splice(0)) {
+            this.dispatch(message, sockets);
+        }
+        this.save();
+    }
+
+    dispatch(message, sockets) {
+        const delivery = {
+            message,
+            sentTo: new Set(),
+            acked: new Set(),
+            attempts: 0,
+            timer: null
+        };
+        this.inFlight.set(message.id, delivery);
+        this.transmit(delivery, sockets);
+    }
+
+    transmit(delivery, sockets) {
+        delivery.attempts++;
+        for (const socket of sockets) {
+            try {
+                this.write(socket, delivery.message);
+                delivery.sentTo.add(socket);
+            } catch (error) {
+                console.error('Failed to send to peer:', error);
+            }
+        }
+
+        clearTimeout(delivery.timer);
+        delivery.timer = setTimeout(() => this.handleTimeout(delivery), this.limits.deliveryTimeout);
+    }
+
+    handleAck(messageId, socket, peerId) {
+        const delivery = this.inFlight.get(messageId);
+        if (!delivery || !delivery.sentTo.has(socket) || delivery.acked.has(socket)) return;
+
+        delivery.acked.add(socket);
+        this.emit('ack', { messageId, peerId });
+        if (delivery.acked.size === delivery.sentTo.size) {
+            this.finish(delivery);
+        }
+        if (delivery.acked.size === 1) {
+            this.save();
+            this.emit('delivered', { messageId, status: 'delivered' });
+        }
+    }
+
+    handleTimeout(delivery) {
+        const missing = [...delivery.sentTo].filter(socket => !delivery.acked.has(socket));
+        if (missing.length === 0) {
+            this.finish(delivery);
+            return;
+        }
+
+        if (delivery.attempts >= this.limits.maxDeliveryAttempts) {
+            this.finish(delivery);
+            if (delivery.acked.size === 0) {
+                this.save();
+                this.emit('delivered', { messageId: delivery.message.id, status: 'failed' });
+            }
+            return;
+        }
+
+        this.transmit(delivery, missing);
+    }
+
+    handlePeerGone(socket) {
+        const requeue = [];
+        for (const delivery of this.inFlight.values()) {
+            if (!delivery.sentTo.has(socket) || delivery.acked.has(socket)) continue;
+
+            delivery.sentTo.delete(socket);
+            if (delivery.sentTo.size === 0) {
+                this.finish(delivery);
+                requeue.push(delivery.message);
+            } else if (delivery.acked.size === delivery.sentTo.size) {
+                this.finish(delivery);
+            }
+        }
+        if (requeue.length === 0) return;
+
+        // Nobody got these; retry them first once a peer is back. Whatever
+        // no longer fits in the queue has failed.
+        this.queue.unshift(...requeue);
+        const overflow = this.queue.splice(this.limits.offlineQueueLimit);
+        this.save();
+        for (const message of overflow) {
+            this.emit('delivered', { messageId: message.id, status: 'failed' });
+        }
+    }
+
+    finish(delivery) {
+        clearTimeout(delivery.timer);
+        this.inFlight.delete(delivery.message.id);
+    }
+
+    // Drops every message, and with `keepFile` leaves the saved ones for
+    // the next run
+    clear({ keepFile = false } = {}) {
+        for (const delivery of this.inFlight.values()) {
+            clearTimeout(delivery.timer);
+        }
+        this.inFlight.clear();
+        this.queue = [];
+        if (!keepFile) this.save();
+    }
+}
+
+module.exports = {
+    Outbox
+};
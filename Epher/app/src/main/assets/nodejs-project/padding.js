@@ -0,0 +1,33 @@
+// Length-hiding padding schemes, see js/padding.js for the tradeoffs.
+// Keep paddedLength() in sync with it; the backend cannot import the UI's
+// modules directly.
+const PADDING_SCHEMES = ['bucket', 'padme', 'exponential'];
+const DEFAULT_PADDING_SCHEME = 'padme';
+
+const BUCKET_SIZE = 256;
+
+// Size a payload of `length` bytes is padded to, never less than `length`
+function paddedLength(length, scheme = DEFAULT_PADDING_SCHEME) {
+    switch (scheme) {
+        case 'bucket':
+            return Math.max(1, Math.ceil(length / BUCKET_SIZE)) * BUCKET_SIZE;
+        case 'padme': {
+            // PADMÉ: round up so only the top bits of the length remain
+            if (length < 2) return length;
+            const exponent = Math.floor(Math.log2(length));
+            const mantissaBits = Math.floor(Math.log2(exponent)) + 1;
+            const step = Math.pow(2, exponent - mantissaBits);
+            return Math.ceil(length / step) * step;
+        }
+        case 'exponential':
+            return length < 2 ? length : Math.pow(2, Math.ceil(Math.log2(length)));
+        default:
+            throw new Error(`Unknown padding scheme: ${scheme}`);
+    }
+}
+
+module.exports = {
+    PADDING_SCHEMES,
+    DEFAULT_PADDING_SCHEME,
+    paddedLength
+};
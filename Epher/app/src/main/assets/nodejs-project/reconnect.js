@@ -0,0 +1,96 @@
+const { EventEmitter } = require('events');
+
+/*
+ * Retries a connection attempt with exponential backoff.
+ *
+ * Each delay doubles from initialReconnectDelay up to maxReconnectDelay, and
+ * is then spread by up to ±reconnectJitter of itself so that peers that lost
+ * the same network don't all come back in lockstep. Whoever notices the
+ * connection is back calls reset(); until then every finished attempt
+ * schedules the next one, and after reconnectAttempts tries the controller
+ * gives up until the next reset().
+ *
+ * Events:
+ *   'scheduled' { attempt, maxAttempts, delay }  next attempt is waiting
+ *   'attempt'   { attempt, maxAttempts }         an attempt is starting
+ *   'failed'    { attempts }                     attempts ran out
+ */
+class ReconnectController extends EventEmitter {
+    constructor({ attempt, limits }) {
+        super();
+        this.attempt = attempt; // async () => void
+        this.limits = limits;
+        this.attempts = 0;
+        this.timer = null;
+    }
+
+    get exhausted() {
+        return this.attempts >= this.limits.reconnectAttempts;
+    }
+
+    // Base delay before attempt number `attempts + 1`, without jitter
+    baseDelay(attempts = this.attempts) {
+        return Math.min(
+            this.limits.initialReconnectDelay * Math.pow(2, attempts),
+            this.limits.maxReconnectDelay
+        );
+    }
+
+    nextDelay() {
+        const base = this.baseDelay();
+        const spread = base * this.limits.reconnectJitter;
+        const delay = base + (Math.random() * 2 - 1) * spread;
+        return Math.round(Math.min(Math.max(delay, 0), this.limits.maxReconnectDelay));
+    }
+
+    schedule() {
+        if (this.timer) return;
+        if (this.exhausted) {
+            this.emit('failed', { attempts: this.attempts });
+            return;
+        }
+
+        const delay = this.nextDelay();
+        this.emit('scheduled', {
+            attempt: this.attempts + 1,
+            maxAttempts: this.limits.reconnectAttempts,
+            delay
+        });
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.run();
+        }, delay);
+    }
+
+    async run() {
+        this.attempts++;
+        const attempts = this.attempts;
+        this.emit('attempt', { attempt: attempts, maxAttempts: this.limits.reconnectAttempts });
+
+        try {
+            await this.attempt();
+        } catch (error) {
+            console.error('Reconnection attempt failed:', error);
+        }
+
+        // A reset while the attempt ran means we are back
+        if (this.attempts === attempts && !this.timer) {
+            this.schedule();
+        }
+    }
+
+    // The connection is back: the next outage starts from the first delay
+    reset() {
+        this.stop();
+        this.attempts = 0;
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    ReconnectController
+};
@@ -0,0 +1,468 @@
+const { EventEmitter } = require('events');
+const path = require('path');
+const sodium = require('libsodium-wrappers');
+const { PeerHandshake } = require('./handshake');
+const { Outbox } = require('./outbox');
+const { HistoryCache } = require('./history');
+const { TokenBucket } = require('./token-bucket');
+
+const VERIFICATION_TIMEOUT = 10000; // ms for a peer to prove it knows the room PSK
+const SEEN_MESSAGE_LIMIT = 1024; // Message ids remembered for duplicate detection
+const ROOM_HANDLE_LABEL = 'epher-room-handle';
+
+// Hyperswarm topic for a room
+function deriveTopic(roomId) {
+    return Buffer.from(sodium.crypto_generichash(32, Buffer.from(roomId)));
+}
+
+// Whether a stored message carries an entry the recipient can open
+function isSealedFor(message, recipient) {
+    const { recipients } = message.data;
+    return Boolean(recipients) && typeof recipients === 'object' &&
+        Object.prototype.hasOwnProperty.call(recipients, recipient);
+}
+
+// Short tag that routes frames on a shared connection to the right room.
+// Derived from the topic, so both ends agree on it before verifying.
+function deriveHandle(topic) {
+    const input = Buffer.concat([Buffer.from(ROOM_HANDLE_LABEL), topic]);
+    return sodium.to_hex(sodium.crypto_generichash(8, input));
+}
+
+/*
+ * One joined room: its PSK, the peers verified in it and its message state.
+ *
+ * Hyperswarm opens a single connection per remote peer however many topics
+ * we share with it, so a connection can carry several rooms. Every frame a
+ * room sends is tagged with its handle, and each room runs its own handshake
+ * on the connection; a peer verified in one room is a stranger to the others.
+ * Likewise a peer failing the handshake is only banned from this room, in
+ * the manager's ban list under the room's handle: not knowing one room's PSK
+ * says nothing about the rooms it does share with us.
+ *
+ * Emits the same events as NetworkManager, without the room id, which the
+ * manager adds when forwarding them.
+ */
+class Room extends EventEmitter {
+    constructor({ roomId, psk, network, onMessage, limits, identity = null, dataDir = null }) {
+        super();
+        this.roomId = roomId;
+        this.topic = deriveTopic(roomId);
+        this.handle = deriveHandle(this.topic);
+        this.psk = psk;
+        this.network = network; // owns the connections; see NetworkManager
+        this.onMessage = onMessage;
+        this.identity = identity; // the app's identity key, which names us in envelope recipients
+        this.joinTimeout = null; // set by NetworkManager while waiting for a first peer
+        this.sockets = new Set(); // verified peers
+        this.verifiedPeers = new Map(); // socket => { verifiedAt, verificationTime, remotePublicKey, handshake }
+        this.pendingVerifications = new Map(); // socket => { handshake, timeout, startedAt }
+        // Named by the handle, so the file doesn't give the room id away
+        this.outbox = new Outbox({
+            write: (socket, message) => this.send(socket, message),
+            limits,
+            file: dataDir ? path.join(dataDir, `outbox-${this.handle}.json`) : null
+        });
+        this.outbox.on('ack', (event) => this.emit('ack', event));
+        this.outbox.on('delivered', (event) => this.emit('delivered', event));
+        this.seenMessageIds = new Set();
+        this.history = new HistoryCache(limits);
+        // Shared by every peer in the room; NetworkManager enforces it
+        this.bandwidth = {
+            ingress: new TokenBucket(limits.bandwidthLimit),
+            egress: new TokenBucket(limits.bandwidthLimit),
+            bytesIn: 0,
+            bytesOut: 0,
+            dropped: 0 // inbound frames discarded over the limit
+        };
+
+        // Messages a previous run couldn't deliver, treated as just sent
+        this.outbox.load();
+        for (const message of this.outbox.queue) {
+            this.rememberMessageId(message.id);
+            this.history.add(message);
+        }
+    }
+
+    hasPeer(socket) {
+        return this.verifiedPeers.has(socket) || this.pendingVerifications.has(socket);
+    }
+
+    // Starts the room handshake on a connection
+    addPeer(socket) {
+        if (this.hasPeer(socket) || this.network.bans.isBanned(socket.remotePublicKey, this.handle)) return;
+
+        const handshake = new PeerHandshake(this.psk, socket.publicKey, socket.remotePublicKey);
+        const timeout = setTimeout(() => {
+            // Not an offence: a peer that isn't in the room never answers
+            if (this.pendingVerifications.has(socket)) {
+                console.warn('Peer verification timeout');
+                this.dropPeer(socket);
+            }
+        }, VERIFICATION_TIMEOUT);
+        this.pendingVerifications.set(socket, { handshake, timeout, startedAt: Date.now() });
+        this.emit('peer-joined', this.describePeer(socket));
+
+        // Send our challenge; the remote side sends theirs concurrently
+        this.writeHandshake(socket, handshake.createChallenge());
+    }
+
+    // Handshake frames go out at once until the peer is verified in some
+    // room, and are shaped like everything else after that
+    writeHandshake(socket, message) {
+        this.network.writeMessage(socket, { ...message, room: this.handle });
+    }
+
+    // Post-verification traffic, shaped if packet shaping is on
+    send(socket, message) {
+        this.network.sendToPeer(socket, { ...message, room: this.handle });
+    }
+
+    handleMessage(socket, message) {
+        switch (message.type) {
+            case 'verification_challenge':
+                this.handleVerificationChallenge(socket, message);
+                return;
+            case 'verification_response':
+                this.verifyPeer(socket, message);
+                return;
+            case 'verification_success':
+                this.handleVerificationSuccess(socket, message);
+                return;
+            case 'verification_failure':
+                console.warn('Peer rejected our verification:', message.reason);
+                this.dropPeer(socket);
+                return;
+            case 'room_unknown':
+                // The peer isn't in this room (yet); if it joins later it
+                // sends a challenge and the handshake starts over
+                if (this.pendingVerifications.has(socket)) {
+                    this.dropPeer(socket);
+                }
+                return;
+        }
+
+        // Only process messages from peers verified in this room
+        if (!this.verifiedPeers.has(socket)) {
+            console.warn('Received message from unverified peer');
+            return;
+        }
+
+        switch (message.type) {
+            case 'message':
+                this.handleDataMessage(socket, message);
+                return;
+            case 'ack':
+                this.outbox.handleAck(message.id, socket, this.network.getPeerId(socket));
+                return;
+            case 'history_offer':
+                this.handleHistoryOffer(socket, message);
+                return;
+            case 'history_request':
+                this.handleHistoryRequest(socket, message);
+                return;
+            case 'history':
+                this.handleHistoryMessage(message);
+                return;
+            case 'leave':
+                this.handleLeave(socket, message);
+                return;
+            default:
+                console.warn('Unknown message type from peer:', message.type);
+        }
+    }
+
+    handleVerificationChallenge(socket, message) {
+        // A peer that joined the room after connecting to us starts the handshake
+        if (!this.hasPeer(socket)) {
+            this.addPeer(socket);
+        }
+
+        const verification = this.pendingVerifications.get(socket);
+        if (!verification) {
+            console.warn('No pending verification for peer');
+            return;
+        }
+
+        try {
+            this.writeHandshake(socket, verification.handshake.handleChallenge(message));
+        } catch (error) {
+            console.error('Failed to handle verification challenge:', error);
+            this.rejectPeer(socket, verification.handshake, error.message);
+        }
+    }
+
+    verifyPeer(socket, message) {
+        const verification = this.pendingVerifications.get(socket);
+        if (!verification) {
+            console.warn('No pending verification for peer');
+            return false;
+        }
+
+        try {
+            if (!verification.handshake.verifyResponse(message)) {
+                this.rejectPeer(socket, verification.handshake, 'invalid_proof');
+                return false;
+            }
+        } catch (error) {
+            console.error('Peer verification failed:', error);
+            this.rejectPeer(socket, verification.handshake, error.message);
+            return false;
+        }
+
+        // Tell the remote side its proof was accepted
+        this.writeHandshake(socket, verification.handshake.createSuccess());
+        this.completeVerification(socket);
+        return true;
+    }
+
+    handleVerificationSuccess(socket, message) {
+        const verification = this.pendingVerifications.get(socket);
+        if (!verification) return;
+
+        try {
+            verification.handshake.handleSuccess(message);
+            this.completeVerification(socket);
+        } catch (error) {
+            console.error('Invalid verification success:', error);
+            this.rejectPeer(socket, verification.handshake, error.message);
+        }
+    }
+
+    completeVerification(socket) {
+        const verification = this.pendingVerifications.get(socket);
+        if (!verification || !verification.handshake.isComplete) return;
+
+        clearTimeout(verification.timeout);
+        this.pendingVerifications.delete(socket);
+
+        const verifiedAt = Date.now();
+        this.verifiedPeers.set(socket, {
+            verifiedAt,
+            verificationTime: verifiedAt - verification.startedAt,
+            remotePublicKey: socket.remotePublicKey,
+            handshake: verification.handshake // authenticates a later leave
+        });
+        this.sockets.add(socket);
+        this.emit('peer-verified', this.describePeer(socket));
+        this.outbox.flush(this.sockets);
+        this.offerHistory(socket);
+    }
+
+    // Tells every verified peer we are leaving, so that it drops us from its
+    // roster right away instead of waiting for the connection to time out
+    announceLeave() {
+        for (const [socket, { handshake }] of this.verifiedPeers) {
+            try {
+                this.writeHandshake(socket, handshake.createLeave());
+            } catch (error) {
+                console.error('Failed to announce leave:', error);
+            }
+        }
+    }
+
+    handleLeave(socket, message) {
+        const { handshake } = this.verifiedPeers.get(socket);
+        let valid = false;
+        try {
+            valid = handshake.verifyLeave(message);
+        } catch (error) {
+            console.warn('Malformed leave from peer:', error.message);
+        }
+        if (!valid) {
+            console.warn('Ignoring unauthenticated leave from peer');
+            return;
+        }
+        this.dropPeer(socket);
+    }
+
+    describePeer(socket) {
+        const verified = this.verifiedPeers.get(socket);
+        return {
+            peerId: this.network.getPeerId(socket),
+            connectedAt: this.network.getConnectedAt(socket),
+            verified: Boolean(verified),
+            verifiedAt: verified ? verified.verifiedAt : null
+        };
+    }
+
+    // The peer's state in this room, or null if it isn't in it
+    getPeerStats(socket) {
+        if (!this.hasPeer(socket)) return null;
+        const verified = this.verifiedPeers.get(socket);
+        return {
+            roomId: this.roomId,
+            verified: Boolean(verified),
+            verificationTime: verified ? verified.verificationTime : null
+        };
+    }
+
+    rejectPeer(socket, handshake, reason) {
+        console.warn('Rejecting peer:', reason);
+        try {
+            this.writeHandshake(socket, handshake.createFailure(reason));
+        } catch (error) {
+            console.error('Failed to send verification failure:', error);
+        }
+        this.network.bans.recordOffence(socket.remotePublicKey, reason, this.handle);
+        this.dropPeer(socket);
+    }
+
+    // Removes the peer from this room and lets the manager close the
+    // connection if no other room uses it
+    dropPeer(socket) {
+        this.removePeer(socket);
+        this.network.releaseSocket(socket);
+    }
+
+    removePeer(socket) {
+        if (!this.hasPeer(socket)) return;
+        this.emit('peer-left', this.describePeer(socket));
+
+        const verification = this.pendingVerifications.get(socket);
+        if (verification) {
+            clearTimeout(verification.timeout);
+            this.pendingVerifications.delete(socket);
+        }
+        this.verifiedPeers.delete(socket);
+        this.sockets.delete(socket);
+        this.outbox.handlePeerGone(socket);
+    }
+
+    handleDataMessage(socket, message) {
+        if (typeof message.id !== 'string' || !message.data) {
+            console.warn('Malformed data message from peer');
+            return;
+        }
+
+        // Always ack, even duplicates: the sender resends when an ack is lost
+        this.send(socket, { type: 'ack', id: message.id });
+
+        this.deliverMessage(message);
+    }
+
+    // Hands a room message to the UI once, however many times and through
+    // however many peers it arrives
+    deliverMessage(message) {
+        if (this.seenMessageIds.has(message.id)) return;
+        this.rememberMessageId(message.id);
+        this.history.add(this.stripTag(message));
+        this.onMessage(message.data);
+    }
+
+    // Cached messages are forwarded inside other frames; keep them untagged
+    stripTag(message) {
+        const untagged = { ...message };
+        delete untagged.room;
+        return untagged;
+    }
+
+    rememberMessageId(id) {
+        this.seenMessageIds.add(id);
+        if (this.seenMessageIds.size > SEEN_MESSAGE_LIMIT) {
+            // Sets iterate in insertion order, so this drops the oldest id
+            this.seenMessageIds.delete(this.seenMessageIds.values().next().value);
+        }
+    }
+
+    // History sync: each side offers the ids it holds to a newly verified
+    // peer, which asks for the ones it hasn't seen and receives them one
+    // frame at a time. Both directions run independently.
+    //
+    // The app seals each envelope only for the sessions it had when
+    // sending, so a peer that names its identity key in the request is
+    // only sent envelopes with an entry for it. A late joiner therefore
+    // gets nothing from before its sessions; what history still brings
+    // is what was sealed for a peer while it was away, and everything
+    // for clients that send plaintext and name no identity, like the CLI.
+    offerHistory(socket) {
+        const ids = this.history.ids();
+        if (ids.length === 0) return;
+
+        try {
+            this.send(socket, { type: 'history_offer', ids });
+        } catch (error) {
+            console.error('Failed to offer history:', error);
+        }
+    }
+
+    handleHistoryOffer(socket, message) {
+        if (!this.isValidIdList(message.ids)) {
+            console.warn('Malformed history offer from peer');
+            return;
+        }
+
+        const wanted = message.ids.filter(id => !this.seenMessageIds.has(id) && !this.history.has(id));
+        if (wanted.length === 0) return;
+
+        const request = { type: 'history_request', ids: wanted };
+        if (this.identity) request.recipient = this.identity;
+        this.send(socket, request);
+    }
+
+    handleHistoryRequest(socket, message) {
+        if (!this.isValidIdList(message.ids) ||
+            (message.recipient !== undefined && typeof message.recipient !== 'string')) {
+            console.warn('Malformed history request from peer');
+            return;
+        }
+
+        for (const entry of this.history.get(message.ids)) {
+            if (message.recipient !== undefined && !isSealedFor(entry, message.recipient)) continue;
+            this.send(socket, { type: 'history', message: entry });
+        }
+    }
+
+    handleHistoryMessage({ message }) {
+        if (!message || message.type !== 'message' || typeof message.id !== 'string' ||
+            typeof message.timestamp !== 'number' || !message.data) {
+            console.warn('Malformed history message from peer');
+            return;
+        }
+        this.deliverMessage(message);
+    }
+
+    isValidIdList(ids) {
+        return Array.isArray(ids) &&
+            ids.length <= this.history.limits.historyLimit &&
+            ids.every(id => typeof id === 'string');
+    }
+
+    // Sends an envelope to every peer verified in the room, or queues it
+    // until one is. Delivery is reported through 'ack' and 'delivered' events.
+    sendMessage(envelope) {
+        const messageId = typeof envelope.messageId === 'string' && envelope.messageId
+            ? envelope.messageId
+            : sodium.to_hex(sodium.randombytes_buf(16));
+
+        const message = {
+            type: 'message',
+            id: messageId,
+            timestamp: this.network.addJitter(Date.now()),
+            data: envelope
+        };
+
+        this.outbox.submit(message, this.sockets);
+        // Our own messages count as seen, so history sync never echoes them back
+        this.rememberMessageId(messageId);
+        this.history.add(message);
+        return messageId;
+    }
+
+    // Forget every peer and all message state; the room is being left. With
+    // `keepOutbox` the backend is only shutting down, and undelivered
+    // messages go out when the room is joined again.
+    close({ keepOutbox = false } = {}) {
+        for (const socket of [...this.pendingVerifications.keys(), ...this.verifiedPeers.keys()]) {
+            this.removePeer(socket);
+        }
+        this.outbox.clear({ keepFile: keepOutbox });
+        this.seenMessageIds.clear();
+        this.history.clear();
+    }
+}
+
+module.exports = {
+    Room,
+    deriveTopic
+};
@@ -0,0 +1,88 @@
+const { PROTOCOL_VERSION, RpcError, RpcEndpoint } = require('./rpc');
+
+/*
+ * Reference client for the backend protocol (see rpc.js), for tests and
+ * tools that drive the backend without the Android bridge.
+ *
+ *   const client = new RpcClient({ input: socket, output: socket });
+ *   await client.connect();
+ *   client.on('notification', (method, params) => { ... });
+ *   await client.call('join', { room, psk });
+ *
+ * Notifications arrive as one 'notification' event rather than an event
+ * per method, so the backend's 'error' notification can't be mistaken for
+ * an EventEmitter error. Failed calls reject with an RpcError.
+ */
+class RpcClient extends RpcEndpoint {
+    constructor({ input, output }) {
+        super({ input, output });
+        this.nextId = 1;
+        this.pending = new Map(); // request id => { resolve, reject }
+        this.on('close', () => this.rejectPending(new Error('Connection closed')));
+    }
+
+    // The version handshake; resolves with the server's version and methods.
+    // A server started with a token wants it here.
+    connect(version = PROTOCOL_VERSION, token) {
+        const params = { version };
+        if (token !== undefined) params.token = token;
+        return this.call('hello', params);
+    }
+
+    call(method, params = {}) {
+        if (this.closed) {
+            return Promise.reject(new Error('Connection closed'));
+        }
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.write({ id, method, params });
+        });
+    }
+
+    // Fire-and-forget; failures come back as an 'error' notification
+    notify(method, params = {}) {
+        this.write({ method, params });
+    }
+
+    handleMalformed(error) {
+        console.warn('Malformed line from backend:', error.message);
+    }
+
+    handleMessage(message) {
+        if (message === null || typeof message !== 'object') return;
+
+        if (typeof message.method === 'string' && message.id === undefined) {
+            this.emit('notification', message.method, message.params || {});
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) {
+            // Errors about lines the server could not parse carry no id
+            if (message.error) console.warn('Backend error:', message.error.message);
+            return;
+        }
+        this.pending.delete(message.id);
+        if (message.error) {
+            const { code, message: text, data } = message.error;
+            request.reject(new RpcError(code, text, data));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    rejectPending(error) {
+        for (const { reject } of this.pending.values()) reject(error);
+        this.pending.clear();
+    }
+
+    close() {
+        this.handleClose();
+        if (typeof this.output.end === 'function') this.output.end();
+    }
+}
+
+module.exports = {
+    RpcClient
+};
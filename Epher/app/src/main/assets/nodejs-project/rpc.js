@@ -0,0 +1,251 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+
+/*
+ * The protocol between the backend and whatever drives it (NodeJSBridge on
+ * Android, rpc-client.js elsewhere): JSON-RPC 2.0 messages, one per line.
+ *
+ *   request       { jsonrpc: '2.0', id, method, params }
+ *   response      { jsonrpc: '2.0', id, result } or { jsonrpc: '2.0', id, error }
+ *   notification  { jsonrpc: '2.0', method, params }, i.e. without an id
+ *
+ * Errors are { code, message, data? } with the codes below. The client opens
+ * with a `hello` request naming the protocol version it speaks; the server
+ * refuses every other request until then, and refuses versions it doesn't
+ * speak, so a mismatched UI and backend fail loudly instead of subtly.
+ * Where the transport can't tell who is on the other end (loopback TCP,
+ * see bridge.js) the hello also carries a shared token.
+ * Notifications only flow once the handshake is done.
+ */
+const PROTOCOL_VERSION = 1;
+// Room for a maximum-size file envelope, JSON encoded
+const MAX_LINE_LENGTH = 64 * 1024 * 1024;
+
+const ERROR_CODES = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    // Our own, in the range JSON-RPC leaves to servers
+    HANDSHAKE_REQUIRED: -32000,
+    UNSUPPORTED_VERSION: -32001,
+    REQUEST_FAILED: -32002,
+    UNAUTHORIZED: -32003
+};
+
+class RpcError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
+        this.data = data;
+    }
+
+    toJSON() {
+        const error = { code: this.code, message: this.message };
+        if (this.data !== undefined) error.data = this.data;
+        return error;
+    }
+}
+
+/*
+ * Splits a byte stream into lines. Like peer streams, local sockets split
+ * and merge writes freely, and a multi-byte character can straddle two
+ * chunks. Pieces of an unfinished line are kept as a list and joined once,
+ * so a large envelope arriving in many chunks stays linear.
+ */
+class LineDecoder {
+    constructor(maxLineLength = MAX_LINE_LENGTH) {
+        this.maxLineLength = maxLineLength;
+        this.decoder = new StringDecoder('utf8');
+        this.pieces = [];
+        this.length = 0;
+    }
+
+    // Returns every non-empty line completed by this chunk. Throws once
+    // the line being read grows past the limit.
+    push(chunk) {
+        const text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+        const lines = [];
+        let start = 0;
+        for (;;) {
+            const newline = text.indexOf('\n', start);
+            const piece = text.slice(start, newline === -1 ? text.length : newline);
+            this.length += piece.length;
+            if (this.length > this.maxLineLength) {
+                this.reset();
+                throw new Error(`Line exceeds limit of ${this.maxLineLength} characters`);
+            }
+            if (piece) this.pieces.push(piece);
+            if (newline === -1) break;
+
+            const line = this.pieces.join('').trim();
+            if (line) lines.push(line);
+            this.pieces = [];
+            this.length = 0;
+            start = newline + 1;
+        }
+        return lines;
+    }
+
+    reset() {
+        this.pieces = [];
+        this.length = 0;
+    }
+}
+
+// Either end of the protocol: reads lines from `input`, writes to `output`.
+// Both may be the same duplex stream.
+class RpcEndpoint extends EventEmitter {
+    constructor({ input, output }) {
+        super();
+        this.input = input;
+        this.output = output;
+        this.decoder = new LineDecoder();
+        this.closed = false;
+
+        input.on('data', (chunk) => this.handleData(chunk));
+        input.on('end', () => this.handleClose());
+        input.on('close', () => this.handleClose());
+    }
+
+    handleData(chunk) {
+        let lines;
+        try {
+            lines = this.decoder.push(chunk);
+        } catch (error) {
+            this.handleMalformed(error);
+            return;
+        }
+        for (const line of lines) {
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                this.handleMalformed(error);
+                continue;
+            }
+            this.handleMessage(message);
+        }
+    }
+
+    write(message) {
+        if (this.closed) return;
+        this.output.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+// Compares digests so neither the time taken nor a length mismatch tells
+// how much of the token was right
+function tokensMatch(expected, actual) {
+    if (typeof actual !== 'string') return false;
+    const digest = (token) => crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(digest(expected), digest(actual));
+}
+
+/*
+ * Answers requests with the given `methods`, async functions from params to
+ * a JSON-serialisable result. Whatever a method throws goes back to the
+ * caller as an error object; requests sent as notifications have nobody to
+ * answer, so their errors become an 'error' notification instead.
+ *
+ * With a `token`, only a hello carrying the same token completes the
+ * handshake.
+ *
+ * Emits 'ready' once a client completed the handshake, and 'close'.
+ */
+class RpcServer extends RpcEndpoint {
+    constructor({ input, output, methods, token = null }) {
+        super({ input, output });
+        this.methods = methods;
+        this.token = token;
+        this.ready = false;
+    }
+
+    // Events for the client; dropped until it said which protocol it speaks
+    notify(method, params = {}) {
+        if (!this.ready) return;
+        this.write({ method, params });
+    }
+
+    handleMalformed(error) {
+        // No id to answer to, so the response carries a null one
+        this.write({ id: null, error: new RpcError(ERROR_CODES.PARSE_ERROR, `Parse error: ${error.message}`) });
+    }
+
+    handleMessage(message) {
+        const isRequest = message !== null && typeof message === 'object' &&
+            message.jsonrpc === '2.0' && typeof message.method === 'string';
+        if (!isRequest) {
+            const id = message && message.id !== undefined ? message.id : null;
+            this.write({ id, error: new RpcError(ERROR_CODES.INVALID_REQUEST, 'Invalid request') });
+            return;
+        }
+        this.dispatch(message);
+    }
+
+    async dispatch({ id, method, params = {} }) {
+        try {
+            const result = await this.invoke(method, params);
+            if (id !== undefined) {
+                this.write({ id, result: result === undefined ? null : result });
+            }
+            if (method === 'hello') this.emit('ready');
+        } catch (error) {
+            const rpcError = error instanceof RpcError
+                ? error
+                : new RpcError(ERROR_CODES.REQUEST_FAILED, error.message);
+            if (id !== undefined) {
+                this.write({ id, error: rpcError });
+            } else {
+                this.notify('error', { method, ...rpcError.toJSON() });
+            }
+        }
+    }
+
+    async invoke(method, params) {
+        if (method === 'hello') return this.hello(params);
+        if (!this.ready) {
+            throw new RpcError(ERROR_CODES.HANDSHAKE_REQUIRED, 'Send hello first');
+        }
+        if (!Object.prototype.hasOwnProperty.call(this.methods, method)) {
+            throw new RpcError(ERROR_CODES.METHOD_NOT_FOUND, `Unknown method: ${method}`);
+        }
+        if (params === null || typeof params !== 'object') {
+            throw new RpcError(ERROR_CODES.INVALID_PARAMS, 'Params must be an object');
+        }
+        return this.methods[method](params);
+    }
+
+    hello({ version, token } = {}) {
+        if (this.token && !tokensMatch(this.token, token)) {
+            throw new RpcError(ERROR_CODES.UNAUTHORIZED, 'Invalid token');
+        }
+        if (version !== PROTOCOL_VERSION) {
+            throw new RpcError(
+                ERROR_CODES.UNSUPPORTED_VERSION,
+                `Unsupported protocol version: ${version}`,
+                { supported: [PROTOCOL_VERSION] }
+            );
+        }
+        this.ready = true;
+        return { version: PROTOCOL_VERSION, methods: Object.keys(this.methods) };
+    }
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    ERROR_CODES,
+    RpcError,
+    LineDecoder,
+    RpcEndpoint,
+    RpcServer
+};
@@ -0,0 +1,193 @@
+const net = require('net');
+
+const SOCKS_VERSION = 0x05;
+const AUTH_NONE = 0x00;
+const AUTH_PASSWORD = 0x02;
+const CMD_CONNECT = 0x01;
+const ATYP_IPV4 = 0x01;
+const ATYP_DOMAIN = 0x03;
+const ATYP_IPV6 = 0x04;
+const CONNECT_TIMEOUT = 30000; // Tor circuits can take a while to build
+
+const REPLY_ERRORS = {
+    0x01: 'general failure',
+    0x02: 'connection not allowed by ruleset',
+    0x03: 'network unreachable',
+    0x04: 'host unreachable',
+    0x05: 'connection refused',
+    0x06: 'TTL expired',
+    0x07: 'command not supported',
+    0x08: 'address type not supported'
+};
+
+function encodeAddress(host) {
+    if (net.isIPv4(host)) {
+        return Buffer.from([ATYP_IPV4, ...host.split('.').map(Number)]);
+    }
+    if (net.isIPv6(host)) {
+        return Buffer.concat([Buffer.from([ATYP_IPV6]), ipv6ToBuffer(host)]);
+    }
+    // Hostnames, including .onion addresses, are resolved by the proxy so
+    // that no DNS lookup leaks outside it
+    const name = Buffer.from(host);
+    if (name.length === 0 || name.length > 255) {
+        throw new Error(`Invalid SOCKS5 hostname: ${host}`);
+    }
+    return Buffer.concat([Buffer.from([ATYP_DOMAIN, name.length]), name]);
+}
+
+function ipv6ToBuffer(address) {
+    if (address.includes('.')) {
+        throw new Error(`Unsupported IPv6 address: ${address}`);
+    }
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    // "::" stands for however many zero groups make eight in total
+    const zeros = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+    const groups = [...headGroups, ...new Array(zeros).fill('0'), ...tailGroups];
+
+    const out = Buffer.alloc(16);
+    groups.forEach((group, i) => out.writeUInt16BE(parseInt(group, 16), i * 2));
+    return out;
+}
+
+// Reads exactly the bytes each handshake step needs from a socket that may
+// deliver the proxy's replies split or merged arbitrarily
+function createReader(socket) {
+    let buffered = Buffer.alloc(0);
+    let pending = null;
+
+    const settle = () => {
+        if (pending && buffered.length >= pending.length) {
+            const { length, resolve } = pending;
+            pending = null;
+            const out = buffered.subarray(0, length);
+            buffered = buffered.subarray(length);
+            resolve(out);
+        }
+    };
+    const onData = (chunk) => {
+        buffered = Buffer.concat([buffered, chunk]);
+        settle();
+    };
+    socket.on('data', onData);
+
+    return {
+        read(length) {
+            return new Promise((resolve) => {
+                pending = { length, resolve };
+                settle();
+            });
+        },
+        // Stop consuming and hand back anything read past the handshake
+        release() {
+            socket.removeListener('data', onData);
+            return buffered;
+        }
+    };
+}
+
+async function negotiate(socket, { host, port, username, password }) {
+    const reader = createReader(socket);
+    const useAuth = username !== undefined && password !== undefined;
+
+    socket.write(Buffer.from(useAuth
+        ? [SOCKS_VERSION, 2, AUTH_NONE, AUTH_PASSWORD]
+        : [SOCKS_VERSION, 1, AUTH_NONE]));
+
+    const [version, method] = await reader.read(2);
+    if (version !== SOCKS_VERSION) {
+        throw new Error('SOCKS5 proxy replied with an unsupported version');
+    }
+    if (method !== AUTH_NONE && !(method === AUTH_PASSWORD && useAuth)) {
+        throw new Error('SOCKS5 proxy rejected every authentication method');
+    }
+
+    if (method === AUTH_PASSWORD) {
+        const user = Buffer.from(username);
+        const pass = Buffer.from(password);
+        if (user.length > 255 || pass.length > 255) {
+            throw new Error('SOCKS5 credentials too long');
+        }
+        socket.write(Buffer.concat([Buffer.from([0x01, user.length]), user, Buffer.from([pass.length]), pass]));
+        const [, status] = await reader.read(2);
+        if (status !== 0x00) {
+            throw new Error('SOCKS5 authentication failed');
+        }
+    }
+
+    const portBuffer = Buffer.alloc(2);
+    portBuffer.writeUInt16BE(port, 0);
+    socket.write(Buffer.concat([Buffer.from([SOCKS_VERSION, CMD_CONNECT, 0x00]), encodeAddress(host), portBuffer]));
+
+    const [, reply, , addressType] = await reader.read(4);
+    if (reply !== 0x00) {
+        throw new Error(`SOCKS5 connect failed: ${REPLY_ERRORS[reply] || `code ${reply}`}`);
+    }
+
+    // Skip the bound address the proxy reports; we have no use for it
+    let addressLength;
+    if (addressType === ATYP_IPV4) addressLength = 4;
+    else if (addressType === ATYP_IPV6) addressLength = 16;
+    else if (addressType === ATYP_DOMAIN) addressLength = (await reader.read(1))[0];
+    else throw new Error('SOCKS5 proxy replied with an unknown address type');
+    await reader.read(addressLength + 2);
+
+    return reader.release();
+}
+
+/*
+ * Opens a TCP connection to host:port through a SOCKS5 proxy (RFC 1928),
+ * optionally with username/password authentication (RFC 1929), which Tor
+ * uses for stream isolation. Resolves with the connected socket once the
+ * proxy has established the stream.
+ */
+function connectSocks5({ proxyHost, proxyPort, host, port, username, password, timeout = CONNECT_TIMEOUT }) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: proxyHost, port: proxyPort });
+        let settled = false;
+
+        const fail = (error) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            socket.destroy();
+            reject(error);
+        };
+        const timer = setTimeout(() => fail(new Error('SOCKS5 connect timed out')), timeout);
+
+        const onClose = () => fail(new Error('SOCKS5 proxy closed the connection'));
+        socket.once('error', fail);
+        socket.once('close', onClose);
+        socket.once('connect', () => {
+            negotiate(socket, { host, port, username, password }).then((leftover) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                socket.removeListener('error', fail);
+                socket.removeListener('close', onClose);
+                if (leftover.length > 0) {
+                    socket.unshift(leftover);
+                }
+                resolve(socket);
+            }, fail);
+        });
+    });
+}
+
+// Parses "host:port" or "[ipv6]:port"
+function parseAddress(address) {
+    const bracketed = /^\[([^\]]+)\]:(\d+)$/.exec(address);
+    const match = bracketed || /^(.+):(\d+)$/.exec(address);
+    const port = match ? Number(match[2]) : NaN;
+    if (!match || !Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`Invalid address: ${address}`);
+    }
+    return { host: match[1], port };
+}
+
+module.exports = {
+    connectSocks5,
+    parseAddress
+};
@@ -1,18 +1,169 @@
 const netmod = require('./network');
-const fs = require('fs');
-const net = require('net');
+const path = require('path');
+const { PROTOCOL_VERSION, ERROR_CODES, RpcError, RpcServer } = require('./rpc');
+const { parseBridgeConfig, BridgeConnector } = require('./bridge');
 
-// connect to Android bridge socket
-const sock = net.createConnection('/data/data/io.epher.chat/files/epher.sock');
+// Notifications held while the UI side is away, replayed when it's back.
+// Only the ones it can't ask for again; the oldest go first past this.
+const HELD_NOTIFICATIONS = new Set(['message', 'ack', 'delivered']);
+const MAX_HELD_NOTIFICATIONS = 256;
 
-sock.on('data', buf => {
-  const msg = JSON.parse(buf.toString());
-  if (msg.cmd === 'join') init(msg.room, msg.key);
-  else if (msg.cmd === 'send') netmod.sendMessage(JSON.stringify(msg.data));
-});
+// Where the UI side is, from arguments or the environment, see bridge.js
+let config;
+try {
+  config = parseBridgeConfig(process.argv.slice(2), process.env);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+if (config.endpoint.type === 'stdio') {
+  // stdout carries the protocol, so logging goes to stderr
+  Object.assign(console, { log: console.error, info: console.error });
+}
+
+// Bans outlive the process so a misbehaving peer can't just wait for a restart
+netmod.loadBans(path.join(config.dataDir, 'bans.json'));
+// And so do messages no peer has acknowledged yet
+netmod.setDataDir(config.dataDir);
+
+// The UI drives the backend over line-delimited JSON-RPC, see rpc.js
+const methods = {
+  join,
+  leave: async ({ room }) => {
+    await netmod.leaveRoom(room);
+    return { room };
+  },
+  send: async ({ data, room }) => {
+    if (!data || typeof data !== 'object') {
+      throw new RpcError(ERROR_CODES.INVALID_PARAMS, 'Message data must be an object');
+    }
+    return { messageId: await netmod.sendMessage(data, room) };
+  },
+  transport: async ({ mode, options }) => {
+    netmod.setTransport(mode, options || {});
+  },
+  discovery: async ({ bootstrap, testnet }) => {
+    netmod.setDiscovery({ bootstrap, testnet });
+  },
+  shaping: async ({ enabled, rate }) => {
+    netmod.setPacketShaping({ enabled, rate });
+  },
+  padding: async ({ scheme }) => {
+    netmod.setPaddingScheme(scheme);
+  },
+  limits: async ({ limits }) => {
+    setLimits(limits);
+  },
+  bans: async () => ({ bans: netmod.getBans() }),
+  unban: async ({ key }) => {
+    netmod.unban(key);
+  },
+  stats: async () => ({ peers: netmod.getPeerStats() })
+};
+
+// The server for the current bridge connection, once its hello is done
+let server = null;
+let held = [];
+
+function notify(method, params) {
+  if (server) {
+    server.notify(method, params);
+  } else if (HELD_NOTIFICATIONS.has(method)) {
+    held.push([method, params]);
+    if (held.length > MAX_HELD_NOTIFICATIONS) held.shift();
+  }
+}
+
+// Rooms stay joined while the UI side is away; the connector dials it
+// again whenever the connection drops
+const bridge = new BridgeConnector(config.endpoint);
 
-function init(room, key) {
-  netmod.initNetwork(room, key, env => {
-    sock.write(JSON.stringify(env) + '\n');
+bridge.on('connection', ({ input, output }) => {
+  const connection = new RpcServer({ input, output, methods, token: config.token });
+  connection.on('ready', () => {
+    server = connection;
+    server.notify('connected', { version: PROTOCOL_VERSION });
+    // A UI that (re)connects mid-session starts from the current state
+    server.notify('status', netmod.getStatus());
+    for (const [method, params] of held) server.notify(method, params);
+    held = [];
   });
-}
\ No newline at end of file
+  connection.on('close', () => {
+    if (server === connection) server = null;
+  });
+});
+
+// Whoever spawned us over stdio is gone once stdin ends. Rooms weren't
+// left, so undelivered messages stay for the next run.
+bridge.on('end', () => {
+  netmod.cleanup({ keepOutbox: true }).finally(() => process.exit(0));
+});
+
+bridge.start();
+
+// The UI's SecurityConfig.network; the backend has no defaults of its own
+function setLimits(limits) {
+  try {
+    netmod.setLimits(limits);
+  } catch (error) {
+    throw new RpcError(ERROR_CODES.INVALID_PARAMS, error.message);
+  }
+}
+
+async function join({ room, psk, identity, limits, transport, transportOptions, bootstrap, testnet }) {
+  if (typeof room !== 'string' || !room) {
+    throw new RpcError(ERROR_CODES.INVALID_PARAMS, 'Room must be a non-empty string');
+  }
+  if (typeof psk !== 'string' || !/^[0-9a-f]*$/i.test(psk)) {
+    throw new RpcError(ERROR_CODES.INVALID_PARAMS, 'Room PSK must be a hex string');
+  }
+  if (identity !== undefined && (typeof identity !== 'string' || !identity)) {
+    throw new RpcError(ERROR_CODES.INVALID_PARAMS, 'Identity must be a non-empty string');
+  }
+  if (limits !== undefined) setLimits(limits);
+  const key = Buffer.from(psk, 'hex');
+  try {
+    netmod.checkJoin(room, key);
+  } catch (error) {
+    throw new RpcError(ERROR_CODES.INVALID_PARAMS, error.message);
+  }
+
+  // The transport has to be chosen before the room is joined over it.
+  // Both setters leave rooms already joined alone unless something changed,
+  // and settings the caller left out keep their current value.
+  if (transport) netmod.setTransport(transport, transportOptions || {});
+  if (bootstrap !== undefined || testnet !== undefined) {
+    netmod.setDiscovery({ bootstrap, testnet });
+  }
+
+  await netmod.joinRoom(room, key, env => {
+    notify('message', { room, data: env });
+  }, { identity });
+  return { room };
+}
+
+// Connection status: starting, joining, announcing, connected, degraded,
+// disconnected or error, see NetworkManager
+netmod.on('status', status => notify('status', status));
+
+// Forward roster changes so the UI can show who is in the room
+for (const event of ['peer-joined', 'peer-verified', 'peer-left']) {
+  netmod.on(event, peer => notify('peer', { event, peer }));
+}
+
+// Delivery state for messages the UI sent
+netmod.on('ack', ({ roomId, messageId, peerId }) => {
+  notify('ack', { room: roomId, messageId, peerId });
+});
+netmod.on('delivered', ({ roomId, messageId, status }) => {
+  notify('delivered', { room: roomId, messageId, status });
+});
+
+// Banned peers, whenever the list changes
+netmod.on('bans', bans => notify('bans', { bans }));
+
+// Progress of reconnecting after every peer dropped
+netmod.on('reconnect', progress => notify('reconnect', progress));
+
+// Traffic counters, reported every few seconds while in a room
+netmod.on('bandwidth', stats => notify('bandwidth', { stats }));
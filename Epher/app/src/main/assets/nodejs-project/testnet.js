@@ -0,0 +1,63 @@
+const dgram = require('dgram');
+const createTestnet = require('hyperdht/testnet');
+
+const TESTNET_HOST = '127.0.0.1';
+const TESTNET_PORT = 49737;
+const TESTNET_SIZE = 3; // DHT nodes, the bootstrapper among them, enough to hold announces
+
+let testnet = null;
+
+/*
+ * Local testnet for running several backends on one machine without
+ * internet access. The first backend to start hosts a bootstrap node and a
+ * few DHT nodes on the loopback interface; later ones find the port taken
+ * and simply bootstrap from it. Returns the bootstrap list for Hyperswarm.
+ */
+async function ensureLocalTestnet(port = TESTNET_PORT) {
+    const bootstrap = [{ host: TESTNET_HOST, port }];
+    if (testnet) return bootstrap;
+
+    if (await portInUse(TESTNET_HOST, port)) {
+        console.warn(`Joining local testnet on ${TESTNET_HOST}:${port}`);
+        return bootstrap;
+    }
+    const created = await createTestnet(TESTNET_SIZE, { host: TESTNET_HOST, port });
+    // Another backend may have taken the port since we looked, leaving
+    // ours on a port nobody bootstraps from
+    if (created.bootstrap[0].port !== port) {
+        await created.destroy();
+        console.warn(`Joining local testnet on ${TESTNET_HOST}:${port}`);
+        return bootstrap;
+    }
+    testnet = created;
+    console.warn(`Hosting local testnet on ${TESTNET_HOST}:${port}`);
+    return bootstrap;
+}
+
+// Whether the UDP port is taken, most likely by another backend's testnet.
+// Creating the testnet can't tell us: given a taken port, the DHT binds
+// to any free one instead of failing.
+function portInUse(host, port) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        socket.once('error', (error) => {
+            socket.close();
+            if (error.code === 'EADDRINUSE') resolve(true);
+            else reject(error);
+        });
+        socket.bind(port, host, () => socket.close(() => resolve(false)));
+    });
+}
+
+async function stopLocalTestnet() {
+    if (!testnet) return;
+    const running = testnet;
+    testnet = null;
+    await running.destroy();
+}
+
+module.exports = {
+    TESTNET_PORT,
+    ensureLocalTestnet,
+    stopLocalTestnet
+};
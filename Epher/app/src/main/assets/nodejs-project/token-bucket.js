@@ -0,0 +1,45 @@
+/*
+ * Byte-rate limiter. Tokens refill continuously at `rate` per second up to
+ * `capacity`. A take larger than the capacity is allowed once the bucket is
+ * full and leaves it in debt, so frames bigger than one second's allowance
+ * still get through, just no faster than the rate on average.
+ */
+class TokenBucket {
+    constructor(rate, capacity = rate) {
+        this.rate = rate;         // bytes per second
+        this.capacity = capacity; // burst size in bytes
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.rate / 1000);
+        this.updatedAt = now;
+    }
+
+    // Milliseconds until `bytes` may be taken; 0 if right away
+    waitTime(bytes) {
+        this.refill();
+        const needed = Math.min(bytes, this.capacity);
+        if (this.tokens >= needed) return 0;
+        return Math.ceil((needed - this.tokens) * 1000 / this.rate);
+    }
+
+    // Takes unconditionally, possibly into debt; check waitTime() first to
+    // respect the limit
+    take(bytes) {
+        this.refill();
+        this.tokens -= bytes;
+    }
+
+    tryTake(bytes) {
+        if (this.waitTime(bytes) > 0) return false;
+        this.take(bytes);
+        return true;
+    }
+}
+
+module.exports = {
+    TokenBucket
+};
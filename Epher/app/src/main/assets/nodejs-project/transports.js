@@ -0,0 +1,278 @@
+const { EventEmitter } = require('events');
+const net = require('net');
+const Hyperswarm = require('hyperswarm');
+const NoiseSecretStream = require('@hyperswarm/secret-stream');
+const { connectSocks5, parseAddress } = require('./socks5');
+
+const YGGDRASIL_SOCKS_PORT = 9001; // opened by YggVpnService
+const YGGDRASIL_LISTEN_PORT = 7319;
+const REDIAL_DELAY = 5000; // ms before redialing a proxied peer that dropped
+const JOIN_OPTIONS = { client: true, server: true };
+
+/*
+ * A transport finds peers for a room topic and hands NetworkManager one
+ * Noise-encrypted duplex stream per peer. Every stream exposes `publicKey`
+ * and `remotePublicKey`, like a Hyperswarm connection, so the room handshake
+ * works the same on all of them.
+ *
+ *   join(topic)   start finding peers for the room; may return a promise
+ *                 that resolves once the room is announced
+ *   leave(topic)  stop finding peers for the room
+ *   reconnect()   try again after every peer dropped; may return a promise
+ *   destroy()     close everything
+ *
+ * Events: 'connection' (socket), 'error' (error)
+ *
+ * `options.firewall(remotePublicKey)` returning true rejects a peer once its
+ * key is known, before a 'connection' is emitted for it.
+ */
+
+// Peers found through the Hyperswarm DHT, connecting directly over UDP
+class DirectTransport extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.swarm = new Hyperswarm({ bootstrap: options.bootstrap, firewall: options.firewall });
+        this.discoveries = new Map(); // topic hex => PeerDiscovery from the join
+        this.swarm.on('connection', (socket) => this.emit('connection', socket));
+        this.swarm.on('error', (error) => this.emit('error', error));
+    }
+
+    join(topic) {
+        const key = topic.toString('hex');
+        let discovery = this.discoveries.get(key);
+        if (!discovery) {
+            discovery = this.swarm.join(topic, JOIN_OPTIONS);
+            this.discoveries.set(key, discovery);
+        }
+        return discovery.flushed();
+    }
+
+    leave(topic) {
+        this.discoveries.delete(topic.toString('hex'));
+        return this.swarm.leave(topic);
+    }
+
+    // Announce and look up every topic again, resolving once the DHT has
+    // been queried and the peers it returned were tried. Joining a topic
+    // again would only open another session on it, without a new lookup.
+    async reconnect() {
+        await Promise.all([...this.discoveries.values()].map(discovery => discovery.refresh()));
+        await this.swarm.flush();
+    }
+
+    destroy() {
+        return this.swarm.destroy();
+    }
+}
+
+/*
+ * Peers reached through a SOCKS5 proxy such as Tor. A proxy only relays
+ * outbound TCP, so there is no DHT lookup: peers are dialed from the
+ * configured address list, and inbound connections arrive on `listenPort`
+ * (for Tor, the port an onion service forwards to). Nothing is ever sent
+ * outside the proxy.
+ *
+ * A peer whose key the firewall turns away isn't redialed while the firewall
+ * still refuses it; once its ban is over it is dialed again on the next join
+ * or reconnect.
+ */
+class Socks5Transport extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        if (!options.proxyPort) {
+            throw new Error('SOCKS5 transport needs a proxy port');
+        }
+        this.proxy = {
+            proxyHost: options.proxyHost || '127.0.0.1',
+            proxyPort: options.proxyPort,
+            username: options.username,
+            password: options.password
+        };
+        this.peers = (options.peers || []).map(parseAddress);
+        this.listenHost = options.listenHost || '127.0.0.1';
+        this.listenPort = options.listenPort || 0;
+        this.keyPair = NoiseSecretStream.keyPair();
+        this.firewall = options.firewall || (() => false);
+        this.server = null;
+        this.dialing = new Set();    // addresses with a connection attempt underway
+        this.connected = new Map();  // address => socket
+        this.refused = new Map();    // address => key the firewall turned away
+        this.redialTimers = new Set();
+        this.topics = new Set();     // hex of the rooms joined
+        this.destroyed = false;
+    }
+
+    get joined() {
+        return this.topics.size > 0;
+    }
+
+    join(topic) {
+        // Topics don't decide whom we reach here; the room handshake rejects
+        // peers from other rooms, so every configured peer serves every room
+        this.topics.add(topic.toString('hex'));
+        this.listen();
+        for (const peer of this.peers) {
+            this.dial(peer);
+        }
+    }
+
+    // The listening port and the dialed peers serve every room, so they
+    // stay until the last room is left
+    leave(topic) {
+        this.topics.delete(topic.toString('hex'));
+        if (!this.joined) this.stop();
+    }
+
+    stop() {
+        this.clearRedials();
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    reconnect() {
+        if (!this.joined) return;
+        for (const peer of this.peers) {
+            this.dial(peer);
+        }
+    }
+
+    listen() {
+        if (!this.listenPort || this.server) return;
+
+        this.server = net.createServer((raw) => {
+            if (!this.acceptsInbound(raw.remoteAddress)) {
+                raw.destroy();
+                return;
+            }
+            this.secure(false, raw);
+        });
+        this.server.on('error', (error) => this.emit('error', error));
+        this.server.listen(this.listenPort, this.listenHost);
+    }
+
+    // Which remote addresses may connect to the listening port
+    acceptsInbound() {
+        return true;
+    }
+
+    async dial(peer) {
+        const address = `${peer.host}:${peer.port}`;
+        if (this.dialing.has(address) || this.connected.has(address)) return;
+        if (this.refused.has(address)) {
+            if (this.firewall(this.refused.get(address))) return;
+            this.refused.delete(address);
+        }
+
+        this.dialing.add(address);
+        try {
+            const raw = await connectSocks5({ ...this.proxy, host: peer.host, port: peer.port });
+            if (this.destroyed) {
+                raw.destroy();
+                return;
+            }
+            const socket = this.secure(true, raw, address);
+            this.connected.set(address, socket);
+            socket.once('close', () => {
+                this.connected.delete(address);
+                if (!this.refused.has(address)) this.scheduleRedial(peer);
+            });
+        } catch (error) {
+            console.warn(`Failed to reach ${address} through SOCKS5 proxy:`, error.message);
+            this.scheduleRedial(peer);
+        } finally {
+            this.dialing.delete(address);
+        }
+    }
+
+    scheduleRedial(peer) {
+        if (!this.joined || this.destroyed) return;
+        const timer = setTimeout(() => {
+            this.redialTimers.delete(timer);
+            this.dial(peer);
+        }, REDIAL_DELAY);
+        this.redialTimers.add(timer);
+    }
+
+    clearRedials() {
+        for (const timer of this.redialTimers) {
+            clearTimeout(timer);
+        }
+        this.redialTimers.clear();
+    }
+
+    // Runs the Noise handshake Hyperswarm would have run for us. `address`
+    // is the peer dialed, if we dialed it.
+    secure(isInitiator, raw, address = null) {
+        const socket = new NoiseSecretStream(isInitiator, raw, { keyPair: this.keyPair });
+        socket.on('connect', () => {
+            if (this.firewall(socket.remotePublicKey)) {
+                if (address) this.refused.set(address, socket.remotePublicKey);
+                socket.destroy();
+                return;
+            }
+            this.emit('connection', socket);
+        });
+        socket.on('error', (error) => console.warn('Proxied connection failed:', error.message));
+        return socket;
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.topics.clear();
+        this.stop();
+        for (const socket of this.connected.values()) {
+            socket.destroy();
+        }
+        this.connected.clear();
+    }
+}
+
+/*
+ * Yggdrasil overlay through the SOCKS port YggVpnService opens. Peers are
+ * Yggdrasil addresses; inbound connections come in over the VPN interface
+ * and only Yggdrasil addresses are accepted on the listening port.
+ */
+class YggdrasilTransport extends Socks5Transport {
+    constructor(options = {}) {
+        super({
+            proxyHost: '127.0.0.1',
+            proxyPort: YGGDRASIL_SOCKS_PORT,
+            listenHost: '::',
+            listenPort: YGGDRASIL_LISTEN_PORT,
+            ...options
+        });
+    }
+
+    acceptsInbound(remoteAddress) {
+        return isYggdrasilAddress(remoteAddress);
+    }
+}
+
+// Yggdrasil addresses and subnets live in 200::/7
+function isYggdrasilAddress(address) {
+    if (!address || !net.isIPv6(address)) return false;
+    const firstGroup = parseInt(address.split(':')[0] || '0', 16);
+    return (firstGroup >> 9) === 1;
+}
+
+const TRANSPORTS = {
+    direct: DirectTransport,
+    yggdrasil: YggdrasilTransport,
+    socks5: Socks5Transport
+};
+
+function createTransport(mode, options) {
+    const Transport = TRANSPORTS[mode];
+    if (!Transport) {
+        throw new Error(`Unknown transport: ${mode}`);
+    }
+    return new Transport(options);
+}
+
+module.exports = {
+    TRANSPORT_MODES: Object.keys(TRANSPORTS),
+    createTransport,
+    isYggdrasilAddress
+};
@@ -1,22 +1,55 @@
-const CACHE_NAME = 'epher-cache-v1';
+const CACHE_NAME = 'epher-cache-v2';
+// Everything index.html loads and every module those import, so the app
+// starts offline; addAll fails the install if any of these is missing
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
     '/css/main.css',
+    '/css/material3.css',
+    '/css/messages.css',
     '/css/vendor-fixes.css',
-    '/vendor/mdl/mdl.min.css',
     '/vendor/tailwind/tailwind.min.css',
     '/vendor/fonts/roboto.css',
     '/vendor/fontawesome/css/icons.css',
+    '/vendor/mwc/mwc-button.js',
+    '/vendor/mwc/mwc-textfield.js',
+    '/vendor/mwc/mwc-dialog.js',
+    '/vendor/mwc/mwc-icon-button.js',
+    '/vendor/mwc/mwc-list.js',
+    '/vendor/mwc/mwc-drawer.js',
+    '/vendor/mwc/mwc-fab.js',
+    '/vendor/mwc/mwc-radio.js',
+    '/vendor/mwc/mwc-switch.js',
+    '/vendor/mwc/mwc-formfield.js',
+    '/vendor/mwc/mwc-top-app-bar-fixed.js',
+    '/vendor/mwc/mwc-circular-progress.js',
+    '/vendor/mwc/mwc-snackbar.js',
+    '/vendor/mwc/mwc-select.js',
     '/js/main.js',
+    '/js/notifications.js',
+    '/js/ui-state.js',
+    '/js/settings.js',
+    '/js/messages.js',
+    '/js/peers.js',
+    '/js/bans.js',
+    '/js/peer-stats.js',
+    '/js/identity-pins.js',
+    '/js/room-password.js',
     '/js/utils.js',
-    '/js/cryptoBridge.js',
-    '/js/cryptoWorker.js',
+    '/js/padding.js',
+    '/js/config/security.js',
     '/js/services/logger.js',
     '/js/services/session.js',
     '/js/services/message-store.js',
     '/js/message-handlers.js',
-    '/js/file-handlers.js'
+    '/js/file-handlers.js',
+    // The crypto worker and what it loads
+    '/js/cryptoBridge.js',
+    '/js/cryptoWorker.js',
+    '/js/x3dh.js',
+    '/js/double-ratchet.js',
+    '/js/identity.js',
+    '/js/libsodium-inline.js'
 ];
 
 // Install event - cache assets
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import { Buffer } from 'buffer';
+import os from 'os';
+import path from 'path';
+import { BanList } from '../nodejs-project/bans.js';
+
+const KEY = 'ab'.repeat(32);
+const MINUTE = 60 * 1000;
+
+describe('BanList', () => {
+    let bans;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        bans = new BanList();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should ban a key for a minute after its first offence', () => {
+        bans.recordOffence(Buffer.from(KEY, 'hex'), 'invalid_proof');
+
+        expect(bans.isBanned(KEY)).toBe(true);
+        jest.advanceTimersByTime(MINUTE);
+        expect(bans.isBanned(KEY)).toBe(false);
+    });
+
+    it('should ban repeat offenders for longer each time', () => {
+        bans.recordOffence(KEY, 'invalid_proof');
+        jest.advanceTimersByTime(MINUTE);
+        bans.recordOffence(KEY, 'invalid_proof');
+
+        jest.advanceTimersByTime(3 * MINUTE);
+        expect(bans.isBanned(KEY)).toBe(true);
+        jest.advanceTimersByTime(MINUTE);
+        expect(bans.isBanned(KEY)).toBe(false);
+    });
+
+    it('should forgive offences after a quiet day', () => {
+        bans.recordOffence(KEY, 'flooding');
+        bans.recordOffence(KEY, 'flooding');
+        jest.advanceTimersByTime(24 * 60 * MINUTE);
+
+        bans.recordOffence(KEY, 'flooding');
+        expect(bans.list()[0].offences).toBe(1);
+    });
+
+    it('should list and clear current bans', () => {
+        const changed = jest.fn();
+        bans.on('change', changed);
+        bans.recordOffence(KEY, 'malformed_frame');
+
+        expect(bans.list()).toEqual([
+            expect.objectContaining({ key: KEY, offences: 1, reason: 'malformed_frame' })
+        ]);
+        bans.clear(KEY);
+        expect(bans.list()).toEqual([]);
+        expect(changed).toHaveBeenCalledTimes(2);
+    });
+
+    it('should persist bans across instances', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bans-'));
+        const file = path.join(dir, 'bans.json');
+        try {
+            bans.load(file);
+            bans.recordOffence(KEY, 'invalid_proof');
+
+            const restored = new BanList();
+            restored.load(file);
+            expect(restored.isBanned(KEY)).toBe(true);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should keep room bans to their room', () => {
+        bans.recordOffence(KEY, 'invalid_proof', 'room-one');
+
+        expect(bans.isBanned(KEY, 'room-one')).toBe(true);
+        expect(bans.isBanned(KEY, 'room-two')).toBe(false);
+        expect(bans.isBanned(KEY)).toBe(false);
+        expect(bans.list()).toEqual([
+            expect.objectContaining({ key: KEY, room: 'room-one', reason: 'invalid_proof' })
+        ]);
+    });
+
+    it('should lift a key\'s bans in every room', () => {
+        bans.recordOffence(KEY, 'flooding');
+        bans.recordOffence(KEY, 'invalid_proof', 'room-one');
+
+        bans.clear(KEY);
+        expect(bans.list()).toEqual([]);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { parseEndpoint, parseBridgeConfig, BridgeConnector } from '../nodejs-project/bridge.js';
+
+const TOKEN = 'a'.repeat(32);
+const LIMITS = { reconnectAttempts: Infinity, initialReconnectDelay: 10, maxReconnectDelay: 20, reconnectJitter: 0 };
+
+describe('Bridge endpoints', () => {
+    it('should parse each kind of endpoint', () => {
+        expect(parseEndpoint('stdio')).toEqual({ type: 'stdio' });
+        expect(parseEndpoint('unix:/tmp/e.sock')).toEqual({ type: 'unix', path: '/tmp/e.sock' });
+        expect(parseEndpoint('/tmp/e.sock')).toEqual({ type: 'unix', path: '/tmp/e.sock' });
+        expect(parseEndpoint('tcp:7000')).toEqual({ type: 'tcp', host: '127.0.0.1', port: 7000 });
+        expect(parseEndpoint('tcp:[::1]:7000')).toEqual({ type: 'tcp', host: '::1', port: 7000 });
+    });
+
+    it('should refuse TCP beyond loopback', () => {
+        expect(() => parseEndpoint('tcp:0.0.0.0:7000')).toThrow('loopback');
+        expect(() => parseEndpoint('tcp:example.com:7000')).toThrow('loopback');
+        expect(() => parseEndpoint('tcp:70000')).toThrow('invalid port');
+        expect(() => parseEndpoint('epher.sock')).toThrow('Unknown bridge endpoint');
+    });
+
+    it('should prefer arguments over the environment over the defaults', () => {
+        expect(parseBridgeConfig([], {})).toEqual({
+            endpoint: { type: 'unix', path: '/data/data/io.epher.chat/files/epher.sock' },
+            dataDir: '/data/data/io.epher.chat/files',
+            token: null
+        });
+        expect(parseBridgeConfig([], { EPHER_DATA_DIR: '/tmp/e' }).endpoint.path).toBe('/tmp/e/epher.sock');
+
+        const config = parseBridgeConfig(
+            ['--bridge', 'tcp:7000'],
+            { EPHER_BRIDGE: 'stdio', EPHER_BRIDGE_TOKEN: TOKEN }
+        );
+        expect(config.endpoint.type).toBe('tcp');
+        expect(config.token).toBe(TOKEN);
+    });
+
+    it('should require a token over TCP', () => {
+        expect(() => parseBridgeConfig(['--bridge', 'tcp:7000'], {})).toThrow('token');
+        expect(() => parseBridgeConfig(['--bridge', 'tcp:7000', '--token', 'short'], {})).toThrow('token');
+        expect(() => parseBridgeConfig(['--port', '7000'], {})).toThrow('Unknown argument');
+    });
+});
+
+describe('Bridge connector', () => {
+    let dir;
+    let socketPath;
+    let server;
+    let connector;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epher-bridge-'));
+        socketPath = path.join(dir, 'bridge.sock');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        connector.stop();
+        if (server) await new Promise(resolve => server.close(resolve));
+        server = null;
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    function listen(onConnection = () => {}) {
+        server = net.createServer(onConnection);
+        return new Promise(resolve => server.listen(socketPath, resolve));
+    }
+
+    const nextConnection = () => new Promise(resolve => connector.once('connection', resolve));
+
+    it('should keep dialling until the UI side listens', async () => {
+        connector = new BridgeConnector({ type: 'unix', path: socketPath }, { limits: LIMITS });
+        connector.start();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const connected = nextConnection();
+        await listen();
+
+        const { input, output } = await connected;
+        expect(input).toBe(output);
+    });
+
+    it('should dial again after the connection drops', async () => {
+        const accepted = [];
+        await listen(socket => accepted.push(socket));
+        connector = new BridgeConnector({ type: 'unix', path: socketPath }, { limits: LIMITS });
+
+        let connected = nextConnection();
+        connector.start();
+        await connected;
+
+        connected = nextConnection();
+        accepted[0].destroy();
+        await connected;
+
+        expect(accepted).toHaveLength(2);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import sodium from 'libsodium-wrappers';
+import { FrameDecoder } from '../nodejs-project/framing.js';
+import {
+    CELL_SIZE,
+    CELL_PAYLOAD_BYTES,
+    FRAGMENT_BYTES,
+    OutgoingPayload,
+    Reassembler
+} from '../nodejs-project/cells.js';
+
+const limits = {
+    maxMessageSize: 64 * 1024,
+    maxPartialMessages: 2,
+    reassemblyTimeout: 30000
+};
+
+describe('Cells', () => {
+    let decoder;
+    let reassembler;
+
+    beforeAll(async () => {
+        await sodium.ready;
+    });
+
+    beforeEach(() => {
+        decoder = new FrameDecoder(CELL_PAYLOAD_BYTES);
+        reassembler = new Reassembler(limits);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    function cellsOf(payload) {
+        const outgoing = new OutgoingPayload(payload);
+        const cells = [];
+        while (!outgoing.done) cells.push(outgoing.nextCell());
+        return cells;
+    }
+
+    // Feeds wire cells through the frame decoder, as the network layer does
+    function receive(cells) {
+        const payloads = [];
+        for (const cell of cells) {
+            for (const frame of decoder.push(cell)) {
+                const payload = reassembler.push(frame);
+                if (payload) payloads.push(payload);
+            }
+        }
+        return payloads;
+    }
+
+    it('should put every payload on the wire as cells of one size', () => {
+        const sizes = [0, 1, FRAGMENT_BYTES, FRAGMENT_BYTES + 1, 50000];
+        for (const size of sizes) {
+            const cells = cellsOf(Buffer.alloc(size, 1));
+            expect(cells).toHaveLength(Math.max(1, Math.ceil(size / FRAGMENT_BYTES)));
+            expect(cells.every(cell => cell.length === CELL_SIZE)).toBe(true);
+        }
+    });
+
+    it('should reassemble a payload spread over many cells', () => {
+        const payload = Buffer.from(sodium.randombytes_buf(20000));
+
+        const [received] = receive(cellsOf(payload));
+
+        expect(received.equals(payload)).toBe(true);
+    });
+
+    it('should pad a payload with empty cells up to its padded length', () => {
+        const payload = Buffer.alloc(100, 'x');
+        const outgoing = new OutgoingPayload(payload, 3 * FRAGMENT_BYTES);
+        const cells = [];
+        while (!outgoing.done) cells.push(outgoing.nextCell());
+
+        expect(cells).toHaveLength(3);
+        const [received] = receive(cells);
+        expect(received.equals(payload)).toBe(true);
+    });
+
+    it('should reassemble payloads whose cells are interleaved', () => {
+        const first = Buffer.alloc(5000, 'a');
+        const second = Buffer.alloc(3000, 'b');
+        const a = cellsOf(first);
+        const b = cellsOf(second);
+
+        const wire = [];
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            if (a[i]) wire.push(a[i]);
+            if (b[i]) wire.push(b[i]);
+        }
+        const received = receive(wire);
+
+        expect(received).toHaveLength(2);
+        expect(received[0].equals(second)).toBe(true);
+        expect(received[1].equals(first)).toBe(true);
+    });
+
+    it('should reject cells claiming more than the message size limit', () => {
+        const cell = Buffer.alloc(CELL_PAYLOAD_BYTES);
+        cell.writeUInt32BE(0, 8);
+        cell.writeUInt32BE(Math.ceil(limits.maxMessageSize / FRAGMENT_BYTES) + 2, 12);
+
+        expect(() => reassembler.push(cell)).toThrow('message size limit');
+    });
+
+    it('should reject malformed and repeated cells', () => {
+        const badIndex = Buffer.alloc(CELL_PAYLOAD_BYTES);
+        badIndex.writeUInt32BE(3, 8);
+        badIndex.writeUInt32BE(3, 12);
+        expect(() => reassembler.push(badIndex)).toThrow('Invalid cell header');
+        expect(() => reassembler.push(Buffer.alloc(10))).toThrow('Invalid cell');
+
+        const [cell] = cellsOf(Buffer.alloc(5000));
+        const frame = cell.subarray(CELL_SIZE - CELL_PAYLOAD_BYTES);
+        reassembler.push(frame);
+        expect(() => reassembler.push(frame)).toThrow('repeated fragment');
+    });
+
+    it('should drop the oldest partial payload when too many are open', () => {
+        const partials = [1, 2, 3].map(() => cellsOf(Buffer.alloc(5000)));
+        for (const cells of partials) receive([cells[0]]);
+
+        expect(reassembler.partial.size).toBe(limits.maxPartialMessages);
+        // The first one is gone, so its remaining cells start it afresh
+        expect(receive(partials[0].slice(1))).toEqual([]);
+        expect(receive(partials[2].slice(1))).toHaveLength(1);
+    });
+
+    it('should forget partial payloads once their sender goes quiet', () => {
+        jest.useFakeTimers();
+        const cells = cellsOf(Buffer.alloc(5000));
+        receive(cells.slice(0, 1));
+
+        jest.advanceTimersByTime(limits.reassemblyTimeout + 1);
+        reassembler.prune();
+
+        expect(reassembler.partial.size).toBe(0);
+        expect(receive(cells.slice(1))).toEqual([]);
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import { PassThrough } from 'stream';
+import { RpcServer } from '../nodejs-project/rpc.js';
+import { RpcClient } from '../nodejs-project/rpc-client.js';
+import { CliSession, parseArgs, readPassword } from '../nodejs-project/cli.js';
+
+describe('CLI session', () => {
+    let server;
+    let methods;
+    let session;
+    let output;
+
+    beforeEach(async () => {
+        const toServer = new PassThrough();
+        const toClient = new PassThrough();
+        methods = {
+            join: jest.fn(async ({ room }) => ({ room })),
+            leave: jest.fn(async ({ room }) => ({ room })),
+            send: jest.fn(async () => ({ messageId: 'm1' })),
+            stats: jest.fn(async () => ({ peers: [] }))
+        };
+        server = new RpcServer({ input: toServer, output: toClient, methods });
+        const client = new RpcClient({ input: toClient, output: toServer });
+        output = [];
+        session = new CliSession({
+            client,
+            print: line => output.push(line),
+            derive: async () => Buffer.alloc(32, 7),
+            password: async () => 'correct horse'
+        });
+        await client.connect();
+    });
+
+    it('should join with the derived key and send lines to the room', async () => {
+        await session.handleLine('/join ROOM');
+        await session.handleLine('hello there');
+
+        expect(methods.join).toHaveBeenCalledWith({ room: 'ROOM', psk: '07'.repeat(32) });
+        expect(methods.send).toHaveBeenCalledWith({
+            room: 'ROOM',
+            data: { type: 'plaintext', text: 'hello there', timestamp: expect.any(Number) }
+        });
+    });
+
+    it('should not take the password on the command line', async () => {
+        await session.handleLine('/join ROOM pw');
+
+        expect(methods.join).not.toHaveBeenCalled();
+        expect(output).toEqual(['! join failed: usage: /join ROOM']);
+    });
+
+    it('should not send before joining', async () => {
+        await session.handleLine('hello');
+
+        expect(methods.send).not.toHaveBeenCalled();
+        expect(output).toEqual(['! join a room first, see /help']);
+    });
+
+    it('should print incoming messages and status changes', async () => {
+        server.notify('message', { room: 'ROOM', data: { type: 'plaintext', text: 'hi' } });
+        server.notify('message', { room: 'ROOM', data: { type: 'message', ciphertext: 'x' } });
+        server.notify('status', { state: 'connected', peers: 2 });
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(output).toEqual([
+            '[ROOM] hi',
+            "[ROOM] (message message the CLI can't read)",
+            '* status: connected, 2 peers'
+        ]);
+    });
+
+    it('should list peers with their rooms', async () => {
+        methods.stats.mockResolvedValue({
+            peers: [{ peerId: 'ab12', rooms: [{ roomId: 'ROOM', verified: true }, { roomId: 'B', verified: false }] }]
+        });
+
+        await session.handleLine('/peers');
+
+        expect(output).toEqual(['* ab12  ROOM, B (verifying)']);
+    });
+
+    it('should report failed commands and keep going', async () => {
+        methods.join.mockRejectedValue(new Error('Invalid transport mode'));
+
+        expect(await session.handleLine('/join ROOM')).toBe(true);
+        expect(await session.handleLine('/join')).toBe(true);
+
+        expect(output).toEqual([
+            '! join failed: Invalid transport mode',
+            '! join failed: usage: /join ROOM'
+        ]);
+    });
+
+    it('should leave every room on quit', async () => {
+        await session.handleLine('/join A');
+        await session.handleLine('/join B');
+
+        expect(await session.handleLine('/quit')).toBe(false);
+        expect(methods.leave.mock.calls.map(([params]) => params.room)).toEqual(['A', 'B']);
+    });
+});
+
+describe('CLI arguments', () => {
+    it('should parse options', () => {
+        const options = parseArgs(['--socket', '/tmp/e.sock', '--room', 'R', '--testnet']);
+
+        expect(options).toMatchObject({ socket: '/tmp/e.sock', room: 'R', testnet: true });
+    });
+
+    it('should reject unknown and incomplete options', () => {
+        expect(() => parseArgs(['--port', '1'])).toThrow('Unknown argument');
+        expect(() => parseArgs(['--room'])).toThrow('needs a value');
+    });
+
+    it('should not take the password as an argument', () => {
+        expect(() => parseArgs(['--room', 'R', '--password', 'pw'])).toThrow('Unknown argument');
+    });
+});
+
+describe('CLI password', () => {
+    it('should take the password from the environment', async () => {
+        const prompt = jest.fn();
+
+        expect(await readPassword('R', { env: { EPHER_PASSWORD: 'pw' }, prompt })).toBe('pw');
+        expect(prompt).not.toHaveBeenCalled();
+    });
+
+    it('should ask for the password without one in the environment', async () => {
+        const prompt = jest.fn().mockResolvedValue('typed');
+
+        expect(await readPassword('R', { env: {}, prompt })).toBe('typed');
+        expect(prompt).toHaveBeenCalledWith('Password for R: ');
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import { EventEmitter } from 'events';
+import sodium from 'libsodium-wrappers';
+import { CoverTrafficScheduler } from '../nodejs-project/cover-traffic.js';
+import { CELL_SIZE, CELL_PAYLOAD_BYTES, FRAGMENT_BYTES, Reassembler } from '../nodejs-project/cells.js';
+import { FrameDecoder } from '../nodejs-project/framing.js';
+import { getNetworkLimits } from '../js/config/security.js';
+
+// The backend's own dependencies aren't installed next to the UI's
+jest.mock('hyperswarm', () => jest.fn(), { virtual: true });
+jest.mock('@hyperswarm/secret-stream', () => ({ keyPair: () => ({}) }), { virtual: true });
+jest.mock('hyperdht/testnet', () => jest.fn(), { virtual: true });
+
+const { NetworkManager } = require('../nodejs-project/network.js');
+
+// A verified peer connection that records what goes on the wire
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.publicKey = sodium.randombytes_buf(32);
+        this.remotePublicKey = sodium.randombytes_buf(32);
+        this.destroyed = false;
+        this.written = [];
+        this.write = jest.fn((chunk) => {
+            this.written.push(Buffer.from(chunk));
+            return true;
+        });
+        this.end = jest.fn();
+        this.destroy = jest.fn(() => { this.destroyed = true; });
+        this.pause = jest.fn();
+        this.resume = jest.fn();
+    }
+}
+
+// The payloads in a run of written cells, as the peer would put them back
+function readPayloads(chunks) {
+    const decoder = new FrameDecoder(CELL_PAYLOAD_BYTES);
+    const reassembler = new Reassembler(getNetworkLimits());
+    const payloads = [];
+    for (const chunk of chunks) {
+        for (const cell of decoder.push(chunk)) {
+            const payload = reassembler.push(cell);
+            if (payload) payloads.push(JSON.parse(payload.toString()));
+        }
+    }
+    return payloads;
+}
+
+describe('CoverTrafficScheduler', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should write one cell per peer on every tick', () => {
+        const sockets = ['a', 'b'];
+        const write = jest.fn();
+        const scheduler = new CoverTrafficScheduler({ getSockets: () => sockets, write, onError: jest.fn() });
+
+        scheduler.start(4);
+        jest.advanceTimersByTime(1000);
+        scheduler.stop();
+
+        expect(write.mock.calls.filter(([socket]) => socket === 'a')).toHaveLength(4);
+        expect(write.mock.calls.filter(([socket]) => socket === 'b')).toHaveLength(4);
+    });
+
+    it('should keep the rate within bounds', () => {
+        const scheduler = new CoverTrafficScheduler({ getSockets: () => [], write: jest.fn(), onError: jest.fn() });
+
+        scheduler.start(100);
+        expect(scheduler.rate).toBe(20);
+        scheduler.start(0);
+        expect(scheduler.rate).toBe(1);
+        scheduler.stop();
+    });
+
+    it('should report a failed write and keep feeding the other peers', () => {
+        const error = new Error('closed');
+        const write = jest.fn((socket) => {
+            if (socket === 'a') throw error;
+        });
+        const onError = jest.fn();
+        const scheduler = new CoverTrafficScheduler({ getSockets: () => ['a', 'b'], write, onError });
+
+        scheduler.start(1);
+        jest.advanceTimersByTime(1000);
+        scheduler.stop();
+
+        expect(onError).toHaveBeenCalledWith('a', error);
+        expect(write).toHaveBeenCalledWith('b');
+    });
+
+    it('should stop writing once stopped', () => {
+        const write = jest.fn();
+        const scheduler = new CoverTrafficScheduler({ getSockets: () => ['a'], write, onError: jest.fn() });
+
+        scheduler.start(2);
+        scheduler.stop();
+        jest.advanceTimersByTime(2000);
+
+        expect(scheduler.isRunning).toBe(false);
+        expect(write).not.toHaveBeenCalled();
+    });
+});
+
+describe('NetworkManager packet shaping', () => {
+    let manager;
+    let room;
+    let socket;
+
+    beforeAll(async () => {
+        await sodium.ready;
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        manager = new NetworkManager();
+        manager.setLimits(getNetworkLimits());
+        room = {
+            handle: 'room-handle',
+            sockets: new Set(),
+            bandwidth: { egress: { waitTime: () => 0, take: () => {} }, bytesOut: 0 },
+            // Verifies every peer it is offered
+            addPeer(peer) { this.sockets.add(peer); },
+            removePeer(peer) { this.sockets.delete(peer); },
+            hasPeer(peer) { return this.sockets.has(peer); }
+        };
+        manager.rooms.set('room', room);
+        socket = new FakeSocket();
+        manager.handleConnection(socket);
+        manager.setPacketShaping({ enabled: true, rate: 2 });
+    });
+
+    afterEach(() => {
+        manager.setPacketShaping({ enabled: false });
+        jest.useRealTimers();
+    });
+
+    it('should send a cover cell of constant size on every tick while idle', () => {
+        jest.advanceTimersByTime(5000);
+
+        expect(socket.written).toHaveLength(10);
+        for (const chunk of socket.written) {
+            expect(chunk.length).toBe(CELL_SIZE);
+        }
+        expect(readPayloads(socket.written)).toEqual(Array(10).fill({ type: 'cover' }));
+    });
+
+    it('should send real data in place of cover without changing timing or size', () => {
+        jest.advanceTimersByTime(1000);
+        // Long enough to need two cells, whatever the padding adds
+        const text = 'x'.repeat(FRAGMENT_BYTES);
+        manager.sendToPeer(socket, { type: 'data', id: 'm1', data: { text }, room: room.handle });
+        expect(socket.written).toHaveLength(2); // nothing goes out between ticks
+
+        jest.advanceTimersByTime(4000);
+
+        expect(socket.written).toHaveLength(10);
+        for (const chunk of socket.written) {
+            expect(chunk.length).toBe(CELL_SIZE);
+        }
+        const payloads = readPayloads(socket.written);
+        const data = payloads.filter(payload => payload.type === 'data');
+        expect(data).toEqual([{ type: 'data', id: 'm1', data: { text }, room: room.handle }]);
+        // Its cells took ticks that would otherwise have carried cover
+        const covers = payloads.filter(payload => payload.type === 'cover').length;
+        expect(payloads).toHaveLength(covers + 1);
+        expect(covers).toBeLessThanOrEqual(socket.written.length - 2);
+    });
+});
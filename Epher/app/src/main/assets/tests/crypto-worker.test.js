@@ -0,0 +1,110 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import sodium from 'libsodium-wrappers';
+import { loadWorker } from './worker-harness.js';
+import { derivePSK } from '../nodejs-project/cli.js';
+
+jest.mock('../js/libsodium-inline.js', () => ({}));
+
+// Argon2id is only in the sumo build, which isn't installed for the app.
+// A stand-in that hashes everything it is given still shows that the
+// worker and the CLI feed it the same bytes.
+const mockSodium = Object.assign(Object.create(sodium), {
+    crypto_pwhash_OPSLIMIT_MODERATE: 3,
+    crypto_pwhash_MEMLIMIT_MODERATE: 256 * 1024 * 1024,
+    crypto_pwhash_ALG_ARGON2ID13: 2,
+    crypto_pwhash: (length, password, salt, opsLimit, memLimit, algorithm) => sodium.crypto_generichash(
+        length,
+        sodium.from_string(`${sodium.to_hex(password)}:${sodium.to_hex(salt)}:${opsLimit}:${memLimit}:${algorithm}`)
+    )
+});
+jest.mock('libsodium-wrappers-sumo', () => mockSodium, { virtual: true });
+
+describe('Crypto worker', () => {
+    let worker;
+
+    beforeAll(async () => {
+        await sodium.ready;
+    });
+
+    afterEach(async () => {
+        if (worker) await worker('cleanup');
+        worker = null;
+    });
+
+    it('should derive the room key the way the CLI does, without Node globals', async () => {
+        worker = await loadWorker(mockSodium);
+
+        // Workers have no Buffer
+        delete globalThis.Buffer;
+        let psk;
+        try {
+            psk = await worker('derivePSK', { roomID: 'room-ü', password: 'correct hörse' });
+        } finally {
+            globalThis.Buffer = Buffer;
+        }
+
+        expect(psk).toHaveLength(32);
+        expect(Buffer.from(psk)).toEqual(await derivePSK('room-ü', 'correct hörse'));
+        expect(Buffer.from(psk)).not.toEqual(await derivePSK('room-ü', 'correct horse'));
+    });
+
+    describe('with a peer that restarts', () => {
+        const workers = [];
+        const { indexedDB } = globalThis;
+        const identityOf = ({ identityKey }) => sodium.from_base64(identityKey, sodium.base64_variants.ORIGINAL);
+
+        // The device that restarts keeps its identity in the test
+        // IndexedDB; the other gets one that lasts as long as its worker
+        async function device(persistent) {
+            const call = await loadWorker(sodium);
+            workers.push(call);
+            if (persistent) return { call, identity: await call('initialize') };
+            delete globalThis.indexedDB;
+            try {
+                return { call, identity: await call('initialize') };
+            } finally {
+                globalThis.indexedDB = indexedDB;
+            }
+        }
+
+        async function exchange(from, to, text) {
+            expect(await to('open', { env: await from('seal', { plain: text }) })).toBe(text);
+        }
+
+        afterEach(async () => {
+            for (const call of workers.splice(0)) await call('cleanup');
+        });
+
+        it('should start over when the responder comes back with the same identity', async () => {
+            const responder = await device(true);
+            // The responder is the one with the higher identity key
+            let initiator = await device(false);
+            while (sodium.compare(identityOf(initiator.identity), identityOf(responder.identity)) >= 0) {
+                initiator = await device(false);
+            }
+
+            const bundle = await responder.call('generatePreKeyBundle');
+            expect(await responder.call('open', { env: await initiator.call('startSession', { bundle }) })).toBeNull();
+            await exchange(responder.call, initiator.call, 'hello');
+            await exchange(initiator.call, responder.call, 'hi');
+            // A bundle seen before leaves a confirmed session alone
+            expect(await initiator.call('startSession', { bundle })).toBeNull();
+
+            await responder.call('cleanup');
+            const restarted = await device(true);
+            expect(restarted.identity.identityKey).toBe(responder.identity.identityKey);
+            await expect(restarted.call('open', { env: await initiator.call('seal', { plain: 'lost' }) }))
+                .rejects.toThrow('No session with sender');
+            await expect(restarted.call('seal', { plain: 'stuck' })).rejects.toThrow('No peers to encrypt for yet');
+
+            const handshake = await initiator.call('startSession', { bundle: await restarted.call('generatePreKeyBundle') });
+            expect(handshake).not.toBeNull();
+            expect(await restarted.call('open', { env: handshake })).toBeNull();
+            await exchange(restarted.call, initiator.call, 'back');
+            await exchange(initiator.call, restarted.call, 'welcome back');
+        });
+    });
+});
@@ -0,0 +1,281 @@
+/**
+ * @jest-environment node
+ */
+import sodium from 'libsodium-wrappers';
+import { DoubleRatchet, MAX_SKIP, kdfRootKey, kdfChainKey } from '../js/double-ratchet.js';
+import { loadWorker as loadDeviceWorker } from './worker-harness.js';
+
+jest.mock('../js/libsodium-inline.js', () => ({}));
+
+const bytes = (length, start = 0) => Uint8Array.from({ length }, (_, i) => (start + i) & 0xff);
+const hex = (data) => sodium.to_hex(data);
+
+// Key pairs from fixed seeds, handed out in order
+function fixedKeyPairs(...seeds) {
+    const keyPairs = seeds.map(seed => sodium.crypto_box_seed_keypair(bytes(32, seed)));
+    return () => keyPairs.shift();
+}
+
+describe('Double Ratchet', () => {
+    const associatedData = bytes(64, 0x80);
+    let alice;
+    let bob;
+
+    const send = (from, text) => from.encrypt(sodium.from_string(text), associatedData);
+    const receive = (to, { header, cipher }) => sodium.to_string(to.decrypt(header, cipher, associatedData));
+
+    beforeAll(async () => {
+        await sodium.ready;
+    });
+
+    beforeEach(() => {
+        const sharedKey = sodium.randombytes_buf(32);
+        const bobRatchetKey = sodium.crypto_box_keypair();
+        alice = DoubleRatchet.initiator(sodium, sharedKey, bobRatchetKey.publicKey);
+        bob = DoubleRatchet.responder(sodium, sharedKey, bobRatchetKey);
+    });
+
+    it('should match the known-answer vectors', () => {
+        const root = kdfRootKey(sodium, bytes(32), bytes(32, 32));
+        expect(hex(root.rootKey)).toBe('a6056b664cf863f81da0c0a90db244ade876052ebc874d8048d7bb998281fa8f');
+        expect(hex(root.chainKey)).toBe('f114687c3ad6867d187e64f61a41df515a07a99d076ffaff486235fc511930be');
+
+        const chain = kdfChainKey(sodium, bytes(32));
+        expect(hex(chain.chainKey)).toBe('7dc7bf77b86ed1143e85946206072f8f26504a1031d19701edd06318a0b8bc5b');
+        expect(hex(chain.messageKey)).toBe('dace1c2bbe1660f898884720cb73d4dad6e7d360260c749cee92d58f4aa0f23a');
+
+        const sharedKey = bytes(32, 0x40);
+        const bobRatchetKey = sodium.crypto_box_seed_keypair(bytes(32, 1));
+        const fixedAlice = DoubleRatchet.initiator(sodium, sharedKey, bobRatchetKey.publicKey, fixedKeyPairs(2, 4));
+        const fixedBob = DoubleRatchet.responder(sodium, sharedKey, bobRatchetKey, fixedKeyPairs(3));
+
+        const first = send(fixedAlice, 'hello');
+        expect(first.header).toEqual({ dh: '2AKgsNn2QueLyPryEL9zjXrpGjE7A//CwRyEudgB0Hg=', pn: 0, n: 0 });
+        expect(hex(first.cipher)).toBe('1dd92a9ebf4e230d1d72dea425dd7743941fc5611b');
+        expect(receive(fixedBob, first)).toBe('hello');
+
+        const reply = send(fixedBob, 'hi');
+        expect(reply.header).toEqual({ dh: 'LEDr2/1OQ0E44uqnkF/tSR42bdbLGXB81b5HSLJ+gWg=', pn: 0, n: 0 });
+        expect(hex(reply.cipher)).toBe('fe80d8d136d92fef4ff11e934f624fc24bcc');
+        expect(receive(fixedAlice, reply)).toBe('hi');
+    });
+
+    it('should only let the responder send after the first message', () => {
+        expect(alice.canSend).toBe(true);
+        expect(bob.canSend).toBe(false);
+        expect(() => send(bob, 'too early')).toThrow('cannot send');
+
+        expect(receive(bob, send(alice, 'hello'))).toBe('hello');
+        expect(bob.canSend).toBe(true);
+    });
+
+    it('should ratchet on every change of direction', () => {
+        expect(receive(bob, send(alice, 'a1'))).toBe('a1');
+        const b1 = send(bob, 'b1');
+        expect(receive(alice, b1)).toBe('b1');
+        const a2 = send(alice, 'a2');
+        expect(a2.header.dh).not.toBe(b1.header.dh);
+        expect(a2.header).toMatchObject({ pn: 1, n: 0 });
+        expect(receive(bob, a2)).toBe('a2');
+        expect(receive(alice, send(bob, 'b2'))).toBe('b2');
+    });
+
+    it('should decrypt messages out of order and across ratchet steps', () => {
+        const a1 = send(alice, 'a1');
+        const a2 = send(alice, 'a2');
+        const a3 = send(alice, 'a3');
+        expect(receive(bob, a3)).toBe('a3');
+        expect(bob.skipped.size).toBe(2);
+
+        expect(receive(alice, send(bob, 'b1'))).toBe('b1');
+        const a4 = send(alice, 'a4');
+        const a5 = send(alice, 'a5');
+        expect(a5.header).toMatchObject({ pn: 3, n: 1 });
+
+        expect(receive(bob, a5)).toBe('a5');
+        expect(receive(bob, a1)).toBe('a1');
+        expect(receive(bob, a4)).toBe('a4');
+        expect(receive(bob, a2)).toBe('a2');
+        expect(bob.skipped.size).toBe(0);
+    });
+
+    it('should keep the keys of messages lost with a previous chain', () => {
+        expect(receive(bob, send(alice, 'a1'))).toBe('a1');
+        const a2 = send(alice, 'a2');
+        expect(receive(alice, send(bob, 'b1'))).toBe('b1');
+
+        // a3 starts a new chain; its header says the old one had two messages
+        const a3 = send(alice, 'a3');
+        expect(a3.header).toMatchObject({ pn: 2, n: 0 });
+        expect(receive(bob, a3)).toBe('a3');
+        expect(receive(bob, a2)).toBe('a2');
+    });
+
+    it('should refuse to skip more than MAX_SKIP messages', () => {
+        expect(receive(bob, send(alice, 'first'))).toBe('first');
+        for (let i = 0; i <= MAX_SKIP; i++) send(alice, 'lost');
+        expect(() => receive(bob, send(alice, 'far ahead'))).toThrow('Too many skipped messages');
+
+        // Nothing was kept from the failed attempt
+        expect(bob.skipped.size).toBe(0);
+        expect(bob.received).toBe(1);
+    });
+
+    it('should reject replays', () => {
+        const a1 = send(alice, 'a1');
+        const a2 = send(alice, 'a2');
+        expect(receive(bob, a1)).toBe('a1');
+        expect(receive(bob, a2)).toBe('a2');
+        expect(() => receive(bob, a1)).toThrow('Message replay detected');
+        expect(() => receive(bob, a2)).toThrow('Message replay detected');
+    });
+
+    it('should reject skipped keys once used', () => {
+        const a1 = send(alice, 'a1');
+        expect(receive(bob, send(alice, 'a2'))).toBe('a2');
+        expect(receive(bob, a1)).toBe('a1');
+        expect(() => receive(bob, a1)).toThrow();
+    });
+
+    it('should leave the state alone when a message is forged', () => {
+        expect(receive(bob, send(alice, 'a1'))).toBe('a1');
+        const a2 = send(alice, 'a2');
+
+        const tampered = a2.cipher.slice();
+        tampered[0] ^= 1;
+        expect(() => bob.decrypt(a2.header, tampered, associatedData)).toThrow();
+        expect(() => bob.decrypt({ ...a2.header, n: 5 }, a2.cipher, associatedData)).toThrow();
+        const stranger = sodium.to_base64(sodium.crypto_box_keypair().publicKey, sodium.base64_variants.ORIGINAL);
+        expect(() => bob.decrypt({ ...a2.header, dh: stranger }, a2.cipher, associatedData)).toThrow();
+        expect(bob.skipped.size).toBe(0);
+
+        expect(receive(bob, a2)).toBe('a2');
+        expect(receive(alice, send(bob, 'b1'))).toBe('b1');
+    });
+
+    it('should keep skipped keys a forged message would have evicted', () => {
+        const delayed = send(alice, 'delayed');
+        for (let i = 1; i < MAX_SKIP; i++) send(alice, 'lost');
+        expect(receive(bob, send(alice, 'far ahead'))).toBe('far ahead');
+        expect(bob.skipped.size).toBe(MAX_SKIP);
+
+        // Skipping the rest of this chain and a whole new one would push
+        // out the oldest keys, but the message doesn't authenticate
+        const stranger = sodium.to_base64(sodium.crypto_box_keypair().publicKey, sodium.base64_variants.ORIGINAL);
+        const forged = { dh: stranger, pn: bob.received + MAX_SKIP, n: MAX_SKIP };
+        expect(() => bob.decrypt(forged, delayed.cipher, associatedData)).toThrow();
+        expect(bob.skipped.size).toBe(MAX_SKIP);
+
+        expect(receive(bob, delayed)).toBe('delayed');
+    });
+
+    it('should bind the associated data and header', () => {
+        const a1 = send(alice, 'a1');
+        expect(() => bob.decrypt(a1.header, a1.cipher, bytes(64))).toThrow();
+        expect(() => bob.decrypt({ ...a1.header, pn: 1 }, a1.cipher, associatedData)).toThrow();
+        expect(() => bob.decrypt({ dh: a1.header.dh, n: -1, pn: 0 }, a1.cipher, associatedData)).toThrow('Invalid message header');
+        expect(receive(bob, a1)).toBe('a1');
+    });
+});
+
+// Two copies of the worker, talking through envelopes the way two phones do
+describe('Crypto worker sessions', () => {
+    const workers = [];
+    // Each worker stands for its own device; with the test IndexedDB they
+    // would share one identity
+    const { indexedDB } = globalThis;
+
+    async function loadWorker() {
+        const call = await loadDeviceWorker(sodium);
+        workers.push(call);
+        return call;
+    }
+
+    // The worker with the lower identity key starts the session
+    async function pair() {
+        const a = await loadWorker();
+        const b = await loadWorker();
+        const keyA = sodium.from_base64((await a('initialize')).identityKey, sodium.base64_variants.ORIGINAL);
+        const keyB = sodium.from_base64((await b('initialize')).identityKey, sodium.base64_variants.ORIGINAL);
+        const [initiator, responder] = sodium.compare(keyA, keyB) < 0 ? [a, b] : [b, a];
+
+        expect(await responder('startSession', { bundle: await initiator('generatePreKeyBundle') })).toBeNull();
+        const handshake = await initiator('startSession', { bundle: await responder('generatePreKeyBundle') });
+        expect(handshake.type).toBe('session');
+        expect(await responder('open', { env: handshake })).toBeNull();
+        return { initiator, responder };
+    }
+
+    beforeAll(async () => {
+        await sodium.ready;
+        delete globalThis.indexedDB;
+    });
+
+    afterAll(() => {
+        globalThis.indexedDB = indexedDB;
+    });
+
+    afterEach(async () => {
+        for (const call of workers.splice(0)) await call('cleanup');
+    });
+
+    it('should exchange messages both ways', async () => {
+        const { initiator, responder } = await pair();
+
+        const first = await responder('seal', { plain: 'hello' });
+        expect(await initiator('open', { env: first })).toBe('hello');
+
+        const reply = await initiator('seal', { plain: 'hi back' });
+        const [entry] = Object.values(reply.recipients);
+        expect(entry.x3dh).toBeUndefined();
+        expect(entry.header).toMatchObject({ pn: expect.any(Number), n: 0 });
+        expect(await responder('open', { env: reply })).toBe('hi back');
+
+        const file = await initiator('sealFile', { fileData: 'abc', fileName: 'a.txt', fileType: 'text/plain' });
+        expect(await responder('openFile', { env: file })).toMatchObject({ fileName: 'a.txt', fileData: 'abc' });
+    });
+
+    it('should open envelopes that arrive out of order, once each', async () => {
+        const { initiator, responder } = await pair();
+
+        const envelopes = [];
+        for (const text of ['one', 'two', 'three']) {
+            envelopes.push(await initiator('seal', { plain: text }));
+        }
+        expect(await responder('open', { env: envelopes[2] })).toBe('three');
+        expect(await responder('open', { env: envelopes[0] })).toBe('one');
+        expect(await responder('open', { env: envelopes[1] })).toBe('two');
+        await expect(responder('open', { env: envelopes[1] })).rejects.toThrow();
+    });
+
+    it('should sign what it sends with the identity key', async () => {
+        const { initiator, responder } = await pair();
+        const envelope = await responder('seal', { plain: 'signed' });
+        const [[peer, entry]] = Object.entries(envelope.recipients);
+        expect(entry.sig).toHaveLength(sodium.crypto_sign_BYTES);
+
+        const sig = entry.sig.map((byte, i) => (i === 0 ? byte ^ 1 : byte));
+        const forged = { ...envelope, recipients: { [peer]: { ...entry, sig } } };
+        await expect(initiator('open', { env: forged })).rejects.toThrow('Invalid signature');
+        // The signature covers the type, so a message can't pass as a file
+        await expect(initiator('openFile', { env: { ...envelope, type: 'file' } })).rejects.toThrow('Invalid signature');
+        expect(await initiator('open', { env: envelope })).toBe('signed');
+    });
+
+    it('should leave signatures off in deniable mode', async () => {
+        const { initiator, responder } = await pair();
+        await responder('setDeniable', { deniable: true });
+
+        const envelope = await responder('seal', { plain: 'deniable' });
+        const [entry] = Object.values(envelope.recipients);
+        expect(entry.sig).toBeUndefined();
+        expect(await initiator('open', { env: envelope })).toBe('deniable');
+    });
+
+    it('should give the fingerprint of an identity key', async () => {
+        const worker = await loadWorker();
+        const { identityKey, fingerprint } = await worker('initialize');
+        expect(fingerprint).toMatch(/^([0-9a-f]{4} ){7}[0-9a-f]{4}$/);
+        expect(await worker('fingerprint', { identityKey })).toBe(fingerprint);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import { encodeFrame, FrameDecoder } from '../nodejs-project/framing.js';
+
+describe('Frame Decoder', () => {
+    const payload = (text) => Buffer.from(text);
+
+    it('should decode a single complete frame', () => {
+        const decoder = new FrameDecoder();
+        const frames = decoder.push(encodeFrame(payload('hello')));
+
+        expect(frames.map(String)).toEqual(['hello']);
+    });
+
+    it('should reassemble a frame split across chunks', () => {
+        const decoder = new FrameDecoder();
+        const wire = encodeFrame(payload('split across several chunks'));
+
+        const frames = [];
+        for (let i = 0; i < wire.length; i += 3) {
+            frames.push(...decoder.push(wire.subarray(i, i + 3)));
+        }
+
+        expect(frames.map(String)).toEqual(['split across several chunks']);
+    });
+
+    it('should extract every frame from a coalesced chunk', () => {
+        const decoder = new FrameDecoder();
+        const wire = Buffer.concat([
+            encodeFrame(payload('one')),
+            encodeFrame(payload('two')),
+            encodeFrame(payload('three')).subarray(0, 6)
+        ]);
+
+        expect(decoder.push(wire).map(String)).toEqual(['one', 'two']);
+        expect(decoder.push(encodeFrame(payload('three')).subarray(6)).map(String)).toEqual(['three']);
+    });
+
+    it('should reject frames above the size limit', () => {
+        const decoder = new FrameDecoder(16);
+
+        expect(() => decoder.push(encodeFrame(Buffer.alloc(17)))).toThrow(/exceeds limit/);
+    });
+
+    it('should reject empty frames', () => {
+        const decoder = new FrameDecoder();
+
+        expect(() => decoder.push(Buffer.alloc(4))).toThrow(/empty/);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+import sodium from 'libsodium-wrappers';
+import { PeerHandshake, HANDSHAKE_VERSION } from '../nodejs-project/handshake.js';
+
+describe('Peer Handshake', () => {
+    let psk;
+    let keyA;
+    let keyB;
+
+    beforeAll(async () => {
+        await sodium.ready;
+    });
+
+    beforeEach(() => {
+        psk = sodium.randombytes_buf(32);
+        keyA = sodium.randombytes_buf(32);
+        keyB = sodium.randombytes_buf(32);
+    });
+
+    // Runs both sides of the exchange and returns the two handshakes
+    function runHandshake(pskA, pskB) {
+        const a = new PeerHandshake(pskA, keyA, keyB);
+        const b = new PeerHandshake(pskB, keyB, keyA);
+
+        const responseA = a.handleChallenge(b.createChallenge());
+        const responseB = b.handleChallenge(a.createChallenge());
+
+        if (b.verifyResponse(responseA)) a.handleSuccess(b.createSuccess());
+        if (a.verifyResponse(responseB)) b.handleSuccess(a.createSuccess());
+
+        return { a, b };
+    }
+
+    it('should verify both sides when they share the room PSK', () => {
+        const { a, b } = runHandshake(psk, psk);
+
+        expect(a.isComplete).toBe(true);
+        expect(b.isComplete).toBe(true);
+    });
+
+    it('should reject peers with a different PSK', () => {
+        const { a, b } = runHandshake(psk, sodium.randombytes_buf(32));
+
+        expect(a.remoteVerified).toBe(false);
+        expect(b.remoteVerified).toBe(false);
+        expect(a.isComplete).toBe(false);
+        expect(b.isComplete).toBe(false);
+    });
+
+    it('should not complete until the remote side accepts our proof', () => {
+        const a = new PeerHandshake(psk, keyA, keyB);
+        const b = new PeerHandshake(psk, keyB, keyA);
+
+        a.handleChallenge(b.createChallenge());
+        const responseB = b.handleChallenge(a.createChallenge());
+
+        expect(a.verifyResponse(responseB)).toBe(true);
+        expect(a.isComplete).toBe(false);
+    });
+
+    it('should reject a proof reflected back at its sender', () => {
+        const a = new PeerHandshake(psk, keyA, keyB);
+        const b = new PeerHandshake(psk, keyB, keyA);
+
+        const responseA = a.handleChallenge(b.createChallenge());
+        b.handleChallenge(a.createChallenge());
+
+        expect(a.verifyResponse(responseA)).toBe(false);
+    });
+
+    it('should bind proofs to the Noise keys of the connection', () => {
+        const a = new PeerHandshake(psk, keyA, keyB);
+        const mallory = new PeerHandshake(psk, keyB, sodium.randombytes_buf(32));
+
+        const response = a.handleChallenge(mallory.createChallenge());
+        mallory.handleChallenge(a.createChallenge());
+
+        expect(mallory.verifyResponse(response)).toBe(false);
+    });
+
+    it('should authenticate a leave from the verified peer only', () => {
+        const { a, b } = runHandshake(psk, psk);
+        const leave = a.createLeave();
+
+        expect(b.verifyLeave(leave)).toBe(true);
+        // Reflected back at its sender, it proves nothing
+        expect(a.verifyLeave(leave)).toBe(false);
+    });
+
+    it('should not create a leave before the handshake completes', () => {
+        const a = new PeerHandshake(psk, keyA, keyB);
+
+        expect(() => a.createLeave()).toThrow('Handshake not complete');
+    });
+
+    it('should reject unsupported handshake versions', () => {
+        const a = new PeerHandshake(psk, keyA, keyB);
+        const b = new PeerHandshake(psk, keyB, keyA);
+        const challenge = { ...b.createChallenge(), version: HANDSHAKE_VERSION + 1 };
+
+        expect(() => a.handleChallenge(challenge)).toThrow(/version/);
+    });
+});
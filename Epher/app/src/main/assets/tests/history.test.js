@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+import { HistoryCache } from '../nodejs-project/history.js';
+
+describe('HistoryCache', () => {
+    const limits = { historyLimit: 3, historyTTL: 1000 };
+    let history;
+
+    const message = (id, timestamp = Date.now()) => ({ type: 'message', id, timestamp, data: {} });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        history = new HistoryCache(limits);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should return cached messages by id, oldest first', () => {
+        history.add(message('m1'));
+        history.add(message('m2'));
+
+        expect(history.ids()).toEqual(['m1', 'm2']);
+        expect(history.get(['m2', 'm1', 'unknown']).map(m => m.id)).toEqual(['m1', 'm2']);
+    });
+
+    it('should ignore duplicate ids', () => {
+        expect(history.add(message('m1'))).toBe(true);
+        expect(history.add(message('m1'))).toBe(false);
+        expect(history.size).toBe(1);
+    });
+
+    it('should drop the oldest entries beyond the limit', () => {
+        for (const id of ['m1', 'm2', 'm3', 'm4']) {
+            history.add(message(id));
+        }
+
+        expect(history.ids()).toEqual(['m2', 'm3', 'm4']);
+    });
+
+    it('should expire entries relative to the sender timestamp', () => {
+        history.add(message('old', Date.now() - 600));
+        history.add(message('new'));
+
+        jest.advanceTimersByTime(500);
+
+        expect(history.ids()).toEqual(['new']);
+    });
+
+    it('should refuse messages that have already expired', () => {
+        expect(history.add(message('m1', Date.now() - limits.historyTTL))).toBe(false);
+    });
+
+    it('should not let future timestamps extend the lifetime', () => {
+        history.add(message('m1', Date.now() + 60000));
+
+        jest.advanceTimersByTime(limits.historyTTL);
+
+        expect(history.ids()).toEqual([]);
+    });
+});
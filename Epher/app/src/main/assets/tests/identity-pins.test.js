@@ -0,0 +1,40 @@
+import { IdentityPins } from '../js/identity-pins.js';
+
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value)
+    };
+}
+
+describe('IdentityPins', () => {
+    it('should tell first, new and pinned identities apart', () => {
+        const pins = new IdentityPins(memoryStorage());
+        expect(pins.pin('room', 'alice')).toBe('first');
+        expect(pins.pin('room', 'alice')).toBe('pinned');
+        expect(pins.pin('room', 'bob')).toBe('new');
+        expect(pins.pin('room', 'bob')).toBe('pinned');
+    });
+
+    it('should pin per room', () => {
+        const pins = new IdentityPins(memoryStorage());
+        pins.pin('room', 'alice');
+        expect(pins.isPinned('other', 'alice')).toBe(false);
+        expect(pins.pin('other', 'alice')).toBe('first');
+    });
+
+    it('should keep pins in storage', () => {
+        const storage = memoryStorage();
+        new IdentityPins(storage).pin('room', 'alice');
+
+        const restored = new IdentityPins(storage);
+        expect(restored.isPinned('room', 'alice')).toBe(true);
+        expect(restored.pin('room', 'bob')).toBe('new');
+    });
+
+    it('should start over from unreadable storage', () => {
+        const pins = new IdentityPins(memoryStorage({ 'identity-pins': '{not json' }));
+        expect(pins.pin('room', 'alice')).toBe('first');
+    });
+});
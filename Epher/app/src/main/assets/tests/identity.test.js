@@ -0,0 +1,40 @@
+/**
+ * @jest-environment node
+ */
+import sodium from 'libsodium-wrappers';
+import { loadIdentityKeyPair, fingerprint } from '../js/identity.js';
+
+describe('Device identity', () => {
+    beforeAll(async () => {
+        await sodium.ready;
+    });
+
+    it('should keep the identity key pair across loads', async () => {
+        const first = await loadIdentityKeyPair(sodium);
+        const second = await loadIdentityKeyPair(sodium);
+        expect(second.publicKey).toEqual(first.publicKey);
+        expect(second.privateKey).toEqual(first.privateKey);
+
+        const signature = sodium.crypto_sign_detached(Uint8Array.of(1, 2, 3), second.privateKey);
+        expect(sodium.crypto_sign_verify_detached(signature, Uint8Array.of(1, 2, 3), first.publicKey)).toBe(true);
+    });
+
+    it('should make a new identity per load without IndexedDB', async () => {
+        const { indexedDB } = globalThis;
+        delete globalThis.indexedDB;
+        try {
+            const first = await loadIdentityKeyPair(sodium);
+            const second = await loadIdentityKeyPair(sodium);
+            expect(second.publicKey).not.toEqual(first.publicKey);
+        } finally {
+            globalThis.indexedDB = indexedDB;
+        }
+    });
+
+    it('should format fingerprints as groups of hex digits', () => {
+        const key = new Uint8Array(32);
+        expect(fingerprint(sodium, key)).toMatch(/^([0-9a-f]{4} ){7}[0-9a-f]{4}$/);
+        expect(fingerprint(sodium, key)).toBe(fingerprint(sodium, new Uint8Array(32)));
+        expect(fingerprint(sodium, Uint8Array.of(1, ...new Uint8Array(31)))).not.toBe(fingerprint(sodium, key));
+    });
+});
@@ -0,0 +1,136 @@
+import { seal } from '../js/cryptoBridge.js';
+import '../js/messages.js';
+
+jest.mock('../js/cryptoBridge.js', () => ({ seal: jest.fn() }));
+
+// The handler is created on DOMContentLoaded, like in the app
+function createMessages() {
+    document.body.innerHTML = `
+        <div id="chat-area"><div id="messages"></div></div>
+        <input id="msg">
+        <button id="send-btn"></button>
+        <button id="file-upload-btn"></button>
+        <input id="file-upload" type="file">
+    `;
+    window.dispatchEvent(new Event('DOMContentLoaded'));
+    return window.messages;
+}
+
+function statusOf(messageId) {
+    return document.querySelector(`[data-message-id="${messageId}"] .message-status`).textContent;
+}
+
+describe('MessageHandler sending', () => {
+    let messages;
+
+    beforeEach(() => {
+        seal.mockReset();
+        window.AndroidBridge = { sendMessage: jest.fn() };
+        window.notifications = { error: jest.fn(), success: jest.fn() };
+        window.requestAnimationFrame = jest.fn();
+        messages = createMessages();
+    });
+
+    async function type(text) {
+        messages.messageInput.value = text;
+        await messages.sendMessage();
+    }
+
+    it('should hand sealed messages to the backend', async () => {
+        seal.mockResolvedValue({ type: 'message', sender: 'me', recipients: {} });
+
+        await type('hello');
+
+        const sent = JSON.parse(window.AndroidBridge.sendMessage.mock.calls[0][0]);
+        expect(sent).toMatchObject({ type: 'message', sender: 'me', messageId: expect.any(String) });
+        expect(messages.unsealed).toHaveLength(0);
+    });
+
+    it('should keep a message written before any session, not fail it', async () => {
+        seal.mockRejectedValue(new Error('No peers to encrypt for yet'));
+
+        await type('anyone there?');
+
+        expect(messages.unsealed).toHaveLength(1);
+        expect(window.AndroidBridge.sendMessage).not.toHaveBeenCalled();
+        expect(statusOf(messages.unsealed[0].id)).toBe('done');
+        expect(window.notifications.error).not.toHaveBeenCalled();
+    });
+
+    it('should send the waiting messages in order once a session can send', async () => {
+        seal.mockRejectedValue(new Error('No peers to encrypt for yet'));
+        await type('first');
+        await type('second');
+
+        seal.mockImplementation(async text => ({ type: 'message', text }));
+        await messages.flushUnsealed();
+
+        const sent = window.AndroidBridge.sendMessage.mock.calls.map(([json]) => JSON.parse(json).text);
+        expect(sent).toEqual(['first', 'second']);
+        expect(messages.unsealed).toHaveLength(0);
+    });
+
+    it('should keep waiting while there is still no session', async () => {
+        seal.mockRejectedValue(new Error('No peers to encrypt for yet'));
+        await type('first');
+
+        await messages.flushUnsealed();
+
+        expect(messages.unsealed).toHaveLength(1);
+    });
+
+    it('should fail the waiting messages when giving up on them', async () => {
+        seal.mockRejectedValue(new Error('No peers to encrypt for yet'));
+        await type('first');
+        const { id } = messages.unsealed[0];
+
+        messages.failUnsealed();
+
+        expect(messages.unsealed).toHaveLength(0);
+        expect(statusOf(id)).toBe('error_outline');
+    });
+
+    it('should fail a message that could not be sealed for another reason', async () => {
+        seal.mockRejectedValue(new Error('Crypto worker not initialized'));
+
+        await type('hello');
+
+        expect(messages.unsealed).toHaveLength(0);
+        expect(window.notifications.error).toHaveBeenCalledWith('Failed to send message');
+    });
+});
+
+describe('MessageHandler acks', () => {
+    let messages;
+
+    beforeEach(() => {
+        window.notifications = { error: jest.fn(), success: jest.fn() };
+        messages = createMessages();
+    });
+
+    it('should count the peers that acknowledged a message', () => {
+        messages.handleAck('m1', 'peer-a');
+        messages.handleAck('m1', 'peer-b');
+        messages.handleAck('m1', 'peer-a');
+
+        expect(messages.acks.get('m1').size).toBe(2);
+    });
+
+    it('should only keep the acks of recent messages', () => {
+        for (let i = 0; i < 300; i++) {
+            messages.handleAck(`m${i}`, 'peer-a');
+        }
+
+        expect(messages.acks.size).toBe(256);
+        expect(messages.acks.has('m0')).toBe(false);
+        expect(messages.acks.has('m299')).toBe(true);
+    });
+
+    it('should forget a message that failed', () => {
+        messages.handleAck('m1', 'peer-a');
+
+        messages.updateDeliveryStatus('m1', 'failed');
+
+        expect(messages.acks.has('m1')).toBe(false);
+    });
+});
@@ -0,0 +1,250 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import { EventEmitter } from 'events';
+import sodium from 'libsodium-wrappers';
+import { getNetworkLimits } from '../js/config/security.js';
+
+// The backend's own dependencies aren't installed next to the UI's
+jest.mock('hyperswarm', () => jest.fn(), { virtual: true });
+jest.mock('@hyperswarm/secret-stream', () => ({ keyPair: () => ({}) }), { virtual: true });
+jest.mock('hyperdht/testnet', () => jest.fn(), { virtual: true });
+
+const { NetworkManager } = require('../nodejs-project/network.js');
+const { Room } = require('../nodejs-project/room.js');
+const { PeerHandshake } = require('../nodejs-project/handshake.js');
+
+// A connection as the transport hands it over, already past Noise
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.publicKey = sodium.randombytes_buf(32);
+        this.remotePublicKey = sodium.randombytes_buf(32);
+        this.destroyed = false;
+        this.write = jest.fn(() => true);
+        this.end = jest.fn();
+        this.destroy = jest.fn(() => { this.destroyed = true; });
+        this.pause = jest.fn();
+        this.resume = jest.fn();
+    }
+}
+
+// A room that verifies every peer it is offered
+function createVerifyingRoom() {
+    return {
+        handle: 'room-handle',
+        sockets: new Set(),
+        addPeer(socket) { this.sockets.add(socket); },
+        removePeer(socket) { this.sockets.delete(socket); },
+        hasPeer(socket) { return this.sockets.has(socket); }
+    };
+}
+
+describe('NetworkManager', () => {
+    let manager;
+
+    beforeAll(async () => {
+        await sodium.ready;
+    });
+
+    beforeEach(() => {
+        manager = new NetworkManager();
+        manager.setLimits(getNetworkLimits());
+        jest.spyOn(manager, 'restart').mockImplementation(() => {});
+    });
+
+    describe('checkJoin', () => {
+        it('should accept a new room with a 32-byte PSK', () => {
+            expect(() => manager.checkJoin('room', Buffer.alloc(32))).not.toThrow();
+        });
+
+        it('should reject a PSK of the wrong length', () => {
+            expect(() => manager.checkJoin('room', Buffer.alloc(0))).toThrow('Room PSK must be 32 bytes');
+            expect(() => manager.checkJoin('room', Buffer.alloc(16))).toThrow('Room PSK must be 32 bytes');
+        });
+
+        it('should refuse to join before the limits are set', () => {
+            manager = new NetworkManager();
+            expect(() => manager.checkJoin('room', Buffer.alloc(32))).toThrow('Network limits are not configured');
+        });
+
+        it('should reject a room already joined', () => {
+            manager.rooms.set('room', {});
+            expect(() => manager.checkJoin('room', Buffer.alloc(32))).toThrow('Already in this room');
+        });
+    });
+
+    describe('joinRoom', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            manager.stopKeepAlive();
+            manager.stopBandwidthReports();
+            jest.clearAllTimers();
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+        });
+
+        it('should forget a room whose transport failed so the join can be retried', async () => {
+            manager.transportMode = 'socks5'; // without a proxy port
+            await expect(manager.joinRoom('R1', Buffer.alloc(32), jest.fn()))
+                .rejects.toThrow('SOCKS5 transport needs a proxy port');
+            expect(manager.rooms.has('R1')).toBe(false);
+
+            manager.transport = { join: jest.fn(() => Promise.resolve()) };
+            await manager.joinRoom('R1', Buffer.alloc(32), jest.fn());
+            expect(manager.rooms.has('R1')).toBe(true);
+            expect(manager.transport.join).toHaveBeenCalledWith(manager.rooms.get('R1').topic);
+        });
+
+        it('should hand the configured limits to rooms and reconnecting', async () => {
+            manager.setLimits({ ...getNetworkLimits(), bandwidthLimit: 4096, reconnectAttempts: 3 });
+            manager.transport = { join: jest.fn(() => Promise.resolve()) };
+
+            await manager.joinRoom('R1', Buffer.alloc(32), jest.fn());
+
+            expect(manager.rooms.get('R1').bandwidth.ingress.rate).toBe(4096);
+            expect(manager.reconnect.limits.reconnectAttempts).toBe(3);
+        });
+    });
+
+    describe('setLimits', () => {
+        it('should reject a missing or invalid limit', () => {
+            const { historyTTL, ...partial } = getNetworkLimits();
+            expect(() => manager.setLimits(partial)).toThrow('Invalid network limit: historyTTL');
+            expect(() => manager.setLimits({ ...partial, historyTTL: -1 })).toThrow('Invalid network limit: historyTTL');
+            expect(manager.limits.historyTTL).toBe(historyTTL);
+        });
+
+        it('should reject a bandwidth limit of zero', () => {
+            const limits = getNetworkLimits();
+            expect(() => manager.setLimits({ ...limits, bandwidthLimit: 0 })).toThrow('Invalid network limit: bandwidthLimit');
+            expect(() => manager.setLimits({ ...limits, peerBandwidthLimit: 0 })).toThrow('Invalid network limit: peerBandwidthLimit');
+            expect(manager.limits.bandwidthLimit).toBe(limits.bandwidthLimit);
+            expect(manager.limits.peerBandwidthLimit).toBe(limits.peerBandwidthLimit);
+        });
+    });
+
+    describe('setDiscovery', () => {
+        it('should restart only when the settings changed', () => {
+            manager.setDiscovery({ bootstrap: ['10.0.0.1:49737'], testnet: false });
+            manager.setDiscovery({ bootstrap: ['10.0.0.1:49737'], testnet: false });
+
+            expect(manager.restart).toHaveBeenCalledTimes(1);
+        });
+
+        it('should keep the settings left out', () => {
+            manager.setDiscovery({ bootstrap: ['10.0.0.1:49737'], testnet: false });
+            manager.setDiscovery({ testnet: false });
+
+            expect(manager.discovery.bootstrap).toEqual([{ host: '10.0.0.1', port: 49737 }]);
+            expect(manager.restart).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject a bootstrap list that is not an array', () => {
+            expect(() => manager.setDiscovery({ bootstrap: '10.0.0.1:49737' }))
+                .toThrow('Bootstrap list must be an array');
+        });
+    });
+
+    describe('checkStaleConnections', () => {
+        let room;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            room = createVerifyingRoom();
+            manager.rooms.set('room', room);
+            manager.isConnected = true;
+        });
+
+        afterEach(() => {
+            manager.stopKeepAlive();
+            jest.useRealTimers();
+        });
+
+        it('should drop a silent peer and keep one that is still sending', () => {
+            const silent = new FakeSocket();
+            const active = new FakeSocket();
+            manager.handleConnection(silent);
+            manager.handleConnection(active);
+            manager.startKeepAlive();
+
+            // Any data counts as a sign of life, even a chunk without a cell
+            const timeout = manager.limits.connectionTimeout;
+            for (let elapsed = 0; elapsed <= timeout + 2000; elapsed += 1000) {
+                active.emit('data', Buffer.alloc(0));
+                jest.advanceTimersByTime(1000);
+            }
+
+            expect(room.sockets.has(silent)).toBe(false);
+            expect(manager.connections.has(silent)).toBe(false);
+            expect(silent.destroy).toHaveBeenCalled();
+            expect(room.sockets.has(active)).toBe(true);
+            expect(active.destroy).not.toHaveBeenCalled();
+        });
+
+        it('should keep a silent peer until the timeout has passed', () => {
+            const socket = new FakeSocket();
+            manager.handleConnection(socket);
+            manager.startKeepAlive();
+
+            jest.advanceTimersByTime(manager.limits.connectionTimeout);
+
+            expect(room.sockets.has(socket)).toBe(true);
+            expect(socket.destroy).not.toHaveBeenCalled();
+        });
+
+        it('should keep a peer that is silent because we paused it', () => {
+            const socket = new FakeSocket();
+            manager.handleConnection(socket);
+            manager.connections.get(socket).ingressTimer = setTimeout(() => {}, 60000);
+            manager.startKeepAlive();
+
+            jest.advanceTimersByTime(manager.limits.connectionTimeout + 4000);
+
+            expect(room.sockets.has(socket)).toBe(true);
+            expect(socket.destroy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('bans', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+        });
+
+        it('should list a failed room handshake ban and lift it on unban', () => {
+            const room = new Room({ roomId: 'ROOM-1', psk: sodium.randombytes_buf(32), network: manager, onMessage: jest.fn(), limits: manager.limits });
+            manager.rooms.set('ROOM-1', room);
+            const socket = new FakeSocket();
+            manager.handleConnection(socket);
+
+            // The peer answers our challenge with a proof for a different password
+            const remote = new PeerHandshake(sodium.randombytes_buf(32), socket.remotePublicKey, socket.publicKey);
+            const local = room.pendingVerifications.get(socket).handshake;
+            room.handleMessage(socket, remote.createChallenge());
+            room.handleMessage(socket, remote.handleChallenge(local.createChallenge()));
+
+            const key = Buffer.from(socket.remotePublicKey).toString('hex');
+            expect(manager.getBans()).toEqual([
+                expect.objectContaining({ key, roomId: 'ROOM-1', reason: 'invalid_proof', offences: 1 })
+            ]);
+            expect(manager.isRefused(socket.remotePublicKey)).toBe(true);
+
+            manager.unban(key);
+            expect(manager.getBans()).toEqual([]);
+            expect(manager.isRefused(socket.remotePublicKey)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Outbox } from '../nodejs-project/outbox.js';
+
+describe('Outbox', () => {
+    const limits = { offlineQueueLimit: 2, deliveryTimeout: 1000, maxDeliveryAttempts: 3 };
+    let write;
+    let outbox;
+    let delivered;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        write = jest.fn();
+        outbox = new Outbox({ write, limits });
+        delivered = jest.fn();
+        outbox.on('delivered', delivered);
+    });
+
+    afterEach(() => {
+        outbox.clear();
+        jest.useRealTimers();
+    });
+
+    it('should queue messages while no peer is available', () => {
+        outbox.submit({ id: 'm1' }, new Set());
+
+        expect(outbox.queue).toEqual([{ id: 'm1' }]);
+        expect(write).not.toHaveBeenCalled();
+    });
+
+    it('should enforce the offline queue limit', () => {
+        outbox.submit({ id: 'm1' }, new Set());
+        outbox.submit({ id: 'm2' }, new Set());
+
+        expect(() => outbox.submit({ id: 'm3' }, new Set())).toThrow(/queue full/);
+    });
+
+    it('should flush queued messages once a peer is available', () => {
+        const peer = {};
+        outbox.submit({ id: 'm1' }, new Set());
+        outbox.flush(new Set([peer]));
+
+        expect(outbox.queue).toHaveLength(0);
+        expect(write).toHaveBeenCalledWith(peer, { id: 'm1' });
+    });
+
+    it('should report delivery on the first ack', () => {
+        const peerA = {};
+        const peerB = {};
+        const ack = jest.fn();
+        outbox.on('ack', ack);
+
+        outbox.submit({ id: 'm1' }, new Set([peerA, peerB]));
+        outbox.handleAck('m1', peerA, 'aaaa');
+        outbox.handleAck('m1', peerB, 'bbbb');
+
+        expect(ack).toHaveBeenCalledTimes(2);
+        expect(delivered).toHaveBeenCalledTimes(1);
+        expect(delivered).toHaveBeenCalledWith({ messageId: 'm1', status: 'delivered' });
+        expect(outbox.inFlight.size).toBe(0);
+    });
+
+    it('should resend to peers that have not acked', () => {
+        const peerA = {};
+        const peerB = {};
+        outbox.submit({ id: 'm1' }, new Set([peerA, peerB]));
+        outbox.handleAck('m1', peerA, 'aaaa');
+        write.mockClear();
+
+        jest.advanceTimersByTime(limits.deliveryTimeout);
+
+        expect(write).toHaveBeenCalledTimes(1);
+        expect(write).toHaveBeenCalledWith(peerB, { id: 'm1' });
+    });
+
+    it('should fail after the maximum number of attempts', () => {
+        outbox.submit({ id: 'm1' }, new Set([{}]));
+
+        jest.advanceTimersByTime(limits.deliveryTimeout * limits.maxDeliveryAttempts);
+
+        expect(write).toHaveBeenCalledTimes(limits.maxDeliveryAttempts);
+        expect(delivered).toHaveBeenCalledWith({ messageId: 'm1', status: 'failed' });
+    });
+
+    it('should requeue messages when every recipient leaves before acking', () => {
+        const peer = {};
+        outbox.submit({ id: 'm1' }, new Set([peer]));
+        outbox.handlePeerGone(peer);
+
+        expect(outbox.queue).toEqual([{ id: 'm1' }]);
+        expect(outbox.inFlight.size).toBe(0);
+    });
+
+    it('should fail requeued messages that overflow the offline queue', () => {
+        const peer = {};
+        outbox.submit({ id: 'm1' }, new Set([peer]));
+        outbox.submit({ id: 'm2' }, new Set([peer]));
+        outbox.handlePeerGone(peer);
+        outbox.submit({ id: 'm3' }, new Set([peer]));
+        outbox.submit({ id: 'm4' }, new Set([peer]));
+        outbox.handlePeerGone(peer);
+
+        expect(outbox.queue).toEqual([{ id: 'm3' }, { id: 'm4' }]);
+        expect(delivered).toHaveBeenCalledWith({ messageId: 'm1', status: 'failed' });
+        expect(delivered).toHaveBeenCalledWith({ messageId: 'm2', status: 'failed' });
+    });
+
+    describe('with a file', () => {
+        let dir;
+        let file;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+            file = path.join(dir, 'outbox.json');
+            outbox = new Outbox({ write, limits, file });
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should keep unacknowledged messages for the next run', () => {
+            outbox.submit({ id: 'm1' }, new Set());
+            outbox.submit({ id: 'm2' }, new Set([{}]));
+            outbox.clear({ keepFile: true });
+
+            const restored = new Outbox({ write, limits, file });
+            restored.load();
+            expect(restored.queue).toEqual([{ id: 'm2' }, { id: 'm1' }]);
+        });
+
+        it('should forget messages once a peer acknowledged them', () => {
+            const peer = {};
+            outbox.submit({ id: 'm1' }, new Set([peer]));
+            outbox.handleAck('m1', peer, 'aaaa');
+
+            expect(fs.existsSync(file)).toBe(false);
+        });
+
+        it('should remove the file when cleared', () => {
+            outbox.submit({ id: 'm1' }, new Set());
+            outbox.clear();
+
+            expect(fs.existsSync(file)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+import { PADDING_SCHEMES, paddedLength, pad, unpad } from '../js/padding.js';
+import { paddedLength as backendPaddedLength } from '../nodejs-project/padding.js';
+
+// Every length up to 1MB, the range chat messages and most files fall in
+const MAX_LENGTH = 1024 * 1024;
+
+// How much each scheme leaks and what it costs over all lengths up to MAX_LENGTH
+function measure(scheme) {
+    const sizes = new Set();
+    let overhead = 0;
+    let worstOverhead = 0;
+    for (let length = 1; length <= MAX_LENGTH; length++) {
+        const padded = paddedLength(length, scheme);
+        sizes.add(padded);
+        overhead += padded - length;
+        worstOverhead = Math.max(worstOverhead, (padded - length) / length);
+    }
+    return {
+        leakedBits: Math.log2(sizes.size),
+        meanOverhead: overhead / MAX_LENGTH,
+        worstOverhead
+    };
+}
+
+describe('Padding schemes', () => {
+    const results = Object.fromEntries(PADDING_SCHEMES.map(scheme => [scheme, measure(scheme)]));
+
+    it('should pad to the documented sizes', () => {
+        expect([1, 256, 257, 100000].map(length => paddedLength(length, 'bucket')))
+            .toEqual([256, 256, 512, 100096]);
+        expect([1, 9, 1000, 1025, 100000].map(length => paddedLength(length, 'padme')))
+            .toEqual([1, 10, 1024, 1088, 100352]);
+        expect([1, 3, 1000, 100000].map(length => paddedLength(length, 'exponential')))
+            .toEqual([1, 4, 1024, 131072]);
+    });
+
+    it('should never pad below the original length', () => {
+        for (const scheme of PADDING_SCHEMES) {
+            for (const length of [0, 1, 2, 255, 256, 4097, 1234567]) {
+                expect(paddedLength(length, scheme)).toBeGreaterThanOrEqual(length);
+            }
+        }
+    });
+
+    it('should trade overhead for fewer distinguishable sizes', () => {
+        const { bucket, padme, exponential } = results;
+
+        // Bucket sizes show the length to within 256 bytes; powers of two
+        // only show its order of magnitude
+        expect(bucket.leakedBits).toBeGreaterThan(padme.leakedBits);
+        expect(padme.leakedBits).toBeGreaterThan(exponential.leakedBits);
+        expect(exponential.leakedBits).toBeLessThan(5);
+
+        expect(bucket.meanOverhead).toBeLessThan(padme.meanOverhead);
+        expect(padme.meanOverhead).toBeLessThan(exponential.meanOverhead);
+    });
+
+    it('should keep PADMÉ overhead within 12% of the length', () => {
+        expect(results.padme.worstOverhead).toBeLessThan(0.12);
+        expect(results.exponential.worstOverhead).toBeGreaterThan(0.99);
+    });
+
+    it('should match the backend implementation', () => {
+        for (const scheme of PADDING_SCHEMES) {
+            for (const length of [0, 1, 7, 300, 5000, 65537, 10 * 1024 * 1024]) {
+                expect(backendPaddedLength(length, scheme)).toBe(paddedLength(length, scheme));
+            }
+        }
+    });
+
+    it('should reject unknown schemes', () => {
+        expect(() => paddedLength(10, 'none')).toThrow('Unknown padding scheme');
+    });
+});
+
+describe('Plaintext padding', () => {
+    it('should round-trip data under every scheme', () => {
+        const data = Uint8Array.from('{"content":"hello"}', char => char.charCodeAt(0));
+        for (const scheme of PADDING_SCHEMES) {
+            const padded = pad(data, scheme);
+            expect(padded.length).toBe(paddedLength(data.length + 4, scheme));
+            expect(Array.from(unpad(padded))).toEqual(Array.from(data));
+        }
+    });
+
+    it('should reject a length prefix past the end', () => {
+        const padded = pad(new Uint8Array(10), 'bucket');
+        new DataView(padded.buffer).setUint32(0, padded.length);
+
+        expect(() => unpad(padded)).toThrow('length prefix exceeds');
+        expect(() => unpad(new Uint8Array(2))).toThrow('too short');
+    });
+});
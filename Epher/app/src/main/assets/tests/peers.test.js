@@ -0,0 +1,114 @@
+import '../js/peers.js';
+
+// The roster is created on DOMContentLoaded, like in the app
+function createRoster() {
+    document.body.innerHTML = `
+        <div id="peers-drawer"></div>
+        <button id="peers-btn"></button>
+        <div id="peers-list"></div>
+        <span id="peers-count"></span>
+        <span id="pairwise-connections"></span>
+    `;
+    window.dispatchEvent(new Event('DOMContentLoaded'));
+    return window.peerRoster;
+}
+
+function peer(peerId, verified = false, roomId = 'ROOM-1') {
+    return { roomId, peerId, verified, connectedAt: Date.now(), verifiedAt: verified ? Date.now() : null };
+}
+
+describe('PeerRoster', () => {
+    let roster;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        window.notifications = { info: jest.fn() };
+        roster = createRoster();
+    });
+
+    afterEach(() => {
+        roster.clear();
+        jest.useRealTimers();
+    });
+
+    it('should add joining peers and list them', () => {
+        roster.handleEvent({ event: 'peer-joined', peer: peer('aa') });
+        roster.handleEvent({ event: 'peer-joined', peer: peer('bb') });
+
+        expect(roster.peers.size).toBe(2);
+        const items = document.querySelectorAll('#peers-list mwc-list-item');
+        expect(items).toHaveLength(2);
+        expect(items[0].textContent).toContain('aa');
+        expect(items[0].textContent).toContain('Verifying');
+    });
+
+    it('should count only verified peers', () => {
+        roster.handleEvent({ event: 'peer-joined', peer: peer('aa') });
+        roster.handleEvent({ event: 'peer-joined', peer: peer('bb') });
+        expect(roster.verifiedCount).toBe(0);
+
+        roster.handleEvent({ event: 'peer-verified', peer: peer('aa', true) });
+
+        expect(roster.verifiedCount).toBe(1);
+        expect(document.getElementById('peers-count').label).toBe('1');
+        expect(document.getElementById('pairwise-connections').textContent).toBe('1 active');
+        expect(window.notifications.info).toHaveBeenCalledWith('Peer aa verified');
+    });
+
+    it('should drop peers that left', () => {
+        roster.handleEvent({ event: 'peer-verified', peer: peer('aa', true) });
+        roster.handleEvent({ event: 'peer-left', peer: peer('aa', true) });
+
+        expect(roster.peers.size).toBe(0);
+        expect(roster.verifiedCount).toBe(0);
+        expect(document.querySelectorAll('#peers-list mwc-list-item')).toHaveLength(0);
+    });
+
+    it('should track a peer in each of its rooms separately', () => {
+        roster.handleEvent({ event: 'peer-verified', peer: peer('aa', true, 'ROOM-1') });
+        roster.handleEvent({ event: 'peer-joined', peer: peer('aa', false, 'ROOM-2') });
+        expect(roster.peers.size).toBe(2);
+        expect(roster.verifiedCount).toBe(1);
+
+        roster.handleEvent({ event: 'peer-left', peer: peer('aa', false, 'ROOM-2') });
+
+        expect(roster.peers.size).toBe(1);
+        expect(roster.verifiedCount).toBe(1);
+        expect(document.querySelectorAll('#peers-list mwc-list-item')).toHaveLength(1);
+    });
+
+    it('should ignore unknown events', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        roster.handleEvent({ event: 'peer-renamed', peer: peer('aa') });
+
+        expect(roster.peers.size).toBe(0);
+        expect(warn).toHaveBeenCalledWith('Unknown peer event:', 'peer-renamed');
+        warn.mockRestore();
+    });
+
+    it('should refresh connection ages only while there are peers', () => {
+        expect(roster.refreshTimer).toBeNull();
+
+        roster.handleEvent({ event: 'peer-joined', peer: peer('aa') });
+        expect(roster.refreshTimer).not.toBeNull();
+        expect(document.querySelector('#peers-list [slot="secondary"]').textContent).toContain('Just now');
+
+        jest.advanceTimersByTime(120000);
+        expect(document.querySelector('#peers-list [slot="secondary"]').textContent).toContain('2m ago');
+
+        roster.handleEvent({ event: 'peer-left', peer: peer('aa') });
+        expect(roster.refreshTimer).toBeNull();
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('should stop refreshing once cleared', () => {
+        roster.handleEvent({ event: 'peer-joined', peer: peer('aa') });
+
+        roster.clear();
+
+        expect(roster.peers.size).toBe(0);
+        expect(roster.refreshTimer).toBeNull();
+        expect(jest.getTimerCount()).toBe(0);
+    });
+});
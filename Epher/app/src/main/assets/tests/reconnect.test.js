@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+import { ReconnectController } from '../nodejs-project/reconnect.js';
+
+const limits = {
+    reconnectAttempts: 4,
+    initialReconnectDelay: 1000,
+    maxReconnectDelay: 5000,
+    reconnectJitter: 0.2
+};
+
+describe('ReconnectController', () => {
+    let attempt;
+    let controller;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        // Math.random() of 0.5 means no jitter
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        attempt = jest.fn().mockResolvedValue();
+        controller = new ReconnectController({ attempt, limits });
+    });
+
+    afterEach(() => {
+        controller.stop();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    // Lets the timer fire and the attempt's promise settle
+    async function elapse(ms) {
+        jest.advanceTimersByTime(ms);
+        await Promise.resolve();
+        await Promise.resolve();
+    }
+
+    it('should double the delay after each attempt up to the cap', async () => {
+        const delays = [];
+        controller.on('scheduled', ({ delay }) => delays.push(delay));
+
+        controller.schedule();
+        await elapse(1000);
+        await elapse(2000);
+        await elapse(4000);
+
+        expect(attempt).toHaveBeenCalledTimes(3);
+        expect(delays).toEqual([1000, 2000, 4000, 5000]);
+    });
+
+    it('should spread delays by the configured jitter', () => {
+        Math.random.mockReturnValue(1);
+        expect(controller.nextDelay()).toBe(1200);
+        Math.random.mockReturnValue(0);
+        expect(controller.nextDelay()).toBe(800);
+    });
+
+    it('should give up after the attempt limit', async () => {
+        const failed = jest.fn();
+        controller.on('failed', failed);
+
+        controller.schedule();
+        for (const delay of [1000, 2000, 4000, 5000]) {
+            await elapse(delay);
+        }
+
+        expect(attempt).toHaveBeenCalledTimes(4);
+        expect(failed).toHaveBeenCalledWith({ attempts: 4 });
+        await elapse(60000);
+        expect(attempt).toHaveBeenCalledTimes(4);
+    });
+
+    it('should start over from the first delay after a reset', async () => {
+        controller.schedule();
+        await elapse(1000);
+        controller.reset();
+
+        const scheduled = jest.fn();
+        controller.on('scheduled', scheduled);
+        controller.schedule();
+        expect(scheduled).toHaveBeenCalledWith({ attempt: 1, maxAttempts: 4, delay: 1000 });
+    });
+
+    it('should keep going when an attempt throws', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        attempt.mockRejectedValueOnce(new Error('no route'));
+
+        controller.schedule();
+        await elapse(1000);
+        await elapse(2000);
+
+        expect(attempt).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,287 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sodium from 'libsodium-wrappers';
+import { Room } from '../nodejs-project/room.js';
+import { BanList } from '../nodejs-project/bans.js';
+import { getNetworkLimits } from '../js/config/security.js';
+
+// Two ends of one connection, each seen from its own side
+function createSocketPair() {
+    const keyA = sodium.randombytes_buf(32);
+    const keyB = sodium.randombytes_buf(32);
+    return [
+        { publicKey: keyA, remotePublicKey: keyB },
+        { publicKey: keyB, remotePublicKey: keyA }
+    ];
+}
+
+// Frames in flight on the fake connection, delivered in order and never
+// from inside another frame's handler, as a real stream would
+const wire = [];
+let draining = false;
+
+function transmit(deliver) {
+    wire.push(deliver);
+    if (draining) return;
+    draining = true;
+    while (wire.length > 0) {
+        wire.shift()();
+    }
+    draining = false;
+}
+
+// Stands in for NetworkManager: routes frames to whichever room on the
+// other side carries the frame's handle, like the real connection would
+function createNetwork(name) {
+    const network = {
+        rooms: [],
+        peer: null,
+        frames: [],
+        writeMessage(socket, message) {
+            const frame = JSON.parse(JSON.stringify(message));
+            network.frames.push(frame);
+            transmit(() => {
+                const room = network.peer.rooms.find(r => r.handle === frame.room);
+                if (room) room.handleMessage(socket.other, frame);
+            });
+        },
+        sendToPeer(socket, message) {
+            network.writeMessage(socket, message);
+        },
+        getPeerId: () => name,
+        getConnectedAt: () => 0,
+        addJitter: timestamp => timestamp,
+        releaseSocket: jest.fn(),
+        reportOffence: jest.fn(),
+        bans: new BanList()
+    };
+    return network;
+}
+
+function createRoom(network, roomId, psk, onMessage = jest.fn(), identity = null) {
+    const room = new Room({ roomId, psk, network, onMessage, identity, limits: getNetworkLimits() });
+    network.rooms.push(room);
+    return room;
+}
+
+describe('Room', () => {
+    let networkA;
+    let networkB;
+    let socketA;
+    let socketB;
+
+    beforeAll(async () => {
+        await sodium.ready;
+    });
+
+    beforeEach(() => {
+        networkA = createNetwork('a');
+        networkB = createNetwork('b');
+        networkA.peer = networkB;
+        networkB.peer = networkA;
+        [socketA, socketB] = createSocketPair();
+        socketA.other = socketB;
+        socketB.other = socketA;
+    });
+
+    afterEach(() => {
+        for (const room of [...networkA.rooms, ...networkB.rooms]) {
+            room.close();
+        }
+    });
+
+    it('should verify peers that share the room PSK', () => {
+        const psk = sodium.randombytes_buf(32);
+        const roomA = createRoom(networkA, 'ROOM-1', psk);
+        const roomB = createRoom(networkB, 'ROOM-1', psk);
+
+        roomA.addPeer(socketA);
+        roomB.addPeer(socketB);
+
+        expect(roomA.sockets.has(socketA)).toBe(true);
+        expect(roomB.sockets.has(socketB)).toBe(true);
+    });
+
+    it('should report verification state per peer', () => {
+        const psk = sodium.randombytes_buf(32);
+        const roomA = createRoom(networkA, 'ROOM-1', psk);
+        const roomB = createRoom(networkB, 'ROOM-1', psk);
+        expect(roomA.getPeerStats(socketA)).toBeNull();
+
+        roomA.addPeer(socketA);
+        roomB.addPeer(socketB);
+        const stats = roomA.getPeerStats(socketA);
+        expect(stats.verified).toBe(true);
+        expect(stats.verificationTime).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should drop a peer as soon as it announces leaving', () => {
+        const psk = sodium.randombytes_buf(32);
+        const roomA = createRoom(networkA, 'ROOM-1', psk);
+        const roomB = createRoom(networkB, 'ROOM-1', psk);
+        roomA.addPeer(socketA);
+        roomB.addPeer(socketB);
+        const left = jest.fn();
+        roomB.on('peer-left', left);
+
+        roomA.announceLeave();
+
+        expect(roomB.hasPeer(socketB)).toBe(false);
+        expect(left).toHaveBeenCalledWith(expect.objectContaining({ peerId: 'b', verified: true }));
+    });
+
+    it('should ignore a leave that does not carry a valid proof', () => {
+        const psk = sodium.randombytes_buf(32);
+        const roomA = createRoom(networkA, 'ROOM-1', psk);
+        const roomB = createRoom(networkB, 'ROOM-1', psk);
+        roomA.addPeer(socketA);
+        roomB.addPeer(socketB);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        roomB.handleMessage(socketB, { type: 'leave', version: 1, proof: Array(32).fill(0) });
+
+        expect(roomB.hasPeer(socketB)).toBe(true);
+        console.warn.mockRestore();
+    });
+
+    it('should tag every frame with the room handle', () => {
+        const psk = sodium.randombytes_buf(32);
+        const roomA = createRoom(networkA, 'ROOM-1', psk);
+        const roomB = createRoom(networkB, 'ROOM-1', psk);
+        roomA.addPeer(socketA);
+        roomB.addPeer(socketB);
+
+        roomA.sendMessage({ text: 'hi' });
+
+        expect(networkA.frames.length).toBeGreaterThan(0);
+        expect(networkA.frames.every(frame => frame.room === roomA.handle)).toBe(true);
+    });
+
+    it('should send messages a previous run left undelivered', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'room-'));
+        try {
+            const psk = sodium.randombytes_buf(32);
+            const before = new Room({ roomId: 'ROOM-1', psk, network: networkA, onMessage: jest.fn(), limits: getNetworkLimits(), dataDir: dir });
+            const messageId = before.sendMessage({ text: 'written offline' });
+            before.close({ keepOutbox: true });
+
+            const roomA = new Room({ roomId: 'ROOM-1', psk, network: networkA, onMessage: jest.fn(), limits: getNetworkLimits(), dataDir: dir });
+            networkA.rooms.push(roomA);
+            const received = jest.fn();
+            const roomB = createRoom(networkB, 'ROOM-1', psk, received);
+            const delivered = jest.fn();
+            roomA.on('delivered', delivered);
+            roomA.addPeer(socketA);
+            roomB.addPeer(socketB);
+
+            expect(received).toHaveBeenCalledWith({ text: 'written offline' });
+            expect(delivered).toHaveBeenCalledWith({ messageId, status: 'delivered' });
+
+            roomA.close();
+            expect(fs.readdirSync(dir)).toEqual([]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should keep rooms on a shared connection apart', () => {
+        const pskOne = sodium.randombytes_buf(32);
+        const pskTwo = sodium.randombytes_buf(32);
+        const receivedOne = jest.fn();
+        const receivedTwo = jest.fn();
+        const oneA = createRoom(networkA, 'ROOM-1', pskOne);
+        const twoA = createRoom(networkA, 'ROOM-2', pskTwo);
+        const oneB = createRoom(networkB, 'ROOM-1', pskOne, receivedOne);
+        const twoB = createRoom(networkB, 'ROOM-2', pskTwo, receivedTwo);
+        for (const room of [oneA, twoA]) room.addPeer(socketA);
+        for (const room of [oneB, twoB]) room.addPeer(socketB);
+
+        oneA.sendMessage({ text: 'for room one' });
+
+        expect(receivedOne).toHaveBeenCalledWith({ text: 'for room one' });
+        expect(receivedTwo).not.toHaveBeenCalled();
+    });
+
+    it('should reject and ban from the room a peer with a different PSK for it', () => {
+        const roomA = createRoom(networkA, 'ROOM-1', sodium.randombytes_buf(32));
+        const roomB = createRoom(networkB, 'ROOM-1', sodium.randombytes_buf(32));
+
+        roomA.addPeer(socketA);
+        roomB.addPeer(socketB);
+
+        expect(roomA.hasPeer(socketA)).toBe(false);
+        expect(roomB.hasPeer(socketB)).toBe(false);
+        expect(networkA.bans.isBanned(socketA.remotePublicKey, roomA.handle)).toBe(true);
+        expect(networkA.bans.isBanned(socketA.remotePublicKey)).toBe(false);
+        expect(networkA.releaseSocket).toHaveBeenCalledWith(socketA);
+        expect(networkA.reportOffence).not.toHaveBeenCalled();
+
+        roomA.addPeer(socketA);
+        expect(roomA.hasPeer(socketA)).toBe(false);
+    });
+
+    it('should keep verifying a peer in the rooms it shares after failing another', () => {
+        const psk = sodium.randombytes_buf(32);
+        const sharedA = createRoom(networkA, 'ROOM-1', psk);
+        const wrongA = createRoom(networkA, 'ROOM-2', sodium.randombytes_buf(32));
+        const sharedB = createRoom(networkB, 'ROOM-1', psk);
+        const wrongB = createRoom(networkB, 'ROOM-2', sodium.randombytes_buf(32));
+        for (const room of [sharedA, wrongA]) room.addPeer(socketA);
+        for (const room of [sharedB, wrongB]) room.addPeer(socketB);
+
+        expect(wrongA.hasPeer(socketA)).toBe(false);
+        expect(sharedA.sockets.has(socketA)).toBe(true);
+        expect(sharedB.sockets.has(socketB)).toBe(true);
+        expect(networkA.reportOffence).not.toHaveBeenCalled();
+    });
+
+    it('should only pass history to a peer it was sealed for', () => {
+        const psk = sodium.randombytes_buf(32);
+        const roomA = createRoom(networkA, 'ROOM-1', psk);
+        const onMessage = jest.fn();
+        const roomB = createRoom(networkB, 'ROOM-1', psk, onMessage, 'bob');
+        const stored = (id, recipients) => ({ type: 'message', id, timestamp: Date.now(), data: { type: 'message', recipients } });
+        roomA.history.add(stored('m1', { bob: {}, carol: {} }));
+        roomA.history.add(stored('m2', { carol: {} }));
+
+        roomA.addPeer(socketA);
+        roomB.addPeer(socketB);
+
+        expect(onMessage).toHaveBeenCalledTimes(1);
+        expect(onMessage).toHaveBeenCalledWith({ type: 'message', recipients: { bob: {}, carol: {} } });
+    });
+
+    it('should pass all history to a peer that names no identity', () => {
+        const psk = sodium.randombytes_buf(32);
+        const roomA = createRoom(networkA, 'ROOM-1', psk);
+        const onMessage = jest.fn();
+        const roomB = createRoom(networkB, 'ROOM-1', psk, onMessage);
+        roomA.history.add({ type: 'message', id: 'm1', timestamp: Date.now(), data: { text: 'plain' } });
+
+        roomA.addPeer(socketA);
+        roomB.addPeer(socketB);
+
+        expect(onMessage).toHaveBeenCalledWith({ text: 'plain' });
+    });
+
+    it('should drop a peer that never answers without reporting it', () => {
+        jest.useFakeTimers();
+        try {
+            const room = createRoom(networkA, 'ROOM-1', sodium.randombytes_buf(32));
+            networkB.rooms = []; // the peer isn't in the room
+
+            room.addPeer(socketA);
+            jest.advanceTimersByTime(10000);
+
+            expect(room.hasPeer(socketA)).toBe(false);
+            expect(networkA.releaseSocket).toHaveBeenCalledWith(socketA);
+            expect(networkA.reportOffence).not.toHaveBeenCalled();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import { PassThrough } from 'stream';
+import { PROTOCOL_VERSION, ERROR_CODES, LineDecoder, RpcServer } from '../nodejs-project/rpc.js';
+import { RpcClient } from '../nodejs-project/rpc-client.js';
+
+describe('Line Decoder', () => {
+    it('should reassemble lines split and merged across chunks', () => {
+        const decoder = new LineDecoder();
+        const lines = [
+            ...decoder.push('{"a":1}\n{"b"'),
+            ...decoder.push(':2}\n\n{"c":3}'),
+            ...decoder.push('\n')
+        ];
+
+        expect(lines).toEqual(['{"a":1}', '{"b":2}', '{"c":3}']);
+    });
+
+    it('should keep multi-byte characters split across chunks intact', () => {
+        const decoder = new LineDecoder();
+        const bytes = Buffer.from('"PADMÉ"\n');
+        const split = bytes.indexOf(0xc3) + 1;
+
+        expect(decoder.push(bytes.subarray(0, split))).toEqual([]);
+        expect(decoder.push(bytes.subarray(split))).toEqual(['"PADMÉ"']);
+    });
+
+    it('should reject lines over the limit', () => {
+        const decoder = new LineDecoder(8);
+        decoder.push('1234');
+
+        expect(() => decoder.push('56789')).toThrow('exceeds limit');
+        expect(decoder.push('{}\n')).toEqual(['{}']);
+    });
+});
+
+describe('RPC protocol', () => {
+    let server;
+    let client;
+    let methods;
+    let toServer;
+    let toClient;
+
+    beforeEach(() => {
+        toServer = new PassThrough();
+        toClient = new PassThrough();
+        methods = {
+            echo: jest.fn(async (params) => params),
+            fail: jest.fn(async () => {
+                throw new Error('Not in this room');
+            })
+        };
+        server = new RpcServer({ input: toServer, output: toClient, methods });
+        client = new RpcClient({ input: toClient, output: toServer });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should complete the version handshake', async () => {
+        const ready = jest.fn();
+        server.on('ready', ready);
+
+        const result = await client.connect();
+
+        expect(result).toEqual({ version: PROTOCOL_VERSION, methods: ['echo', 'fail'] });
+        expect(ready).toHaveBeenCalled();
+    });
+
+    it('should refuse a version it does not speak', async () => {
+        await expect(client.connect(PROTOCOL_VERSION + 1)).rejects.toMatchObject({
+            code: ERROR_CODES.UNSUPPORTED_VERSION,
+            data: { supported: [PROTOCOL_VERSION] }
+        });
+        await expect(client.call('echo')).rejects.toMatchObject({ code: ERROR_CODES.HANDSHAKE_REQUIRED });
+        expect(methods.echo).not.toHaveBeenCalled();
+    });
+
+    it('should answer each request by its id', async () => {
+        await client.connect();
+
+        const results = await Promise.all([
+            client.call('echo', { n: 1 }),
+            client.call('echo', { n: 2 })
+        ]);
+
+        expect(results).toEqual([{ n: 1 }, { n: 2 }]);
+    });
+
+    it('should return error objects for failed and unknown methods', async () => {
+        await client.connect();
+
+        await expect(client.call('fail')).rejects.toMatchObject({
+            name: 'RpcError',
+            code: ERROR_CODES.REQUEST_FAILED,
+            message: 'Not in this room'
+        });
+        await expect(client.call('launch')).rejects.toMatchObject({ code: ERROR_CODES.METHOD_NOT_FOUND });
+    });
+
+    it('should deliver notifications only after the handshake', async () => {
+        const notifications = [];
+        client.on('notification', (method, params) => notifications.push([method, params]));
+
+        server.notify('peer', { event: 'peer-joined' });
+        await client.connect();
+        server.notify('message', { room: 'R', data: { text: 'hi' } });
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(notifications).toEqual([['message', { room: 'R', data: { text: 'hi' } }]]);
+    });
+
+    it('should report failed client notifications as error notifications', async () => {
+        await client.connect();
+        const notification = new Promise(resolve => client.on('notification', (...args) => resolve(args)));
+
+        client.notify('fail');
+
+        expect(await notification).toEqual([
+            'error',
+            { method: 'fail', code: ERROR_CODES.REQUEST_FAILED, message: 'Not in this room' }
+        ]);
+    });
+
+    it('should answer unparseable lines with a parse error', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const responses = [];
+        toClient.on('data', (chunk) => {
+            responses.push(...String(chunk).split('\n').filter(Boolean).map(line => JSON.parse(line)));
+        });
+
+        toServer.write('{"jsonrpc":"2.0",\n');
+        toServer.write('{"id":7,"method":"echo"}\n');
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(responses).toEqual([
+            expect.objectContaining({ id: null, error: expect.objectContaining({ code: ERROR_CODES.PARSE_ERROR }) }),
+            expect.objectContaining({ id: 7, error: expect.objectContaining({ code: ERROR_CODES.INVALID_REQUEST }) })
+        ]);
+    });
+
+    it('should only accept a hello with the right token when it has one', async () => {
+        const input = new PassThrough();
+        const output = new PassThrough();
+        new RpcServer({ input, output, methods, token: 'a'.repeat(32) });
+        client = new RpcClient({ input: output, output: input });
+
+        await expect(client.connect(PROTOCOL_VERSION, 'b'.repeat(32))).rejects.toMatchObject({
+            code: ERROR_CODES.UNAUTHORIZED
+        });
+        await expect(client.connect()).rejects.toMatchObject({ code: ERROR_CODES.UNAUTHORIZED });
+        await expect(client.connect(PROTOCOL_VERSION, 'a'.repeat(32))).resolves.toMatchObject({
+            version: PROTOCOL_VERSION
+        });
+    });
+
+    it('should reject pending calls when the connection closes', async () => {
+        await client.connect();
+        methods.echo.mockReturnValue(new Promise(() => {}));
+
+        const call = client.call('echo');
+        toClient.end();
+
+        await expect(call).rejects.toThrow('Connection closed');
+    });
+});
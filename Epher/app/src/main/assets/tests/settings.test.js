@@ -0,0 +1,76 @@
+import '../js/settings.js';
+
+// Settings is created on DOMContentLoaded, like in the app
+function createSettings() {
+    document.body.innerHTML = `
+        <div id="settings-modal"></div>
+        <button id="settings-btn"></button>
+        <button id="theme-toggle"></button>
+        <input id="packet-shaping-switch" type="checkbox">
+        <select id="packet-shaping-rate"><option value="2">2</option></select>
+        <select id="padding-scheme"><option value="padme">padme</option></select>
+        <input id="timestamp-jitter-switch" type="checkbox">
+        <input id="keep-alive-switch" type="checkbox">
+        <input id="forward-secrecy-switch" type="checkbox">
+        <input id="deniable-messages-switch" type="checkbox">
+        <input id="screenshot-prevention-switch" type="checkbox">
+        <mwc-radio name="transport" value="direct"></mwc-radio>
+        <mwc-radio name="transport" value="socks5"></mwc-radio>
+        <input id="socks-proxy-input">
+        <input id="transport-peers-input">
+        <input id="bootstrap-input">
+        <input id="local-testnet-switch" type="checkbox">
+    `;
+    // Plain elements stand in for the Material components' properties
+    document.querySelectorAll('mwc-radio').forEach(radio => {
+        radio.value = radio.getAttribute('value');
+    });
+    window.dispatchEvent(new Event('DOMContentLoaded'));
+    return window.settings;
+}
+
+describe('Settings proxy address', () => {
+    let settings;
+
+    beforeEach(() => {
+        localStorage.clear();
+        settings = createSettings();
+    });
+
+    it('should read host and port', () => {
+        expect(settings.parseProxyAddress('10.0.0.1:1080')).toEqual({ host: '10.0.0.1', port: 1080 });
+        expect(settings.parseProxyAddress('[::1]:9150')).toEqual({ host: '::1', port: 9150 });
+    });
+
+    it('should fall back to port 9050 when none is given', () => {
+        expect(settings.parseProxyAddress('127.0.0.1')).toEqual({ host: '127.0.0.1', port: 9050 });
+        expect(settings.parseProxyAddress('[::1]')).toEqual({ host: '::1', port: 9050 });
+        expect(settings.parseProxyAddress('')).toEqual({ host: '127.0.0.1', port: 9050 });
+    });
+
+    it('should reject malformed addresses', () => {
+        for (const address of ['::1', 'host:', 'host:port', 'host:70000', '[::1', 'two words:80']) {
+            expect(settings.parseProxyAddress(address)).toBeNull();
+        }
+    });
+
+    it('should flag a malformed address and keep the last good one', () => {
+        const changed = jest.fn();
+        window.addEventListener('transport-changed', changed);
+        const input = document.getElementById('socks-proxy-input');
+        document.querySelectorAll('mwc-radio').forEach(radio => {
+            radio.checked = radio.value === 'socks5';
+        });
+
+        input.value = '10.0.0.1:1080';
+        input.dispatchEvent(new Event('change'));
+        input.value = '10.0.0.1:';
+        input.dispatchEvent(new Event('change'));
+
+        expect(input.validationMessage).not.toBe('');
+        expect(changed).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(localStorage.getItem('transport-options')).proxy).toBe('10.0.0.1:1080');
+        expect(settings.getTransportSettings().options).toMatchObject({ proxyHost: '10.0.0.1', proxyPort: 1080 });
+        window.removeEventListener('transport-changed', changed);
+    });
+});
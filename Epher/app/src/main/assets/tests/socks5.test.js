@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+import net from 'net';
+import { Buffer } from 'buffer';
+import { connectSocks5, parseAddress } from '../nodejs-project/socks5.js';
+
+// Minimal SOCKS5 proxy that records the CONNECT request and then echoes
+function startProxy({ method = 0x00, reply = 0x00 } = {}) {
+    const requests = [];
+    const server = net.createServer((socket) => {
+        let stage = 'greeting';
+        socket.on('data', (data) => {
+            if (stage === 'greeting') {
+                stage = method === 0x02 ? 'auth' : 'connect';
+                socket.write(Buffer.from([0x05, method]));
+            } else if (stage === 'auth') {
+                requests.push({ auth: data });
+                stage = 'connect';
+                socket.write(Buffer.from([0x01, 0x00]));
+            } else if (stage === 'connect') {
+                requests.push({ connect: data });
+                stage = 'open';
+                // Reply split in two to exercise partial reads
+                socket.write(Buffer.from([0x05, reply, 0x00, 0x01, 127, 0]));
+                socket.write(Buffer.from([0, 1, 0x1f, 0x90]));
+            } else {
+                socket.write(data);
+            }
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port }));
+    });
+}
+
+describe('SOCKS5 client', () => {
+    let proxy;
+
+    afterEach(() => {
+        proxy.server.close();
+    });
+
+    it('should connect to a hostname through the proxy', async () => {
+        proxy = await startProxy();
+        const socket = await connectSocks5({
+            proxyHost: '127.0.0.1',
+            proxyPort: proxy.port,
+            host: 'example.onion',
+            port: 7319
+        });
+
+        const request = proxy.requests[0].connect;
+        expect([...request.subarray(0, 5)]).toEqual([0x05, 0x01, 0x00, 0x03, 'example.onion'.length]);
+        expect(request.subarray(5, -2).toString()).toBe('example.onion');
+        expect(request.readUInt16BE(request.length - 2)).toBe(7319);
+
+        const echoed = new Promise(resolve => socket.once('data', resolve));
+        socket.write('hello');
+        expect((await echoed).toString()).toBe('hello');
+        socket.destroy();
+    });
+
+    it('should encode IPv6 peer addresses', async () => {
+        proxy = await startProxy();
+        const socket = await connectSocks5({
+            proxyHost: '127.0.0.1',
+            proxyPort: proxy.port,
+            host: '200:1::2',
+            port: 80
+        });
+
+        const request = proxy.requests[0].connect;
+        expect(request[3]).toBe(0x04);
+        expect(request.subarray(4, 20).toString('hex')).toBe('02000001000000000000000000000002');
+        socket.destroy();
+    });
+
+    it('should authenticate with a username and password', async () => {
+        proxy = await startProxy({ method: 0x02 });
+        const socket = await connectSocks5({
+            proxyHost: '127.0.0.1',
+            proxyPort: proxy.port,
+            host: 'example.onion',
+            port: 80,
+            username: 'room',
+            password: 'secret'
+        });
+
+        expect(proxy.requests[0].auth.toString()).toBe('\x01\x04room\x06secret');
+        socket.destroy();
+    });
+
+    it('should reject when the proxy refuses the connection', async () => {
+        proxy = await startProxy({ reply: 0x05 });
+
+        await expect(connectSocks5({
+            proxyHost: '127.0.0.1',
+            proxyPort: proxy.port,
+            host: 'example.onion',
+            port: 80
+        })).rejects.toThrow('connection refused');
+    });
+});
+
+describe('parseAddress', () => {
+    it('should parse hostnames and bracketed IPv6 addresses', () => {
+        expect(parseAddress('example.onion:80')).toEqual({ host: 'example.onion', port: 80 });
+        expect(parseAddress('[200:1::2]:7319')).toEqual({ host: '200:1::2', port: 7319 });
+    });
+
+    it('should reject addresses without a valid port', () => {
+        expect(() => parseAddress('example.onion')).toThrow('Invalid address');
+        expect(() => parseAddress('example.onion:70000')).toThrow('Invalid address');
+    });
+});
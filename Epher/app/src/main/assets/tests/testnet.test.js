@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+import dgram from 'dgram';
+
+const mockCreateTestnet = jest.fn();
+jest.mock('hyperdht/testnet', () => mockCreateTestnet, { virtual: true });
+
+const { ensureLocalTestnet, stopLocalTestnet } = require('../nodejs-project/testnet.js');
+
+// A port that was free a moment ago
+function freePort() {
+    return new Promise((resolve) => {
+        const socket = dgram.createSocket('udp4');
+        socket.bind(0, '127.0.0.1', () => {
+            const { port } = socket.address();
+            socket.close(() => resolve(port));
+        });
+    });
+}
+
+function fakeTestnet(port) {
+    return { bootstrap: [{ host: '127.0.0.1', port }], destroy: jest.fn().mockResolvedValue() };
+}
+
+describe('Local testnet', () => {
+    beforeEach(() => {
+        mockCreateTestnet.mockReset();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await stopLocalTestnet();
+        jest.restoreAllMocks();
+    });
+
+    it('should host the testnet when the bootstrap port is free', async () => {
+        const port = await freePort();
+        const testnet = fakeTestnet(port);
+        mockCreateTestnet.mockResolvedValue(testnet);
+
+        expect(await ensureLocalTestnet(port)).toEqual([{ host: '127.0.0.1', port }]);
+        expect(mockCreateTestnet).toHaveBeenCalledWith(expect.any(Number), { host: '127.0.0.1', port });
+
+        await stopLocalTestnet();
+        expect(testnet.destroy).toHaveBeenCalled();
+    });
+
+    it('should join the testnet of whoever holds the bootstrap port', async () => {
+        const holder = dgram.createSocket('udp4');
+        await new Promise(resolve => holder.bind(0, '127.0.0.1', resolve));
+        const { port } = holder.address();
+        try {
+            expect(await ensureLocalTestnet(port)).toEqual([{ host: '127.0.0.1', port }]);
+            expect(mockCreateTestnet).not.toHaveBeenCalled();
+        } finally {
+            await new Promise(resolve => holder.close(resolve));
+        }
+    });
+
+    it('should join rather than host on another port after losing a race for it', async () => {
+        const port = await freePort();
+        const testnet = fakeTestnet(port + 1);
+        mockCreateTestnet.mockResolvedValue(testnet);
+
+        expect(await ensureLocalTestnet(port)).toEqual([{ host: '127.0.0.1', port }]);
+        expect(testnet.destroy).toHaveBeenCalled();
+
+        // Nothing hosted, so the next call looks again
+        mockCreateTestnet.mockResolvedValue(fakeTestnet(port));
+        await ensureLocalTestnet(port);
+        expect(mockCreateTestnet).toHaveBeenCalledTimes(2);
+    });
+});
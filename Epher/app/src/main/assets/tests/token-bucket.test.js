@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+import { TokenBucket } from '../nodejs-project/token-bucket.js';
+
+describe('TokenBucket', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should allow a burst up to its capacity', () => {
+        const bucket = new TokenBucket(1000);
+
+        expect(bucket.tryTake(600)).toBe(true);
+        expect(bucket.tryTake(400)).toBe(true);
+        expect(bucket.tryTake(1)).toBe(false);
+    });
+
+    it('should refill at its rate', () => {
+        const bucket = new TokenBucket(1000);
+        bucket.take(1000);
+
+        expect(bucket.waitTime(500)).toBe(500);
+        jest.advanceTimersByTime(500);
+        expect(bucket.tryTake(500)).toBe(true);
+    });
+
+    it('should not refill beyond its capacity', () => {
+        const bucket = new TokenBucket(1000);
+        jest.advanceTimersByTime(10000);
+
+        expect(bucket.tryTake(1000)).toBe(true);
+        expect(bucket.tryTake(1)).toBe(false);
+    });
+
+    it('should let an oversized take through once full and then wait off the debt', () => {
+        const bucket = new TokenBucket(1000);
+
+        expect(bucket.tryTake(3000)).toBe(true);
+        expect(bucket.waitTime(0)).toBe(2000);
+        expect(bucket.waitTime(1000)).toBe(3000);
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import { EventEmitter } from 'events';
+import net from 'net';
+
+// Stands in for Hyperswarm, which joins a topic once and hands out a
+// PeerDiscovery for it
+class MockSwarm extends EventEmitter {
+    constructor() {
+        super();
+        this.discoveries = [];
+        mockSwarms.push(this);
+    }
+
+    join(topic, options) {
+        const discovery = {
+            topic,
+            options,
+            flushed: jest.fn().mockResolvedValue(),
+            refresh: jest.fn().mockResolvedValue()
+        };
+        this.discoveries.push(discovery);
+        return discovery;
+    }
+
+    leave() {
+        return Promise.resolve();
+    }
+
+    flush() {
+        return Promise.resolve();
+    }
+
+    destroy() {
+        return Promise.resolve();
+    }
+}
+
+// Stands in for NoiseSecretStream; tests emit 'connect' to finish the
+// handshake
+class MockSecretStream extends EventEmitter {
+    constructor() {
+        super();
+        this.remotePublicKey = Buffer.alloc(32, 9);
+    }
+
+    static keyPair() {
+        return {};
+    }
+
+    destroy() {
+        this.emit('close');
+    }
+}
+
+const mockSwarms = [];
+jest.mock('hyperswarm', () => MockSwarm, { virtual: true });
+jest.mock('@hyperswarm/secret-stream', () => MockSecretStream, { virtual: true });
+
+jest.mock('../nodejs-project/socks5', () => ({
+    ...jest.requireActual('../nodejs-project/socks5'),
+    connectSocks5: jest.fn().mockRejectedValue(new Error('proxy unreachable'))
+}));
+
+const { createTransport } = require('../nodejs-project/transports.js');
+const { connectSocks5 } = require('../nodejs-project/socks5');
+
+describe('DirectTransport', () => {
+    it('should refresh the discovery of every joined topic on reconnect', async () => {
+        const transport = createTransport('direct', {});
+        const swarm = mockSwarms[mockSwarms.length - 1];
+        await transport.join(Buffer.alloc(32, 1));
+        await transport.join(Buffer.alloc(32, 2));
+        jest.spyOn(swarm, 'flush');
+
+        await transport.reconnect();
+        await transport.reconnect();
+
+        // One session per topic, refreshed rather than joined again
+        expect(swarm.discoveries).toHaveLength(2);
+        for (const discovery of swarm.discoveries) {
+            expect(discovery.refresh).toHaveBeenCalledTimes(2);
+        }
+        expect(swarm.flush).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop refreshing topics it left', async () => {
+        const transport = createTransport('direct', {});
+        const swarm = mockSwarms[mockSwarms.length - 1];
+        const topic = Buffer.alloc(32, 1);
+        await transport.join(topic);
+        await transport.join(topic);
+        expect(swarm.discoveries).toHaveLength(1);
+
+        await transport.leave(topic);
+        await transport.reconnect();
+        expect(swarm.discoveries[0].refresh).not.toHaveBeenCalled();
+    });
+});
+
+describe('Socks5Transport', () => {
+    let transport;
+
+    // A TCP port that was free a moment ago
+    function freePort() {
+        return new Promise((resolve) => {
+            const server = net.createServer().listen(0, '127.0.0.1', () => {
+                const { port } = server.address();
+                server.close(() => resolve(port));
+            });
+        });
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        transport.destroy();
+        jest.restoreAllMocks();
+    });
+
+    it('should keep listening and redialing until the last room is left', async () => {
+        transport = createTransport('socks5', {
+            proxyPort: 9050,
+            listenPort: await freePort(),
+            peers: ['127.0.0.1:7000']
+        });
+        const first = Buffer.alloc(32, 1);
+        const second = Buffer.alloc(32, 2);
+        transport.join(first);
+        transport.join(second);
+        // The proxy refuses, so the peer is up for a redial
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(transport.server).not.toBeNull();
+        expect(transport.redialTimers.size).toBe(1);
+
+        transport.leave(first);
+        expect(transport.joined).toBe(true);
+        expect(transport.server.listening).toBe(true);
+        expect(transport.redialTimers.size).toBe(1);
+
+        transport.leave(second);
+        expect(transport.joined).toBe(false);
+        expect(transport.server).toBeNull();
+        expect(transport.redialTimers.size).toBe(0);
+    });
+
+    it('should not redial a peer the firewall refuses', async () => {
+        let banned = true;
+        connectSocks5.mockClear();
+        connectSocks5.mockResolvedValueOnce({});
+        transport = createTransport('socks5', {
+            proxyPort: 9050,
+            peers: ['127.0.0.1:7000'],
+            firewall: () => banned
+        });
+        transport.join(Buffer.alloc(32, 1));
+        await new Promise(resolve => setTimeout(resolve, 0));
+        transport.connected.get('127.0.0.1:7000').emit('connect');
+
+        expect(transport.connected.size).toBe(0);
+        expect(transport.redialTimers.size).toBe(0);
+
+        transport.reconnect();
+        expect(connectSocks5).toHaveBeenCalledTimes(1);
+
+        // Dialed again once the ban is over
+        banned = false;
+        transport.reconnect();
+        expect(connectSocks5).toHaveBeenCalledTimes(2);
+    });
+});
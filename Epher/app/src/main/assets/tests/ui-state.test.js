@@ -0,0 +1,87 @@
+import '../js/ui-state.js';
+
+// The manager is created on DOMContentLoaded, like in the app
+function createUIState() {
+    document.body.innerHTML = `
+        <div id="loading-indicator" class="hidden"></div>
+        <span id="connection-status"></span>
+        <div class="room-actions hidden"></div>
+    `;
+    window.dispatchEvent(new Event('DOMContentLoaded'));
+    return window.uiState;
+}
+
+function shown() {
+    const status = document.getElementById('connection-status');
+    return {
+        label: status.label,
+        icon: status.icon,
+        roomActions: !document.querySelector('.room-actions').classList.contains('hidden')
+    };
+}
+
+describe('UIStateManager connection state', () => {
+    let uiState;
+
+    beforeEach(() => {
+        uiState = createUIState();
+    });
+
+    it('should follow a room from starting to connected', () => {
+        uiState.updateConnectionState({ state: 'starting' });
+        expect(shown()).toEqual({ label: 'Starting', icon: 'hourglass_empty', roomActions: true });
+
+        uiState.updateConnectionState({ state: 'joining' });
+        expect(shown()).toEqual({ label: 'Joining', icon: 'sync', roomActions: true });
+
+        uiState.updateConnectionState({ state: 'announcing' });
+        expect(shown()).toEqual({ label: 'Waiting for peers', icon: 'wifi_tethering', roomActions: true });
+
+        uiState.updateConnectionState({ state: 'connected', peers: 1 });
+        expect(shown()).toEqual({ label: 'Connected · 1 peer', icon: 'check_circle', roomActions: true });
+
+        uiState.updateConnectionState({ state: 'connected', peers: 3 });
+        expect(shown()).toEqual({ label: 'Connected · 3 peers', icon: 'check_circle', roomActions: true });
+    });
+
+    it('should show reconnect attempts and recover from them', () => {
+        uiState.updateConnectionState({ state: 'connected', peers: 1 });
+
+        uiState.updateConnectionState({ state: 'degraded', attempt: 2, maxAttempts: 5 });
+        expect(shown()).toEqual({ label: 'Reconnecting 2/5', icon: 'sync_problem', roomActions: true });
+
+        uiState.updateConnectionState({ state: 'connected', peers: 1 });
+        expect(shown()).toEqual({ label: 'Connected · 1 peer', icon: 'check_circle', roomActions: true });
+    });
+
+    it('should hide the room actions once disconnected', () => {
+        uiState.updateConnectionState({ state: 'connected', peers: 1 });
+
+        uiState.updateConnectionState({ state: 'disconnected' });
+        expect(shown()).toEqual({ label: 'Disconnected', icon: 'error', roomActions: false });
+
+        uiState.updateConnectionState({ state: 'joining' });
+        expect(shown().roomActions).toBe(true);
+    });
+
+    it('should show errors with their message', () => {
+        uiState.updateConnectionState({ state: 'error', message: 'Invalid transport mode' });
+        expect(shown()).toEqual({ label: 'Error: Invalid transport mode', icon: 'error', roomActions: true });
+
+        uiState.updateConnectionState({ state: 'error' });
+        expect(shown().label).toBe('Error');
+    });
+
+    it('should ignore statuses it does not know', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        uiState.updateConnectionState({ state: 'connected', peers: 2 });
+        const before = shown();
+
+        for (const status of [{ state: 'rebooting' }, {}, null, undefined, 'connected']) {
+            uiState.updateConnectionState(status);
+            expect(shown()).toEqual(before);
+        }
+        expect(warn).toHaveBeenCalledTimes(5);
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,25 @@
+// Loads js/cryptoWorker.js as a module of its own, with `sodium` standing
+// in for the inlined libsodium, and returns call(op, args) resolving with
+// the worker's answer. Call 'cleanup' when done, or its timers keep running.
+export async function loadWorker(sodium) {
+    const listeners = {};
+    globalThis.self = { addEventListener: (name, listener) => { listeners[name] = listener; } };
+    globalThis.postMessage = () => {};
+    jest.isolateModules(() => {
+        require('../js/cryptoWorker.js');
+    });
+    const worker = globalThis.self;
+    worker._sodium = sodium;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    listeners['libsodium#initialized']();
+
+    let nextId = 0;
+    return (op, args = {}) => new Promise((resolve, reject) => {
+        globalThis.postMessage = (reply) => {
+            if (reply.type) return; // keep-alives
+            if (reply.err) reject(new Error(reply.err));
+            else resolve(reply.res);
+        };
+        worker.onmessage({ data: { id: nextId++, op, args } });
+    });
+}
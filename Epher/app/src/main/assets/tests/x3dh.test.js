@@ -0,0 +1,90 @@
+/**
+ * @jest-environment node
+ */
+import sodium from 'libsodium-wrappers';
+import { PreKeyStore, ONE_TIME_PREKEYS, hkdf, initiate, respond } from '../js/x3dh.js';
+
+describe('X3DH', () => {
+    let alice;
+    let bob;
+
+    beforeAll(async () => {
+        await sodium.ready;
+    });
+
+    beforeEach(() => {
+        alice = new PreKeyStore(sodium);
+        bob = new PreKeyStore(sodium);
+    });
+
+    it('should publish only public keys', () => {
+        const bundle = bob.bundle();
+
+        expect(Object.keys(bundle).sort()).toEqual(['identityKey', 'oneTimePreKeys', 'signedPreKey']);
+        expect(Object.keys(bundle.signedPreKey).sort()).toEqual(['keyId', 'publicKey', 'signature']);
+        expect(bundle.oneTimePreKeys).toHaveLength(ONE_TIME_PREKEYS);
+        expect(JSON.stringify(bundle)).not.toContain('privateKey');
+    });
+
+    it('should derive the same key and associated data on both sides', () => {
+        const initiated = initiate(sodium, alice, bob.bundle());
+        const responded = respond(sodium, bob, initiated.header);
+
+        expect(sodium.to_hex(responded.sharedKey)).toBe(sodium.to_hex(initiated.sharedKey));
+        expect(sodium.to_hex(responded.associatedData)).toBe(sodium.to_hex(initiated.associatedData));
+        expect(sodium.to_hex(responded.peerIdentityKey)).toBe(sodium.to_hex(alice.identityKey));
+        expect(sodium.to_hex(initiated.peerIdentityKey)).toBe(sodium.to_hex(bob.identityKey));
+    });
+
+    it('should work without one-time prekeys', () => {
+        const bundle = { ...bob.bundle(), oneTimePreKeys: [] };
+        const initiated = initiate(sodium, alice, bundle);
+
+        expect(initiated.header.oneTimePreKeyId).toBeUndefined();
+        expect(sodium.to_hex(respond(sodium, bob, initiated.header).sharedKey))
+            .toBe(sodium.to_hex(initiated.sharedKey));
+    });
+
+    it('should use each one-time prekey only once', () => {
+        const { header } = initiate(sodium, alice, bob.bundle());
+        respond(sodium, bob, header);
+
+        expect(bob.oneTimePreKeys.has(header.oneTimePreKeyId)).toBe(false);
+        expect(() => respond(sodium, bob, header)).toThrow('Unknown one-time prekey');
+    });
+
+    it('should reject a signed prekey not signed by the identity key', () => {
+        const bundle = bob.bundle();
+        bundle.identityKey = alice.bundle().identityKey;
+
+        expect(() => initiate(sodium, alice, bundle)).toThrow('Invalid signed prekey signature');
+    });
+
+    it('should reject headers whose key does not match and keep the one-time prekey', () => {
+        const { header } = initiate(sodium, alice, bob.bundle());
+        const mallory = initiate(sodium, new PreKeyStore(sodium), bob.bundle()).header;
+        const forged = { ...header, ephemeralKey: mallory.ephemeralKey };
+
+        expect(() => respond(sodium, bob, forged)).toThrow('confirmation failed');
+        expect(bob.oneTimePreKeys.has(header.oneTimePreKeyId)).toBe(true);
+    });
+
+    it('should still accept headers built on the previous signed prekey', () => {
+        const { header, sharedKey } = initiate(sodium, alice, bob.bundle());
+        bob.rotateSignedPreKey();
+
+        expect(sodium.to_hex(respond(sodium, bob, header).sharedKey)).toBe(sodium.to_hex(sharedKey));
+
+        bob.rotateSignedPreKey();
+        expect(() => respond(sodium, bob, header)).toThrow('Unknown signed prekey');
+    });
+
+    it('should expand keys of any length deterministically', () => {
+        const ikm = new Uint8Array(32).fill(1);
+
+        expect(hkdf(sodium, ikm, 'info', 80)).toHaveLength(80);
+        expect(sodium.to_hex(hkdf(sodium, ikm, 'info', 80).subarray(0, 32)))
+            .toBe(sodium.to_hex(hkdf(sodium, ikm, 'info')));
+        expect(sodium.to_hex(hkdf(sodium, ikm, 'other'))).not.toBe(sodium.to_hex(hkdf(sodium, ikm, 'info')));
+    });
+});
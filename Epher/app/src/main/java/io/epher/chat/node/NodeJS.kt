@@ -8,6 +8,7 @@ object NodeJS {
     private const val PROJECT_ZIP = "nodejs-project.zip"
     private const val PROJECT_DIR = "nodejs-project"
     private const val ENTRY_JS = "start.js"
+    private const val BRIDGE_SOCKET = "epher.sock"
 
     fun start(ctx: Context) {
         val proj = File(ctx.filesDir, PROJECT_DIR)
@@ -31,12 +32,19 @@ object NodeJS {
             throw SecurityException("Node binary integrity verification failed")
         }
 
-        ProcessBuilder(node.absolutePath, ENTRY_JS)
+        // start.js dials the bridge socket NodeJSBridge listens on, see bridge.js
+        ProcessBuilder(
+            node.absolutePath, ENTRY_JS,
+            "--data-dir", ctx.filesDir.absolutePath,
+            "--bridge", "unix:" + bridgeSocket(ctx).absolutePath
+        )
             .directory(proj)
             .redirectErrorStream(true)
             .start()
     }
 
+    fun bridgeSocket(ctx: Context): File = File(ctx.filesDir, BRIDGE_SOCKET)
+
     private fun verifyProjectIntegrity(proj: File): Boolean {
         // Placeholder: implement checksum or signature verification of project files
         // For example, verify a manifest file with hashes of all files
@@ -11,6 +11,7 @@ import java.io.OutputStreamWriter
 package io.epher.chat.node
 
 import android.content.Context
+import android.net.LocalServerSocket
 import android.net.LocalSocket
 import android.net.LocalSocketAddress
 import android.webkit.JavascriptInterface
@@ -19,26 +20,52 @@ import io.epher.chat.ygg.YggVpnService
 import java.io.BufferedWriter
 import java.io.OutputStreamWriter
 import java.util.concurrent.atomic.AtomicBoolean
+import java.util.concurrent.atomic.AtomicInteger
+import java.util.concurrent.atomic.AtomicReference
+import org.json.JSONArray
 import org.json.JSONObject
+import java.util.concurrent.ConcurrentHashMap
 import java.util.concurrent.Executors
 import java.util.concurrent.ScheduledExecutorService
 import java.util.concurrent.TimeUnit
 
+/**
+ * Drives the Node backend over its line-delimited JSON-RPC protocol (see
+ * nodejs-project/rpc.js): requests carry an id and get a response, and the
+ * backend pushes events as notifications once the version handshake is done.
+ * The backend dials us (see nodejs-project/bridge.js), so we listen on the
+ * socket NodeJS passes it and accept its connection, again after each drop.
+ */
 class NodeJSBridge(private val ctx: Context, private val web: WebView) {
+    companion object {
+        private const val PROTOCOL_VERSION = 1
+    }
+
+    private class PendingRequest(val onResult: (JSONObject) -> Unit, val onError: (JSONObject) -> Unit)
+
+    private var server: LocalServerSocket? = null
+    private val socket = AtomicReference<LocalSocket?>(null)
     private var writer: BufferedWriter? = null
     private var isConnected = AtomicBoolean(false)
-    private var useYggdrasil = AtomicBoolean(false)
+    @Volatile private var transportMode = "direct"
+    @Volatile private var transportOptions = JSONObject()
+    @Volatile private var discoveryOptions = JSONObject()
+    @Volatile private var networkLimits = JSONObject()
     private val scheduler: ScheduledExecutorService = Executors.newSingleThreadScheduledExecutor()
     private var reconnectJob: java.util.concurrent.Future<*>? = null
+    private val nextRequestId = AtomicInteger(1)
+    private val pendingRequests = ConcurrentHashMap<Int, PendingRequest>()
 
     // Certificate pinning: expected certificate SHA-256 hash (example placeholder)
     private val expectedCertHash = "ABCD1234EF567890ABCD1234EF567890ABCD1234EF567890ABCD1234EF567890"
 
     init {
         try {
+            // Listening first, so the backend's first dial finds us
+            listen()
             NodeJS.start(ctx)
             verifyWebViewCertificate()
-            connectSocket()
+            acceptConnection()
         } catch (e: Exception) {
             notifyError("Failed to initialize Node.js: ${e.message}")
         }
@@ -61,14 +88,40 @@ class NodeJSBridge(private val ctx: Context, private val web: WebView) {
         return expectedCertHash // Assume match for now
     }
 
-    private fun connectSocket() {
+    // LocalServerSocket(name) only binds abstract names; the backend dials a
+    // path, so bind one there and listen on its descriptor instead
+    private fun listen() {
+        val path = NodeJS.bridgeSocket(ctx)
+        path.delete() // left over from a previous run, bind would fail
+        val bound = LocalSocket()
+        bound.bind(LocalSocketAddress(path.absolutePath, LocalSocketAddress.Namespace.FILESYSTEM))
+        server = LocalServerSocket(bound.fileDescriptor)
+    }
+
+    // Waits for the backend on its own thread; accept() blocks until it dials
+    private fun acceptConnection() {
+        Thread {
+            try {
+                updateConnectionStatus(JSONObject().put("state", "starting"))
+                val sock = server?.accept() ?: throw IllegalStateException("Bridge socket closed")
+                socket.set(sock)
+                readConnection(sock)
+            } catch (e: Exception) {
+                handleDisconnect("Socket connection failed: ${e.message}")
+            }
+        }.start()
+    }
+
+    private fun readConnection(sock: LocalSocket) {
         try {
-            updateConnectionStatus("connecting")
-            val sock = LocalSocket()
-            sock.connect(LocalSocketAddress("epher.sock", LocalSocketAddress.Namespace.FILESYSTEM))
-            
             writer = BufferedWriter(OutputStreamWriter(sock.outputStream))
-            
+
+            // Nothing else is answered until the backend accepts our version;
+            // it then sends a "connected" notification
+            call("hello", JSONObject().put("version", PROTOCOL_VERSION), onError = { error ->
+                notifyError("Backend refused protocol version $PROTOCOL_VERSION: ${error.optString("message")}")
+            })
+
             // Start reading from socket in a separate thread
             Thread {
                 try {
@@ -96,112 +149,302 @@ class NodeJSBridge(private val ctx: Context, private val web: WebView) {
                         }
                     }
                     // Socket closed gracefully
-                    handleDisconnect("Socket closed")
+                    handleDisconnect("Socket closed", sock)
                 } catch (e: Exception) {
-                    handleDisconnect("Socket read error: ${e.message}")
+                    handleDisconnect("Socket read error: ${e.message}", sock)
                 }
             }.start()
 
         } catch (e: Exception) {
-            handleDisconnect("Socket connection failed: ${e.message}")
+            handleDisconnect("Socket connection failed: ${e.message}", sock)
         }
     }
 
     private fun handleIncomingMessage(line: String) {
         try {
             val json = JSONObject(line)
-            when (json.optString("type")) {
+            if (!json.has("method")) {
+                handleResponse(json)
+                return
+            }
+
+            val params = json.optJSONObject("params") ?: JSONObject()
+            when (json.getString("method")) {
                 "connected" -> {
+                    // The backend is reachable; the room status follows
                     isConnected.set(true)
-                    updateConnectionStatus("connected")
+                    resetReconnectAttempts()
                 }
+                "status" -> updateConnectionStatus(params)
                 "message" -> {
+                    val room = JSONObject.quote(params.optString("room", ""))
                     web.post { 
                         web.evaluateJavascript(
-                            "window._onBackendMessage(${json.getJSONObject("data")})",
+                            "window._onBackendMessage(${params.getJSONObject("data")}, $room)",
                             null
                         )
                     }
                 }
                 "delivered" -> {
-                    val messageId = json.optString("messageId", "")
-                    val status = json.optString("status", "failed")
-                    pendingMessages.remove(messageId)?.invoke(status)
+                    // Messages the backend kept from before a restart have no
+                    // entry here, so the status goes straight to the page
+                    val messageId = params.optString("messageId", "")
+                    pendingMessages.remove(messageId)
+                    if (messageId.isNotEmpty()) {
+                        notifyDelivery(messageId, params.optString("status", "failed"))
+                    }
+                }
+                "ack" -> {
+                    val messageId = JSONObject.quote(params.optString("messageId", ""))
+                    val peerId = JSONObject.quote(params.optString("peerId", ""))
+                    web.post {
+                        web.evaluateJavascript("window._onMessageAck($messageId, $peerId)", null)
+                    }
+                }
+                "peer" -> {
+                    web.post {
+                        web.evaluateJavascript("window._onPeerEvent($params)", null)
+                    }
                 }
-                "error" -> notifyError(json.getString("error"))
-                else -> web.post { 
-                    web.evaluateJavascript("window._onBackendMessage($line)", null)
+                "bans" -> {
+                    val bans = params.getJSONArray("bans")
+                    web.post {
+                        web.evaluateJavascript("window._onBanList($bans)", null)
+                    }
+                }
+                "reconnect" -> {
+                    web.post {
+                        web.evaluateJavascript("window._onReconnectStatus($params)", null)
+                    }
+                }
+                "bandwidth" -> {
+                    val stats = params.getJSONObject("stats")
+                    web.post {
+                        web.evaluateJavascript("window._onBandwidthStats($stats)", null)
+                    }
                 }
+                "error" -> notifyError(params.optString("message"))
+                else -> android.util.Log.w("NodeJSBridge", "Unknown notification ${json.getString("method")}")
             }
         } catch (e: Exception) {
             notifyError("Failed to process message: ${e.message}")
         }
     }
 
+    private fun handleResponse(json: JSONObject) {
+        val request = pendingRequests.remove(json.optInt("id", -1))
+        val error = json.optJSONObject("error")
+        when {
+            request == null -> if (error != null) notifyError(error.optString("message"))
+            error != null -> request.onError(error)
+            else -> request.onResult(json.optJSONObject("result") ?: JSONObject())
+        }
+    }
+
+    /** Sends a request; failures are reported to the UI unless `onError` handles them */
+    private fun call(
+        method: String,
+        params: JSONObject = JSONObject(),
+        onResult: (JSONObject) -> Unit = {},
+        onError: (JSONObject) -> Unit = { error -> notifyError(error.optString("message")) }
+    ) {
+        val id = nextRequestId.getAndIncrement()
+        pendingRequests[id] = PendingRequest(onResult, onError)
+        val request = JSONObject().apply {
+            put("jsonrpc", "2.0")
+            put("id", id)
+            put("method", method)
+            put("params", params)
+        }
+        try {
+            send(request.toString())
+        } catch (e: Exception) {
+            pendingRequests.remove(id)
+            throw e
+        }
+    }
+
     @JavascriptInterface
-    fun join(room: String, preKeyBundle: String) {
+    // psk: hex of the key the UI derived from the room ID and password
+    fun join(room: String, psk: String, identity: String) {
         try {
-            val command = JSONObject().apply {
-                put("cmd", "join")
+            val params = JSONObject().apply {
                 put("room", room)
-                put("preKeyBundle", JSONObject(preKeyBundle))
-                put("transport", if (useYggdrasil.get()) "yggdrasil" else "direct")
+                put("psk", psk)
+                // The identity key envelopes are sealed to; history is filtered by it
+                put("identity", identity)
+                put("transport", transportMode)
+                put("transportOptions", transportOptions)
+                put("bootstrap", discoveryOptions.optJSONArray("bootstrap") ?: JSONArray())
+                put("testnet", discoveryOptions.optBoolean("testnet", false))
+                // The backend has no limits of its own until the UI sends them
+                put("limits", networkLimits)
             }
-            send(command.toString())
+            call("join", params)
         } catch (e: Exception) {
             notifyError("Failed to join room: ${e.message}")
         }
     }
 
-    private val pendingMessages = mutableMapOf<String, (String) -> Unit>()
+    @JavascriptInterface
+    fun leave(room: String) {
+        try {
+            call("leave", JSONObject().put("room", room), onResult = {
+                // Peers were told and the topic is no longer announced
+                android.util.Log.i("NodeJSBridge", "Left room $room")
+            })
+        } catch (e: Exception) {
+            notifyError("Failed to leave room: ${e.message}")
+        }
+    }
 
     @JavascriptInterface
-    fun sendMessage(payload: String) {
+    fun requestStats() {
         try {
-            if (!isConnected.get()) {
-                notifyError("Not connected to chat network")
-                return
+            call("stats", onResult = { result ->
+                val peers = result.getJSONArray("peers")
+                web.post {
+                    web.evaluateJavascript("window._onPeerStats($peers)", null)
+                }
+            })
+        } catch (e: Exception) {
+            notifyError("Failed to request statistics: ${e.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun listBans() {
+        try {
+            call("bans", onResult = { result ->
+                val bans = result.getJSONArray("bans")
+                web.post {
+                    web.evaluateJavascript("window._onBanList($bans)", null)
+                }
+            })
+        } catch (e: Exception) {
+            notifyError("Failed to list bans: ${e.message}")
+        }
+    }
+
+    // An empty key lifts every ban
+    @JavascriptInterface
+    fun unban(key: String) {
+        try {
+            val params = JSONObject().apply {
+                if (key.isNotEmpty()) put("key", key)
             }
+            call("unban", params)
+        } catch (e: Exception) {
+            notifyError("Failed to lift ban: ${e.message}")
+        }
+    }
+
+    // Read by the socket reader thread, written by the JS interface thread
+    private val pendingMessages = ConcurrentHashMap<String, (String) -> Unit>()
+
+    private fun notifyDelivery(messageId: String, status: String) {
+        val quotedId = JSONObject.quote(messageId)
+        val quotedStatus = JSONObject.quote(status)
+        web.post {
+            web.evaluateJavascript("window._onMessageDelivery($quotedId, $quotedStatus)", null)
+        }
+    }
+
+    @JavascriptInterface
+    fun sendMessage(payload: String) {
+        var messageId = ""
+        try {
+            // No peer check here: the backend queues messages until one is verified
             val jsonObj = JSONObject(payload)
-            val messageId = jsonObj.optString("messageId", "")
+            messageId = jsonObj.optString("messageId", "")
             if (messageId.isNotEmpty()) {
-                pendingMessages[messageId] = { status ->
-                    web.post {
-                        web.evaluateJavascript("window._onMessageDelivery('$messageId', '$status')", null)
-                    }
-                }
+                pendingMessages[messageId] = { status -> notifyDelivery(messageId, status) }
             }
-            val command = JSONObject().apply {
-                put("cmd", "send")
-                put("data", jsonObj)
-            }
-            send(command.toString())
+            call("send", JSONObject().put("data", jsonObj), onError = { error ->
+                pendingMessages.remove(messageId)?.invoke("failed")
+                notifyError("Failed to send message: ${error.optString("message")}")
+            })
         } catch (e: Exception) {
+            pendingMessages.remove(messageId)?.invoke("failed")
             notifyError("Failed to send message: ${e.message}")
         }
     }
 
     @JavascriptInterface
-    fun setTransport(useYgg: Boolean) {
+    fun setTransport(mode: String, options: String) {
         try {
-            if (useYgg == useYggdrasil.get()) return
-            
-            useYggdrasil.set(useYgg)
-            if (useYgg) {
+            val parsedOptions = JSONObject(options)
+            val wasYggdrasil = transportMode == "yggdrasil"
+            transportMode = mode
+            transportOptions = parsedOptions
+
+            // The Yggdrasil transport dials through the SOCKS port this service opens
+            if (mode == "yggdrasil") {
                 if (!YggVpnService.isVpnActive(ctx)) {
                     YggVpnService.start(ctx)
                 }
-            } else {
+            } else if (wasYggdrasil) {
                 YggVpnService.stop(ctx)
             }
-            
-            // Reconnect with new transport
-            handleDisconnect("Switching transport mode")
+
+            // The backend rejoins the room over the new transport
+            val params = JSONObject().apply {
+                put("mode", mode)
+                put("options", parsedOptions)
+            }
+            call("transport", params)
         } catch (e: Exception) {
             notifyError("Failed to switch transport: ${e.message}")
         }
     }
 
+    @JavascriptInterface
+    fun setDiscovery(options: String) {
+        try {
+            discoveryOptions = JSONObject(options)
+            val params = JSONObject().apply {
+                put("bootstrap", discoveryOptions.optJSONArray("bootstrap") ?: JSONArray())
+                put("testnet", discoveryOptions.optBoolean("testnet", false))
+            }
+            call("discovery", params)
+        } catch (e: Exception) {
+            notifyError("Failed to update discovery settings: ${e.message}")
+        }
+    }
+
+    @JavascriptInterface
+    // limits: JSON of the UI's SecurityConfig.network, see getNetworkLimits()
+    fun setNetworkLimits(limits: String) {
+        try {
+            networkLimits = JSONObject(limits)
+            call("limits", JSONObject().put("limits", networkLimits))
+        } catch (e: Exception) {
+            notifyError("Failed to update network limits: ${e.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun setPacketShaping(enabled: Boolean, rate: Int) {
+        try {
+            val params = JSONObject().apply {
+                put("enabled", enabled)
+                put("rate", rate)
+            }
+            call("shaping", params)
+        } catch (e: Exception) {
+            notifyError("Failed to update packet shaping: ${e.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun setPadding(scheme: String) {
+        try {
+            call("padding", JSONObject().put("scheme", scheme))
+        } catch (e: Exception) {
+            notifyError("Failed to update padding scheme: ${e.message}")
+        }
+    }
+
     private fun send(json: String) {
         writer?.apply {
             try {
@@ -209,7 +452,7 @@ class NodeJSBridge(private val ctx: Context, private val web: WebView) {
                 newLine()
                 flush()
             } catch (e: Exception) {
-                handleDisconnect("Failed to send data: ${e.message}")
+                handleDisconnect("Failed to send data: ${e.message}", socket.get())
                 throw e
             }
         } ?: throw IllegalStateException("Socket not connected")
@@ -218,25 +461,46 @@ class NodeJSBridge(private val ctx: Context, private val web: WebView) {
     private var reconnectAttempts = 0
     private val maxReconnectAttempts = 5
 
-    private fun handleDisconnect(error: String) {
-        if (isConnected.get()) {
-            isConnected.set(false)
-            writer = null
-            notifyError("$error. Attempting to reconnect... (${reconnectAttempts + 1}/$maxReconnectAttempts)")
-            updateConnectionStatus("disconnected")
-            
-            // Schedule reconnection attempt with exponential backoff
-            reconnectJob?.cancel(false)
-            if (reconnectAttempts < maxReconnectAttempts) {
-                val delay = (Math.pow(2.0, reconnectAttempts.toDouble()) * 1000).toLong()
-                reconnectJob = scheduler.schedule({
-                    reconnectAttempts++
-                    connectSocket()
-                }, delay, TimeUnit.MILLISECONDS)
-            } else {
-                notifyError("Maximum reconnection attempts reached. Please check your network or restart the app.")
+    // Retries whether or not the backend ever got as far as "connected".
+    // `connection` is the socket that failed, null if none was accepted; a
+    // socket both the reader and a writer report is only handled once.
+    private fun handleDisconnect(error: String, connection: LocalSocket? = null) {
+        if (connection != null) {
+            if (!socket.compareAndSet(connection, null)) return
+            try {
+                connection.close()
+            } catch (e: Exception) {
+                // Already closed by the backend
             }
         }
+        // Closing the server in cleanup() fails the pending accept
+        if (scheduler.isShutdown) return
+
+        isConnected.set(false)
+        writer = null
+        failPendingRequests(error)
+        notifyError("$error. Attempting to reconnect... (${reconnectAttempts + 1}/$maxReconnectAttempts)")
+        updateConnectionStatus(JSONObject().put("state", "disconnected"))
+
+        // Schedule reconnection attempt with exponential backoff
+        reconnectJob?.cancel(false)
+        if (reconnectAttempts < maxReconnectAttempts) {
+            val delay = (Math.pow(2.0, reconnectAttempts.toDouble()) * 1000).toLong()
+            reconnectJob = scheduler.schedule({
+                reconnectAttempts++
+                acceptConnection()
+            }, delay, TimeUnit.MILLISECONDS)
+        } else {
+            notifyError("Maximum reconnection attempts reached. Please check your network or restart the app.")
+        }
+    }
+
+    // Responses to requests on a closed socket will never come
+    private fun failPendingRequests(reason: String) {
+        val error = JSONObject().put("message", reason)
+        for (id in pendingRequests.keys.toList()) {
+            pendingRequests.remove(id)?.onError?.invoke(error)
+        }
     }
 
     private fun resetReconnectAttempts() {
@@ -253,10 +517,11 @@ class NodeJSBridge(private val ctx: Context, private val web: WebView) {
         }
     }
 
-    private fun updateConnectionStatus(status: String) {
+    // `status` is { state, ... } as the backend reports it, see NetworkManager
+    private fun updateConnectionStatus(status: JSONObject) {
         web.post {
             web.evaluateJavascript(
-                "window._onConnectionStatus('$status')",
+                "window._onConnectionStatus($status)",
                 null
             )
         }
@@ -268,8 +533,12 @@ class NodeJSBridge(private val ctx: Context, private val web: WebView) {
             reconnectJob?.cancel(true)
             writer?.close()
             writer = null
+            socket.getAndSet(null)?.close()
+            server?.close()
+            server = null
+            NodeJS.bridgeSocket(ctx).delete()
             isConnected.set(false)
-            if (useYggdrasil.get()) {
+            if (transportMode == "yggdrasil") {
                 YggVpnService.stop(ctx)
             }
         } catch (e: Exception) {